@@ -0,0 +1,137 @@
+// Personal access tokens (API keys) for the Dytor servers
+//
+// Keys are long-lived bearer tokens for scripts and integrations, used in place
+// of a login JWT. Only a SHA-256 hash is stored; the key itself is shown once,
+// when it is created. Each key carries scopes and may be limited to some rooms
+// and to a room role, whose permissions room-server then checks its commands against.
+
+const crypto = require('crypto');
+const { ROLE_NAME_PATTERN } = require('./roles');
+
+const API_KEY_PREFIX = 'dyt_';
+
+// read:         read-only auth-server routes, and GET room routes on room-server
+// write:        read, plus creating rooms and updating the profile
+// room:control: controlling rooms on room-server (commands, settings, replays, ...)
+const API_KEY_SCOPES = ['read', 'write', 'room:control'];
+
+const API_KEY_LIMITS = {
+  MAX_PER_USER: 20,
+  MAX_NAME_LENGTH: 100,
+  MAX_ROOMS: 50,
+  LAST_USED_RESOLUTION: 60 * 1000 // lastUsedAt is written at most once a minute per key
+};
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A new key and what gets stored of it; `prefix` identifies the key in listings
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    hash: hashApiKey(key)
+  };
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+// Check a key creation request; returns an error message or null
+function validateApiKeyRequest({ name, scopes, rooms, role, expiresInDays }) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > API_KEY_LIMITS.MAX_NAME_LENGTH) {
+    return `name must be 1 to ${API_KEY_LIMITS.MAX_NAME_LENGTH} characters`;
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+  const unknown = scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown !== undefined) {
+    return `Unknown scope: ${unknown}`;
+  }
+
+  // Omitted rooms means every room the user owns or co-hosts
+  if (rooms !== undefined && rooms !== null) {
+    if (!Array.isArray(rooms) || rooms.length === 0 || rooms.length > API_KEY_LIMITS.MAX_ROOMS) {
+      return `rooms must be an array of 1 to ${API_KEY_LIMITS.MAX_ROOMS} room codes`;
+    }
+    if (rooms.some(room => typeof room !== 'string' || !/^[A-Za-z0-9]{1,32}$/.test(room))) {
+      return 'rooms must contain room codes';
+    }
+  }
+
+  // A built-in or custom role name; rooms that do not define it treat the key as a viewer
+  if (role !== undefined && role !== null && (typeof role !== 'string' || !ROLE_NAME_PATTERN.test(role))) {
+    return 'role must be lowercase letters, digits or underscores (max 32 characters)';
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+    return 'expiresInDays must be a whole number of days between 1 and 3650';
+  }
+  return null;
+}
+
+// Stored record for a validated request; pass the generated key's prefix and hash
+function createApiKeyRecord(userId, { name, scopes, rooms, role, expiresInDays }, { prefix, hash }, now = Date.now()) {
+  return {
+    id: crypto.randomUUID(),
+    userId,
+    name: name.trim(),
+    prefix,
+    hash,
+    scopes: [...new Set(scopes)],
+    rooms: rooms ? [...new Set(rooms.map(room => room.toUpperCase()))] : null,
+    role: role || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+}
+
+// Key fields safe to list; the hash never leaves the server
+function toPublicApiKey({ hash, userId, ...apiKey }) {
+  return apiKey;
+}
+
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || (scope === 'read' && apiKey.scopes.includes('write'));
+}
+
+// Whether a key may be used for a room; read-only requests also accept the read scope
+function canAccessRoom(apiKey, roomCode, readOnly = false) {
+  if (apiKey.rooms && !apiKey.rooms.includes(roomCode)) return false;
+  return apiKey.scopes.includes('room:control') || (readOnly && hasScope(apiKey, 'read'));
+}
+
+// Find the live key behind a bearer token and note its use; returns null for
+// unknown, revoked and expired keys
+function authenticateApiKey(repository, token, now = Date.now()) {
+  const apiKey = repository.findApiKeyByHash(hashApiKey(token));
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && Date.parse(apiKey.expiresAt) <= now) return null;
+
+  if (!apiKey.lastUsedAt || now - Date.parse(apiKey.lastUsedAt) >= API_KEY_LIMITS.LAST_USED_RESOLUTION) {
+    apiKey.lastUsedAt = new Date(now).toISOString();
+    repository.touchApiKey(apiKey.id, apiKey.lastUsedAt);
+  }
+  return apiKey;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_LIMITS,
+  generateApiKey,
+  isApiKey,
+  validateApiKeyRequest,
+  createApiKeyRecord,
+  toPublicApiKey,
+  hasScope,
+  canAccessRoom,
+  authenticateApiKey
+};
@@ -0,0 +1,158 @@
+// Audit trail helpers for the Dytor servers
+//
+// An audit log is a bounded, persistable list of entries recording who did what
+// (commands, timer and schedule changes, administrative actions) and whether it
+// was allowed. Entries are never edited; the oldest are dropped from memory once
+// the log is full, denied attempts first, so a flood of them cannot push out the
+// record of real changes (the SQLite room store keeps those for longer, see
+// room-store.js). Every entry gets an increasing sequence number used as the page cursor.
+// Entries appended on other room-server instances are merged in by id; two
+// instances appending at once can hand out the same seq, so ties are ordered by id.
+
+const crypto = require('crypto');
+
+const AUDIT_LIMITS = {
+  HISTORY_SIZE: 500,
+  DENIED_HISTORY_SIZE: 100, // denied attempts among them
+  DEFAULT_PAGE_SIZE: 100,
+  MAX_PAGE_SIZE: 500
+};
+
+const CSV_COLUMNS = ['seq', 'id', 'timestamp', 'source', 'actorId', 'actorName', 'role', 'action', 'outcome', 'reason', 'payload'];
+
+function createAuditLog() {
+  return {
+    entries: [],
+    nextSeq: 1
+  };
+}
+
+// Drop the oldest denied attempts beyond their share, then the oldest entries
+function trimAuditLog(log) {
+  let excessDenied = log.entries.filter(entry => entry.outcome === 'denied').length - AUDIT_LIMITS.DENIED_HISTORY_SIZE;
+  for (let i = 0; excessDenied > 0 && i < log.entries.length; i++) {
+    if (log.entries[i].outcome === 'denied') {
+      log.entries.splice(i--, 1);
+      excessDenied--;
+    }
+  }
+
+  if (log.entries.length > AUDIT_LIMITS.HISTORY_SIZE) {
+    log.entries.splice(0, log.entries.length - AUDIT_LIMITS.HISTORY_SIZE);
+  }
+  return log;
+}
+
+// Append an entry, dropping old ones once the log is full (see trimAuditLog).
+// outcome is 'success', 'denied' (the actor lacked permission) or 'failed' (the request was invalid).
+function appendAuditEntry(log, { actor, action, payload = null, outcome = 'success', reason = null, source = 'websocket' }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    seq: log.nextSeq++,
+    timestamp: Date.now(),
+    source,
+    actor: {
+      id: actor?.id || null,
+      name: actor?.name || null,
+      role: actor?.role || null
+    },
+    action,
+    payload,
+    outcome,
+    reason
+  };
+
+  log.entries.push(entry);
+  trimAuditLog(log);
+
+  return entry;
+}
+
+// Add an entry appended on another instance; returns false if it is already here
+function mergeAuditEntry(log, entry) {
+  if (log.entries.some(existing => existing.id === entry.id)) return false;
+
+  log.entries.push(entry);
+  log.entries.sort((a, b) => a.seq - b.seq || a.id.localeCompare(b.id));
+  log.nextSeq = Math.max(log.nextSeq, entry.seq + 1);
+  trimAuditLog(log);
+  return true;
+}
+
+// Entries matching every given filter, oldest to newest.
+// `action` and `outcome` accept comma-separated lists; `since`/`until` are timestamps in ms.
+function filterAuditEntries(log, { action, actorId, outcome, since, until } = {}) {
+  const actions = action ? String(action).split(',').map(value => value.trim()).filter(Boolean) : null;
+  const outcomes = outcome ? String(outcome).split(',').map(value => value.trim()).filter(Boolean) : null;
+  const from = parseInt(since, 10);
+  const to = parseInt(until, 10);
+
+  return log.entries.filter(entry =>
+    (!actions || actions.includes(entry.action)) &&
+    (!outcomes || outcomes.includes(entry.outcome)) &&
+    (!actorId || entry.actor.id === actorId) &&
+    (!Number.isFinite(from) || entry.timestamp >= from) &&
+    (!Number.isFinite(to) || entry.timestamp <= to)
+  );
+}
+
+// Newest matching entries first page; pass the returned cursor as `before` to go further back
+function getAuditPage(log, { before = null, limit = AUDIT_LIMITS.DEFAULT_PAGE_SIZE, ...filters } = {}) {
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || AUDIT_LIMITS.DEFAULT_PAGE_SIZE, AUDIT_LIMITS.MAX_PAGE_SIZE));
+  const cursor = parseInt(before, 10);
+
+  const matching = filterAuditEntries(log, filters);
+  const older = Number.isFinite(cursor)
+    ? matching.filter(entry => entry.seq < cursor)
+    : matching;
+
+  // Never split entries sharing a seq across pages, or the cursor would skip some
+  let start = Math.max(0, older.length - pageSize);
+  while (start > 0 && older[start - 1].seq === older[start].seq) start--;
+
+  const entries = older.slice(start);
+  const hasMore = start > 0;
+
+  return {
+    entries, // oldest to newest
+    nextCursor: hasMore ? entries[0].seq : null
+  };
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating user-supplied text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per entry; the payload is embedded as JSON
+function auditEntriesToCsv(entries) {
+  const rows = entries.map(entry => [
+    entry.seq,
+    entry.id,
+    new Date(entry.timestamp).toISOString(),
+    entry.source,
+    entry.actor.id,
+    entry.actor.name,
+    entry.actor.role,
+    entry.action,
+    entry.outcome,
+    entry.reason,
+    entry.payload === null ? '' : JSON.stringify(entry.payload)
+  ].map(escapeCsvValue).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  AUDIT_LIMITS,
+  createAuditLog,
+  trimAuditLog,
+  appendAuditEntry,
+  mergeAuditEntry,
+  filterAuditEntries,
+  getAuditPage,
+  auditEntriesToCsv
+};
@@ -4,23 +4,35 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const crypto = require('crypto');
+const { createUserRepository } = require('./user-repository');
+const apiKeys = require('./api-keys');
+const { createSessionStore } = require('./sessions');
+const { createMetricsRegistry, metricsHandler, httpMetricsMiddleware } = require('./metrics');
 
 const app = express();
 
+// Metrics (see GET /metrics)
+const metrics = createMetricsRegistry('dytor_auth');
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status');
+const authAttempts = metrics.counter('auth_attempts_total', 'Registration and login attempts, by outcome');
+const errorsTotal = metrics.counter('errors_total', 'Errors caught by the error-handling middleware');
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(httpMetricsMiddleware(httpRequests));
 
-// In-memory user storage (in production, use a database)
-const users = new Map();
-const userSessions = new Map();
+// User and room-ownership storage
+const userRepository = createUserRepository();
+const userSessions = createSessionStore(userRepository); // login sessions and their refresh tokens
 
 // JWT secret (in production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'dytor-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'; // access tokens; clients renew them with a refresh token
 
-// Room ownership tracking
-const roomOwners = new Map(); // roomCode -> userId
+// Optional RS256 key pair so other servers can verify tokens without the signing secret
+const JWT_PRIVATE_KEY = process.env.JWT_PRIVATE_KEY || null;
+const JWT_PUBLIC_KEY = process.env.JWT_PUBLIC_KEY || (JWT_PRIVATE_KEY && crypto.createPublicKey(JWT_PRIVATE_KEY));
 
 // Helper functions
 function generateUserId() {
@@ -39,27 +51,44 @@ function verifyPassword(password, hash) {
   return bcrypt.compareSync(password, hash);
 }
 
-function generateToken(user) {
+// Access token for a session; `sid` lets authenticateToken reject it once the session is revoked
+function generateToken(user, sessionId) {
   return jwt.sign(
     { 
       userId: user.id, 
       email: user.email,
-      name: user.name 
+      name: user.name,
+      sid: sessionId
     }, 
-    JWT_SECRET, 
-    { expiresIn: JWT_EXPIRES_IN }
+    JWT_PRIVATE_KEY || JWT_SECRET, 
+    { expiresIn: JWT_EXPIRES_IN, algorithm: JWT_PRIVATE_KEY ? 'RS256' : 'HS256' }
   );
 }
 
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    if (JWT_PRIVATE_KEY) {
+      return jwt.verify(token, JWT_PUBLIC_KEY, { algorithms: ['RS256'] });
+    }
+    return jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
   } catch (error) {
     return null;
   }
 }
 
-// Middleware to authenticate requests
+// Token pair for a session, as returned by login, registration and refresh
+function issueTokens(user, session, refreshToken) {
+  const token = generateToken(user, session.id);
+  const { iat, exp } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat };
+}
+
+function startSession(user, req) {
+  const { session, refreshToken } = userSessions.create(user.id, { userAgent: req.get('User-Agent'), ip: req.ip });
+  return issueTokens(user, session, refreshToken);
+}
+
+// Middleware to authenticate requests with a login JWT or an API key
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -68,8 +97,21 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ success: false, error: 'Access token required' });
   }
 
+  if (apiKeys.isApiKey(token)) {
+    const apiKey = apiKeys.authenticateApiKey(userRepository, token);
+    const user = apiKey && userRepository.findUserById(apiKey.userId);
+    if (!user) {
+      authAttempts.inc({ action: 'api_key', outcome: 'failure' });
+      return res.status(403).json({ success: false, error: 'Invalid, expired or revoked API key' });
+    }
+
+    req.user = { userId: user.id, email: user.email, name: user.name, apiKey };
+    return next();
+  }
+
+  // Tokens from before sessions existed have no sid and are refused too
   const decoded = verifyToken(token);
-  if (!decoded) {
+  if (!decoded || !userSessions.isActive(decoded.userId, decoded.sid)) {
     return res.status(403).json({ success: false, error: 'Invalid or expired token' });
   }
 
@@ -77,13 +119,44 @@ function authenticateToken(req, res, next) {
   next();
 }
 
+// API keys may only call routes their scopes cover; login tokens can call every route
+function requireScope(scope) {
+  return (req, res, next) => {
+    const { apiKey } = req.user;
+    if (apiKey && !apiKeys.hasScope(apiKey, scope)) {
+      return res.status(403).json({ success: false, error: `API key lacks the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+// Routes that change credentials need a login token, never an API key
+function requireLogin(req, res, next) {
+  if (req.user.apiKey) {
+    return res.status(403).json({ success: false, error: 'This action requires logging in with a password' });
+  }
+  next();
+}
+
 // Routes
 
 // Health check
-app.get('/api/health', (req, res) => {
+app.get(['/health', '/api/health'], (req, res) => {
   res.json({ success: true, message: 'Auth server is running' });
 });
 
+// Readiness: the user database answers queries
+app.get(['/ready', '/api/ready'], (req, res) => {
+  const ready = userRepository.isReady();
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    checks: { userRepository: ready ? 'ok' : 'unavailable' }
+  });
+});
+
+app.get('/metrics', metricsHandler(metrics));
+
 // User Registration
 app.post('/api/auth/register', async (req, res) => {
   try {
@@ -105,7 +178,8 @@ app.post('/api/auth/register', async (req, res) => {
     }
 
     // Check if user already exists
-    if (users.has(email)) {
+    if (userRepository.findUserByEmail(email)) {
+      authAttempts.inc({ action: 'register', outcome: 'conflict' });
       return res.status(409).json({
         success: false,
         error: 'User with this email already exists'
@@ -114,20 +188,17 @@ app.post('/api/auth/register', async (req, res) => {
 
     // Create user
     const userId = generateUserId();
-    const user = {
+    const user = userRepository.createUser({
       id: userId,
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password: hashPassword(password),
       createdAt: new Date().toISOString(),
-      rooms: [], // Array of room codes owned by this user
       lastLogin: null
-    };
-
-    users.set(email, user);
+    });
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session
+    const tokens = startSession(user, req);
 
     // Return user data (without password)
     const { password: _, ...userData } = user;
@@ -136,9 +207,10 @@ app.post('/api/auth/register', async (req, res) => {
     res.json({
       success: true,
       user: userData,
-      token: token
+      ...tokens
     });
 
+    authAttempts.inc({ action: 'register', outcome: 'success' });
     console.log(`👤 User registered: ${user.name} (${user.email})`);
   } catch (error) {
     console.error('Registration error:', error);
@@ -163,8 +235,9 @@ app.post('/api/auth/login', async (req, res) => {
     }
 
     // Find user
-    const user = users.get(email.toLowerCase().trim());
+    let user = userRepository.findUserByEmail(email);
     if (!user) {
+      authAttempts.inc({ action: 'login', outcome: 'failure' });
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -173,6 +246,7 @@ app.post('/api/auth/login', async (req, res) => {
 
     // Verify password
     if (!verifyPassword(password, user.password)) {
+      authAttempts.inc({ action: 'login', outcome: 'failure' });
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -180,10 +254,10 @@ app.post('/api/auth/login', async (req, res) => {
     }
 
     // Update last login
-    user.lastLogin = new Date().toISOString();
+    user = userRepository.updateUser(user.id, { lastLogin: new Date().toISOString() });
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session
+    const tokens = startSession(user, req);
 
     // Return user data (without password)
     const { password: _, ...userData } = user;
@@ -191,9 +265,10 @@ app.post('/api/auth/login', async (req, res) => {
     res.json({
       success: true,
       user: userData,
-      token: token
+      ...tokens
     });
 
+    authAttempts.inc({ action: 'login', outcome: 'success' });
     console.log(`🔑 User logged in: ${user.name} (${user.email})`);
   } catch (error) {
     console.error('Login error:', error);
@@ -204,9 +279,38 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
+// Refresh: trade a refresh token for a new access token and refresh token.
+// Each refresh token works once; reusing an old one revokes its session.
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const rotated = userSessions.rotate(req.body.refreshToken);
+    const user = rotated && userRepository.findUserById(rotated.session.userId);
+    if (!user) {
+      if (rotated) userSessions.revoke(rotated.session.userId, rotated.session.id);
+      authAttempts.inc({ action: 'refresh', outcome: 'failure' });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    authAttempts.inc({ action: 'refresh', outcome: 'success' });
+    res.json({
+      success: true,
+      ...issueTokens(user, rotated.session, rotated.refreshToken)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed'
+    });
+  }
+});
+
 // Verify Token
-app.post('/api/auth/verify', authenticateToken, (req, res) => {
-  const user = users.get(req.user.email);
+app.post('/api/auth/verify', authenticateToken, requireScope('read'), (req, res) => {
+  const user = userRepository.findUserById(req.user.userId);
   if (!user) {
     return res.status(404).json({
       success: false,
@@ -222,13 +326,13 @@ app.post('/api/auth/verify', authenticateToken, (req, res) => {
 });
 
 // Create Room (Authenticated)
-app.post('/api/rooms/create', authenticateToken, async (req, res) => {
+app.post('/api/rooms/create', authenticateToken, requireScope('write'), async (req, res) => {
   try {
     const { roomName, roomSettings } = req.body;
     const userId = req.user.userId;
 
     // Get user
-    const user = users.get(req.user.email);
+    const user = userRepository.findUserById(req.user.userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -242,7 +346,7 @@ app.post('/api/rooms/create', authenticateToken, async (req, res) => {
     do {
       roomCode = generateRoomCode();
       attempts++;
-    } while (roomOwners.has(roomCode) && attempts < 10);
+    } while (userRepository.getRoomOwner(roomCode) && attempts < 10);
 
     if (attempts >= 10) {
       return res.status(500).json({
@@ -274,8 +378,7 @@ app.post('/api/rooms/create', authenticateToken, async (req, res) => {
     };
 
     // Track room ownership
-    roomOwners.set(roomCode, userId);
-    user.rooms.push(roomCode);
+    userRepository.addRoomOwner(roomCode, userId);
 
     console.log(`🏠 Room created: ${roomCode} by ${user.name}`);
 
@@ -293,9 +396,9 @@ app.post('/api/rooms/create', authenticateToken, async (req, res) => {
 });
 
 // Get User's Rooms
-app.get('/api/rooms/my', authenticateToken, async (req, res) => {
+app.get('/api/rooms/my', authenticateToken, requireScope('read'), async (req, res) => {
   try {
-    const user = users.get(req.user.email);
+    const user = userRepository.findUserById(req.user.userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -326,7 +429,7 @@ app.get('/api/rooms/my', authenticateToken, async (req, res) => {
 app.get('/api/rooms/:roomCode', async (req, res) => {
   try {
     const { roomCode } = req.params;
-    const ownerId = roomOwners.get(roomCode);
+    const ownerId = userRepository.getRoomOwner(roomCode);
 
     if (!ownerId) {
       return res.status(404).json({
@@ -336,13 +439,8 @@ app.get('/api/rooms/:roomCode', async (req, res) => {
     }
 
     // Find room owner
-    let owner = null;
-    for (const [email, user] of users.entries()) {
-      if (user.id === ownerId) {
-        owner = { name: user.name, email: user.email };
-        break;
-      }
-    }
+    const ownerUser = userRepository.findUserById(ownerId);
+    const owner = ownerUser ? { name: ownerUser.name, email: ownerUser.email } : null;
 
     res.json({
       success: true,
@@ -362,10 +460,10 @@ app.get('/api/rooms/:roomCode', async (req, res) => {
 });
 
 // Update User Profile
-app.put('/api/user/profile', authenticateToken, async (req, res) => {
+app.put('/api/user/profile', authenticateToken, requireScope('write'), async (req, res) => {
   try {
     const { name } = req.body;
-    const user = users.get(req.user.email);
+    let user = userRepository.findUserById(req.user.userId);
 
     if (!user) {
       return res.status(404).json({
@@ -375,7 +473,7 @@ app.put('/api/user/profile', authenticateToken, async (req, res) => {
     }
 
     if (name && name.trim()) {
-      user.name = name.trim();
+      user = userRepository.updateUser(user.id, { name: name.trim() });
     }
 
     const { password: _, ...userData } = user;
@@ -394,10 +492,10 @@ app.put('/api/user/profile', authenticateToken, async (req, res) => {
 });
 
 // Change Password
-app.put('/api/user/password', authenticateToken, async (req, res) => {
+app.put('/api/user/password', authenticateToken, requireLogin, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
-    const user = users.get(req.user.email);
+    const user = userRepository.findUserById(req.user.userId);
 
     if (!user) {
       return res.status(404).json({
@@ -422,12 +520,14 @@ app.put('/api/user/password', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update password
-    user.password = hashPassword(newPassword);
+    // Update password and sign out every other session
+    userRepository.updateUser(user.id, { password: hashPassword(newPassword) });
+    const signedOut = userSessions.revokeAll(user.id, req.user.sid);
 
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      signedOutSessions: signedOut
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -438,9 +538,126 @@ app.put('/api/user/password', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal, but we can track it)
-app.post('/api/auth/logout', authenticateToken, (req, res) => {
-  // In a more sophisticated system, you'd add the token to a blacklist
+// List the user's API keys, including revoked ones
+app.get('/api/user/api-keys', authenticateToken, requireLogin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      apiKeys: userRepository.listApiKeys(req.user.userId).map(apiKeys.toPublicApiKey)
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys'
+    });
+  }
+});
+
+// Create an API key; the key itself is only returned here
+app.post('/api/user/api-keys', authenticateToken, requireLogin, (req, res) => {
+  try {
+    const { name, scopes, rooms, role, expiresInDays } = req.body;
+    const request = { name, scopes, rooms, role, expiresInDays };
+
+    const error = apiKeys.validateApiKeyRequest(request);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const activeKeys = userRepository.listApiKeys(req.user.userId).filter(apiKey => !apiKey.revokedAt);
+    if (activeKeys.length >= apiKeys.API_KEY_LIMITS.MAX_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `A user can have at most ${apiKeys.API_KEY_LIMITS.MAX_PER_USER} active API keys`
+      });
+    }
+
+    const generated = apiKeys.generateApiKey();
+    const apiKey = userRepository.createApiKey(apiKeys.createApiKeyRecord(req.user.userId, request, generated));
+
+    res.status(201).json({
+      success: true,
+      apiKey: apiKeys.toPublicApiKey(apiKey),
+      key: generated.key
+    });
+
+    console.log(`🗝️ API key created: ${apiKey.name} (${apiKey.prefix}…) for ${req.user.name}`);
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// Revoke an API key; it stops working immediately
+app.delete('/api/user/api-keys/:keyId', authenticateToken, requireLogin, (req, res) => {
+  try {
+    if (!userRepository.revokeApiKey(req.user.userId, req.params.keyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+    console.log(`🗝️ API key revoked: ${req.params.keyId} for ${req.user.name}`);
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+// List the user's active sessions, most recently used first
+app.get('/api/user/sessions', authenticateToken, requireLogin, (req, res) => {
+  res.json({
+    success: true,
+    sessions: userSessions.list(req.user.userId).map(session => ({
+      ...session,
+      current: session.id === req.user.sid
+    }))
+  });
+});
+
+// Sign out every session except the current one
+app.delete('/api/user/sessions', authenticateToken, requireLogin, (req, res) => {
+  const revoked = userSessions.revokeAll(req.user.userId, req.user.sid);
+  res.json({
+    success: true,
+    revoked: revoked
+  });
+});
+
+// Sign out one session; its access and refresh tokens stop working immediately
+app.delete('/api/user/sessions/:sessionId', authenticateToken, requireLogin, (req, res) => {
+  if (!userSessions.revoke(req.user.userId, req.params.sessionId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Session revoked'
+  });
+});
+
+// Logout: end the session behind the access token
+app.post('/api/auth/logout', authenticateToken, requireLogin, (req, res) => {
+  userSessions.revoke(req.user.userId, req.user.sid);
   res.json({
     success: true,
     message: 'Logged out successfully'
@@ -450,6 +667,7 @@ app.post('/api/auth/logout', authenticateToken, (req, res) => {
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Server error:', error);
+  errorsTotal.inc();
   res.status(500).json({
     success: false,
     error: 'Internal server error'
@@ -464,4 +682,4 @@ app.listen(PORT, () => {
   console.log(`📡 Ready for authentication requests`);
 });
 
-module.exports = { app, users, roomOwners };
+module.exports = { app, userRepository };
@@ -0,0 +1,131 @@
+// Chat history and moderation helpers for Dytor rooms
+//
+// History is a bounded, persistable list of messages. Every message gets an
+// increasing sequence number that doubles as the pagination cursor. Messages
+// appended on other room-server instances are merged in by id; two instances
+// appending at once can hand out the same seq, so ties are ordered by id.
+
+const crypto = require('crypto');
+
+const CHAT_LIMITS = {
+  HISTORY_SIZE: 200,
+  MAX_MESSAGE_LENGTH: 1000,
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 100
+};
+
+// Control characters (except tab/newline) and bidi overrides that can spoof text direction
+const UNSAFE_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F\u202A-\u202E\u2066-\u2069]/g;
+const HTML_TAGS = /<[^>]*>/g;
+
+function createChatHistory() {
+  return {
+    messages: [],
+    nextSeq: 1
+  };
+}
+
+// Clean up message text; returns { text } or { error }
+function sanitizeMessageText(text) {
+  if (typeof text !== 'string') {
+    return { error: 'Message must be a string' };
+  }
+
+  const cleaned = text
+    .replace(UNSAFE_CHARACTERS, '')
+    .replace(HTML_TAGS, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (!cleaned) {
+    return { error: 'Message cannot be empty' };
+  }
+  if (cleaned.length > CHAT_LIMITS.MAX_MESSAGE_LENGTH) {
+    return { error: `Message must be at most ${CHAT_LIMITS.MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  return { text: cleaned };
+}
+
+// Append a message, dropping the oldest once the history is full
+function addChatMessage(history, user, text) {
+  const message = {
+    id: crypto.randomUUID(),
+    seq: history.nextSeq++,
+    user: { id: user.id, name: user.name, role: user.role || null },
+    message: text,
+    timestamp: Date.now()
+  };
+
+  history.messages.push(message);
+  if (history.messages.length > CHAT_LIMITS.HISTORY_SIZE) {
+    history.messages.splice(0, history.messages.length - CHAT_LIMITS.HISTORY_SIZE);
+  }
+
+  return message;
+}
+
+// Add a message appended on another instance; returns false if it is already here
+function mergeChatMessage(history, message) {
+  if (history.messages.some(existing => existing.id === message.id)) return false;
+
+  history.messages.push(message);
+  history.messages.sort((a, b) => a.seq - b.seq || a.id.localeCompare(b.id));
+  history.nextSeq = Math.max(history.nextSeq, message.seq + 1);
+  if (history.messages.length > CHAT_LIMITS.HISTORY_SIZE) {
+    history.messages.splice(0, history.messages.length - CHAT_LIMITS.HISTORY_SIZE);
+  }
+  return true;
+}
+
+function deleteChatMessage(history, messageId) {
+  const index = history.messages.findIndex(message => message.id === messageId);
+  if (index === -1) return null;
+
+  return history.messages.splice(index, 1)[0];
+}
+
+// Newest messages first page; pass the returned cursor as `before` to go further back
+function getChatPage(history, { before = null, limit = CHAT_LIMITS.DEFAULT_PAGE_SIZE } = {}) {
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || CHAT_LIMITS.DEFAULT_PAGE_SIZE, CHAT_LIMITS.MAX_PAGE_SIZE));
+  const cursor = parseInt(before, 10);
+
+  const older = Number.isFinite(cursor)
+    ? history.messages.filter(message => message.seq < cursor)
+    : history.messages;
+
+  // Never split messages sharing a seq across pages, or the cursor would skip some
+  let start = Math.max(0, older.length - pageSize);
+  while (start > 0 && older[start - 1].seq === older[start].seq) start--;
+
+  const messages = older.slice(start);
+  const hasMore = start > 0;
+
+  return {
+    messages, // oldest to newest
+    nextCursor: hasMore ? messages[0].seq : null
+  };
+}
+
+// mutedUsers: userId -> mute expiry timestamp (null = until unmuted)
+function isMuted(mutedUsers, userId, now = Date.now()) {
+  if (!Object.hasOwn(mutedUsers, userId)) return false;
+
+  const until = mutedUsers[userId];
+  if (until !== null && until <= now) {
+    delete mutedUsers[userId];
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  CHAT_LIMITS,
+  createChatHistory,
+  sanitizeMessageText,
+  addChatMessage,
+  mergeChatMessage,
+  deleteChatMessage,
+  getChatPage,
+  isMuted
+};
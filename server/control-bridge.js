@@ -0,0 +1,220 @@
+// OSC and TCP control bridge for the Dytor remote server
+//
+// Lets production desks drive the controller without a WebSocket: OSC over UDP
+// (/dytor/timer/start, /dytor/time/add 60, ...) and a plain TCP line protocol
+// using the same addresses ("/dytor/time/add 60\n", answered with OK or ERR).
+// Timer updates are sent back as OSC to the configured feedback targets, and as
+// lines to connected TCP clients, for tally displays.
+
+const dgram = require('dgram');
+const net = require('net');
+const osc = require('./osc');
+
+const MAX_SECONDS = 24 * 60 * 60;
+
+// Role bridge commands act with unless configured otherwise: the desk running the
+// show needs every address below, stop, reset and fade included
+const DEFAULT_BRIDGE_ROLE = 'admin';
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_LINE_LENGTH = 1024;
+
+function secondsData(args) {
+  const seconds = Number(args[0]);
+  return Number.isFinite(seconds) && seconds > 0 && seconds <= MAX_SECONDS ? { seconds } : null;
+}
+
+function messageData(args) {
+  const message = args[0] === undefined || args[0] === null ? '' : String(args[0]).trim();
+  return message && message.length <= MAX_MESSAGE_LENGTH ? { message } : null;
+}
+
+// Address -> REMOTE_CONTROL action, and how to build its data from the arguments
+const BRIDGE_ADDRESSES = {
+  '/dytor/timer/start': { action: 'START_RESUME' },
+  '/dytor/timer/resume': { action: 'START_RESUME' },
+  '/dytor/timer/pause': { action: 'PAUSE' },
+  '/dytor/timer/stop': { action: 'STOP' },
+  '/dytor/timer/reset': { action: 'RESET' },
+  '/dytor/time/add': { action: 'ADD_TIME', data: secondsData, usage: `a number of seconds up to ${MAX_SECONDS}` },
+  '/dytor/time/subtract': { action: 'SUBTRACT_TIME', data: secondsData, usage: `a number of seconds up to ${MAX_SECONDS}` },
+  '/dytor/message/send': { action: 'SEND_MESSAGE', data: messageData, usage: `a message of up to ${MAX_MESSAGE_LENGTH} characters` },
+  '/dytor/message/show': { action: 'SHOW_MESSAGE' },
+  '/dytor/message/flash': { action: 'FLASH_MESSAGE' },
+  '/dytor/display/fade': { action: 'FADE_TO_BLACK' }
+};
+
+// { action, data } for an address and its arguments, or { error }.
+// Actions are REMOTE_CONTROL actions; roles.getActionPermission names the permission each needs.
+function resolveCommand(address, args) {
+  const spec = BRIDGE_ADDRESSES[address];
+  if (!spec) {
+    return { error: `Unknown address: ${address}` };
+  }
+  if (!spec.data) {
+    return { action: spec.action, data: {} };
+  }
+
+  const data = spec.data(args);
+  return data ? { action: spec.action, data } : { error: `${address} expects ${spec.usage}` };
+}
+
+// Same format as the remote page: M:SS or H:MM:SS
+function formatClock(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds || 0));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+}
+
+// Feedback messages ([address, args]) for a TIMER_UPDATE payload
+function timerFeedback(timer) {
+  return [
+    ['/dytor/timer/time', [Math.round(timer.currentTime || 0)]],
+    ['/dytor/timer/display', [formatClock(timer.currentTime)]],
+    ['/dytor/timer/paused', [timer.paused ? 1 : 0]],
+    ['/dytor/timer/timeup', [timer.isTimeUp ? 1 : 0]],
+    ['/dytor/timer/title', [timer.title || '']]
+  ];
+}
+
+// "host:port,host:port" -> [{ host, port }]
+function parseTargets(value) {
+  return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.lastIndexOf(':');
+    const host = entry.slice(0, separator).replace(/^\[|\]$/g, '');
+    const port = parseInt(entry.slice(separator + 1), 10);
+    if (separator <= 0 || !Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`Invalid OSC feedback target: ${entry}`);
+    }
+    return { host, port };
+  });
+}
+
+function normalizeAddress(address) {
+  return String(address).replace(/^::ffff:/, '');
+}
+
+// Start the configured listeners. onCommand({ source, remote, address, action, data })
+// forwards a command and returns { outcome, reason } (outcome as in the audit log).
+// allowedHosts, when given, lists the only source addresses accepted.
+function createControlBridge({ host = '0.0.0.0', oscPort = null, tcpPort = null, feedbackTargets = [], allowedHosts = null, onCommand }) {
+  const tcpClients = new Set();
+  let udpSocket = null;
+  let tcpServer = null;
+
+  function isAllowed(address) {
+    return !allowedHosts || allowedHosts.includes(normalizeAddress(address));
+  }
+
+  function handleCommand(source, remote, address, args) {
+    const command = resolveCommand(address, args);
+    if (command.error) {
+      console.log(`🎛️ Ignored ${source} command from ${remote}: ${command.error}`);
+      return { outcome: 'failed', reason: command.error };
+    }
+
+    const result = onCommand({ source, remote, address, action: command.action, data: command.data });
+    if (result.outcome !== 'success') {
+      console.log(`🎛️ ${command.action} from ${source} ${remote} ${result.outcome}: ${result.reason}`);
+    }
+    return result;
+  }
+
+  if (oscPort || feedbackTargets.length > 0) {
+    udpSocket = dgram.createSocket('udp4');
+    udpSocket.on('error', (error) => {
+      console.error('OSC socket error:', error.message);
+    });
+  }
+
+  if (oscPort) {
+    udpSocket.on('message', (packet, rinfo) => {
+      if (!isAllowed(rinfo.address)) return;
+
+      let messages;
+      try {
+        messages = osc.decodePacket(packet);
+      } catch (error) {
+        console.log(`🎛️ Ignored malformed OSC packet from ${rinfo.address}: ${error.message}`);
+        return;
+      }
+      messages.forEach(message => handleCommand('osc', `${rinfo.address}:${rinfo.port}`, message.address, message.args));
+    });
+    udpSocket.bind(oscPort, host, () => {
+      console.log(`🎛️ OSC control listening on udp://${host}:${oscPort}`);
+    });
+  }
+
+  if (tcpPort) {
+    tcpServer = net.createServer((socket) => {
+      if (!isAllowed(socket.remoteAddress)) {
+        socket.destroy();
+        return;
+      }
+
+      const remote = `${normalizeAddress(socket.remoteAddress)}:${socket.remotePort}`;
+      let buffered = '';
+      tcpClients.add(socket);
+      socket.setEncoding('utf8');
+
+      socket.on('data', (chunk) => {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        if (buffered.length > MAX_LINE_LENGTH) {
+          socket.end('ERR Line too long\n');
+          return;
+        }
+
+        lines.map(line => line.trim()).filter(Boolean).forEach((line) => {
+          // "<address> [argument]"; everything after the address is one argument
+          const [address] = line.split(/\s+/, 1);
+          const argument = line.slice(address.length).trim();
+          const result = handleCommand('tcp', remote, address, argument ? [argument] : []);
+          socket.write(result.outcome === 'success' ? 'OK\n' : `ERR ${result.reason}\n`);
+        });
+      });
+      socket.on('close', () => tcpClients.delete(socket));
+      socket.on('error', () => tcpClients.delete(socket));
+    });
+    tcpServer.on('error', (error) => {
+      console.error('TCP control server error:', error.message);
+    });
+    tcpServer.listen(tcpPort, host, () => {
+      console.log(`🎛️ TCP control listening on tcp://${host}:${tcpPort}`);
+    });
+  }
+
+  return {
+    // Echo a TIMER_UPDATE to feedback targets and TCP clients
+    sendTimerFeedback(timer) {
+      if (!timer || typeof timer !== 'object') return;
+      const messages = timerFeedback(timer);
+
+      if (udpSocket) {
+        messages.forEach(([address, args]) => {
+          const packet = osc.encodeMessage(address, args);
+          feedbackTargets.forEach(target => udpSocket.send(packet, target.port, target.host));
+        });
+      }
+      tcpClients.forEach((socket) => {
+        socket.write(messages.map(([address, args]) => `${address} ${args.join(' ')}\n`).join(''));
+      });
+    },
+
+    close() {
+      if (udpSocket) udpSocket.close();
+      if (tcpServer) tcpServer.close();
+      tcpClients.forEach(socket => socket.destroy());
+    }
+  };
+}
+
+module.exports = {
+  BRIDGE_ADDRESSES,
+  DEFAULT_BRIDGE_ROLE,
+  resolveCommand,
+  parseTargets,
+  createControlBridge
+};
@@ -0,0 +1,112 @@
+// Server-Sent Events streams for the Dytor room server
+//
+// Read-only subscribers (signage players, kiosks) receive room broadcasts as SSE.
+// Each room keeps a short buffer of recent events so a client reconnecting with
+// Last-Event-ID gets what it missed; event ids are only meaningful on the
+// instance that issued them, so clients landing elsewhere get a fresh snapshot.
+
+const DEFAULT_BUFFER_SIZE = 100;
+const KEEPALIVE_INTERVAL = 15 * 1000; // comment lines keep proxies from closing idle streams
+const RETRY_DELAY = 3000; // reconnect delay suggested to EventSource clients
+
+function writeEvent(res, id, message) {
+  res.write(`id: ${id}\nevent: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function createRoomStreams({ instanceId, bufferSize = DEFAULT_BUFFER_SIZE }) {
+  const prefix = instanceId.slice(0, 8);
+  const rooms = new Map(); // roomCode -> { clients: Set<res>, buffer: [{ seq, message }], nextSeq }
+
+  function getRoom(roomCode) {
+    let entry = rooms.get(roomCode);
+    if (!entry) {
+      entry = { clients: new Set(), buffer: [], nextSeq: 1 };
+      rooms.set(roomCode, entry);
+    }
+    return entry;
+  }
+
+  // Events after lastEventId, or null when it cannot be resumed here
+  function eventsSince(entry, lastEventId) {
+    const [idPrefix, rawSeq] = String(lastEventId || '').split(':');
+    const lastSeq = parseInt(rawSeq, 10);
+    if (idPrefix !== prefix || !Number.isFinite(lastSeq) || lastSeq >= entry.nextSeq) return null;
+
+    const oldest = entry.buffer.length > 0 ? entry.buffer[0].seq : entry.nextSeq;
+    if (lastSeq + 1 < oldest) return null; // fell out of the buffer
+    return entry.buffer.filter(event => event.seq > lastSeq);
+  }
+
+  return {
+    // Start streaming a room to an HTTP response. snapshot() returns the messages a
+    // client that cannot resume needs first (e.g. the current room state).
+    open(roomCode, req, res, snapshot) {
+      const entry = getRoom(roomCode);
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // disable nginx response buffering
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+      const missed = eventsSince(entry, req.get('Last-Event-ID') || req.query.lastEventId);
+      if (missed) {
+        missed.forEach(event => writeEvent(res, `${prefix}:${event.seq}`, event.message));
+      } else {
+        snapshot().forEach(message => writeEvent(res, `${prefix}:${entry.nextSeq - 1}`, message));
+      }
+
+      entry.clients.add(res);
+      const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+      req.on('close', () => {
+        clearInterval(keepalive);
+        entry.clients.delete(res);
+      });
+    },
+
+    // Buffer and send a broadcast; rooms nobody has streamed are skipped
+    publish(roomCode, message) {
+      const entry = rooms.get(roomCode);
+      if (!entry) return;
+
+      const seq = entry.nextSeq++;
+      entry.buffer.push({ seq, message });
+      if (entry.buffer.length > bufferSize) entry.buffer.shift();
+
+      entry.clients.forEach(res => writeEvent(res, `${prefix}:${seq}`, message));
+    },
+
+    // End a room's streams, optionally with a final message, and drop its buffer
+    close(roomCode, finalMessage = null) {
+      const entry = rooms.get(roomCode);
+      if (!entry) return;
+
+      entry.clients.forEach((res) => {
+        if (finalMessage) writeEvent(res, `${prefix}:${entry.nextSeq}`, finalMessage);
+        res.end();
+      });
+      rooms.delete(roomCode);
+    },
+
+    closeAll(finalMessage = null) {
+      Array.from(rooms.keys()).forEach(roomCode => this.close(roomCode, finalMessage));
+    },
+
+    countClients(roomCode) {
+      return rooms.get(roomCode)?.clients.size || 0;
+    },
+
+    get size() {
+      let total = 0;
+      rooms.forEach(entry => { total += entry.clients.size; });
+      return total;
+    }
+  };
+}
+
+module.exports = {
+  createRoomStreams
+};
@@ -0,0 +1,93 @@
+// HELLO handshake shared by the Dytor servers
+//
+// Clients open with HELLO, declaring the protocol version they speak and the
+// optional capabilities they understand. Clients that skip the handshake are
+// treated as protocol version 1, which predates HELLO.
+
+const { version: SERVER_VERSION } = require('../package.json');
+
+const PROTOCOL_VERSION = 2;
+const LEGACY_PROTOCOL_VERSION = 1;
+
+// Oldest protocol version still accepted; raising it above 1 makes HELLO mandatory
+const MIN_PROTOCOL_VERSION = Math.min(
+  parseInt(process.env.MIN_PROTOCOL_VERSION, 10) || LEGACY_PROTOCOL_VERSION,
+  PROTOCOL_VERSION
+);
+
+// Session details for a client that never sent HELLO
+function createLegacySession() {
+  return {
+    protocolVersion: LEGACY_PROTOCOL_VERSION,
+    client: null,
+    capabilities: [],
+    legacy: true
+  };
+}
+
+function isHandshakeRequired() {
+  return MIN_PROTOCOL_VERSION > LEGACY_PROTOCOL_VERSION;
+}
+
+// Agree on a protocol version and capabilities; returns { session, reply } or { error }
+function negotiateHandshake(hello, serverName, features) {
+  const requested = hello.protocolVersion;
+
+  if (requested < MIN_PROTOCOL_VERSION) {
+    const supported = MIN_PROTOCOL_VERSION === PROTOCOL_VERSION
+      ? `version ${PROTOCOL_VERSION}`
+      : `versions ${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}`;
+    return {
+      error: `Protocol version ${requested} is no longer supported; please upgrade to a client that speaks ${supported}`
+    };
+  }
+
+  // Newer clients fall back to the server's version
+  const protocolVersion = Math.min(requested, PROTOCOL_VERSION);
+  const capabilities = [...new Set(hello.capabilities || [])].filter(capability => features.includes(capability));
+
+  const session = {
+    protocolVersion,
+    client: {
+      name: hello.client?.name || null,
+      version: hello.client?.version || null,
+      platform: hello.client?.platform || null
+    },
+    capabilities,
+    legacy: false
+  };
+
+  const reply = {
+    type: 'HELLO_ACK',
+    protocolVersion,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    maxProtocolVersion: PROTOCOL_VERSION,
+    server: { name: serverName, version: SERVER_VERSION },
+    features,
+    capabilities
+  };
+
+  return { session, reply };
+}
+
+// Client details safe to show in user lists
+function describeClientSession(session) {
+  return {
+    name: session.client?.name || null,
+    version: session.client?.version || null,
+    platform: session.client?.platform || null,
+    protocolVersion: session.protocolVersion,
+    capabilities: session.capabilities
+  };
+}
+
+module.exports = {
+  SERVER_VERSION,
+  PROTOCOL_VERSION,
+  LEGACY_PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  createLegacySession,
+  isHandshakeRequired,
+  negotiateHandshake,
+  describeClientSession
+};
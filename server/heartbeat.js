@@ -0,0 +1,38 @@
+// Ping/pong heartbeats for the Dytor WebSocket servers
+//
+// Every interval each socket is pinged; one that has not answered the previous
+// ping is terminated, which fires its normal 'close' handling. This catches
+// half-open connections (e.g. phones that lost signal) that never send a close.
+
+const DEFAULT_HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+
+function startHeartbeat(wss, interval = DEFAULT_HEARTBEAT_INTERVAL) {
+  wss.on('connection', (ws) => {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+  });
+
+  const timer = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (ws.isAlive === false) {
+        console.log('💔 Terminating unresponsive WebSocket connection');
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, interval);
+
+  wss.on('close', () => clearInterval(timer));
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DEFAULT_HEARTBEAT_INTERVAL,
+  startHeartbeat
+};
@@ -0,0 +1,112 @@
+// Verification of auth-server JWTs for room hosts
+const jwt = require('jsonwebtoken');
+const { createUserRepository } = require('./user-repository');
+const { authenticateApiKey } = require('./api-keys');
+const { isSessionActive } = require('./sessions');
+
+// Same secret as auth-server, or its RS256 public key when one is configured.
+// With neither, every JWT is refused: a built-in default secret would be public,
+// and anyone could sign host tokens with it.
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_PUBLIC_KEY = process.env.JWT_PUBLIC_KEY || null;
+
+if (!JWT_SECRET && !JWT_PUBLIC_KEY) {
+  console.warn('⚠️ Neither JWT_SECRET nor JWT_PUBLIC_KEY is set: auth-server tokens will be refused');
+} else if (!process.env.AUTH_DB_PATH) {
+  console.warn('⚠️ AUTH_DB_PATH is not set: signed-out and revoked sessions keep working until their access tokens expire');
+}
+
+function verifyJwt(token) {
+  if (!JWT_SECRET && !JWT_PUBLIC_KEY) return null;
+
+  try {
+    if (JWT_PUBLIC_KEY) {
+      return jwt.verify(token, JWT_PUBLIC_KEY, { algorithms: ['RS256'] });
+    }
+    return jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (error) {
+    return null;
+  }
+}
+
+// Claims of a valid access token. With AUTH_DB_PATH set, its session (sid) must
+// also still be active in auth-server's database, so signing out or revoking a
+// session locks its tokens out of rooms too; tokens without a sid are refused,
+// as auth-server does. Without the database only the signature and expiry count,
+// so a revoked session's access tokens stay valid until they expire (15 minutes by default).
+function verifyAccessToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const claims = verifyJwt(token);
+  if (!claims || !process.env.AUTH_DB_PATH) return claims;
+
+  try {
+    const session = claims.sid ? getAuthRepository().findSession(claims.sid) : null;
+    return isSessionActive(session, claims.userId) ? claims : null;
+  } catch (error) {
+    console.error('Session lookup failed:', error.message);
+    return null;
+  }
+}
+
+// Pull the token out of an "Authorization: Bearer TOKEN" header
+function extractBearerToken(req) {
+  const authHeader = req.headers['authorization'];
+  return (authHeader && authHeader.split(' ')[1]) || null;
+}
+
+// auth-server's database, shared by the lookups below (requires AUTH_DB_PATH to
+// point at it). It is opened read-only: auth-server owns the schema and runs its
+// migrations, so this process never races it. Opening is retried on the next
+// lookup if auth-server has not created the database yet.
+let authRepository = null;
+function getAuthRepository() {
+  if (!authRepository) {
+    const repository = createUserRepository({ type: 'sqlite', path: process.env.AUTH_DB_PATH, readonly: true });
+    // Key use is recorded by auth-server only; this connection cannot write
+    authRepository = { ...repository, touchApiKey: () => {} };
+  }
+  return authRepository;
+}
+
+// Look up room owners recorded by auth-server
+function createOwnershipLookup() {
+  if (!process.env.AUTH_DB_PATH) {
+    return () => null;
+  }
+
+  return (roomCode) => {
+    try {
+      return getAuthRepository().getRoomOwner(roomCode);
+    } catch (error) {
+      console.error('Room ownership lookup failed:', error.message);
+      return null;
+    }
+  };
+}
+
+// Resolve auth-server API keys to JWT-like claims plus the key ({ userId, name, apiKey })
+function createApiKeyLookup() {
+  if (!process.env.AUTH_DB_PATH) {
+    return () => null;
+  }
+
+  return (token) => {
+    try {
+      const userRepository = getAuthRepository();
+      const apiKey = authenticateApiKey(userRepository, token);
+      const user = apiKey && userRepository.findUserById(apiKey.userId);
+      return user ? { userId: user.id, name: user.name, apiKey } : null;
+    } catch (error) {
+      console.error('API key lookup failed:', error.message);
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  verifyAccessToken,
+  extractBearerToken,
+  createOwnershipLookup,
+  createApiKeyLookup
+};
@@ -0,0 +1,146 @@
+// Minimal Prometheus metrics for the Dytor servers
+//
+// Counters, gauges and histograms rendered in the Prometheus text exposition
+// format. Gauges can be given a collect function that is called on each scrape.
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]; // seconds
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Stable key for a label set
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function createMetricsRegistry(prefix) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help) {
+    const series = new Map(); // labelKey -> { labels, value }
+    return register({
+      name: `${prefix}_${name}`,
+      help,
+      type: 'counter',
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      samples: () => Array.from(series.values()).map(({ labels, value }) => ({ suffix: '', labels, value }))
+    });
+  }
+
+  // collect() may return a number or a list of { labels, value }
+  function gauge(name, help, collect) {
+    return register({
+      name: `${prefix}_${name}`,
+      help,
+      type: 'gauge',
+      samples: () => {
+        const result = collect();
+        const values = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+        return values.map(({ labels, value }) => ({ suffix: '', labels, value }));
+      }
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // labelKey -> { labels, counts, sum, count }
+    return register({
+      name: `${prefix}_${name}`,
+      help,
+      type: 'histogram',
+      observe(labels = {}, value) {
+        const key = labelKey(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      // Time a function call in seconds
+      time(labels, fn) {
+        const start = process.hrtime.bigint();
+        try {
+          return fn();
+        } finally {
+          this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+      },
+      samples: () => Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => ({ suffix: '_bucket', labels: { ...labels, le: bound }, value: counts[index] })),
+        { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+        { suffix: '_sum', labels, value: sum },
+        { suffix: '_count', labels, value: count }
+      ])
+    });
+  }
+
+  // Process metrics every server exposes
+  gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+  gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.samples().map(({ suffix, labels, value }) => `${metric.name}${suffix}${formatLabels(labels)} ${value}`)
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Express handler for GET /metrics; set METRICS_TOKEN to require a bearer token
+function metricsHandler(registry) {
+  return (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ success: false, error: 'Metrics token required' });
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(registry.render());
+  };
+}
+
+// Counts HTTP requests by method, route and status code
+function httpMetricsMiddleware(requestCounter) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      // Label by route pattern (first path for routes with aliases) to keep cardinality bounded
+      const routePath = req.route && [].concat(req.route.path)[0];
+      requestCounter.inc({
+        method: req.method,
+        route: routePath ? `${req.baseUrl}${routePath}` : 'unmatched',
+        status: res.statusCode
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  createMetricsRegistry,
+  metricsHandler,
+  httpMetricsMiddleware
+};
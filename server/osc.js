@@ -0,0 +1,159 @@
+// Minimal OSC 1.0 encoding and decoding for the control bridge
+//
+// Supports the argument types lighting and sound desks send in practice
+// (i, f, d, h, s, b, T, F, N, I) and bundles, whose time tags are ignored:
+// every message is handled as soon as it arrives.
+
+function padLength(length) {
+  return (length + 3) & ~3;
+}
+
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    throw new Error('Unterminated OSC string');
+  }
+  return { value: buffer.toString('utf8', offset, end), next: padLength(end + 1) };
+}
+
+function decodeMessage(buffer) {
+  const address = readString(buffer, 0);
+  if (!address.value.startsWith('/')) {
+    throw new Error('OSC address must start with /');
+  }
+
+  // Old implementations may omit the type tags entirely
+  if (address.next >= buffer.length) {
+    return { address: address.value, args: [] };
+  }
+
+  const tags = readString(buffer, address.next);
+  if (!tags.value.startsWith(',')) {
+    throw new Error('OSC type tags must start with ,');
+  }
+
+  const args = [];
+  let offset = tags.next;
+  const need = (bytes) => {
+    if (offset + bytes > buffer.length) throw new Error('OSC message is truncated');
+  };
+
+  for (const tag of tags.value.slice(1)) {
+    switch (tag) {
+      case 'i':
+        need(4);
+        args.push(buffer.readInt32BE(offset));
+        offset += 4;
+        break;
+      case 'f':
+        need(4);
+        args.push(buffer.readFloatBE(offset));
+        offset += 4;
+        break;
+      case 'd':
+        need(8);
+        args.push(buffer.readDoubleBE(offset));
+        offset += 8;
+        break;
+      case 'h':
+        need(8);
+        args.push(Number(buffer.readBigInt64BE(offset)));
+        offset += 8;
+        break;
+      case 's': {
+        const string = readString(buffer, offset);
+        args.push(string.value);
+        offset = string.next;
+        break;
+      }
+      case 'b': {
+        need(4);
+        const size = buffer.readInt32BE(offset);
+        need(4 + size);
+        args.push(buffer.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + padLength(size);
+        break;
+      }
+      case 'T':
+        args.push(true);
+        break;
+      case 'F':
+        args.push(false);
+        break;
+      case 'N':
+      case 'I':
+        args.push(null);
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag: ${tag}`);
+    }
+  }
+
+  return { address: address.value, args };
+}
+
+// Decode a packet into its messages ({ address, args }), flattening bundles
+function decodePacket(buffer, depth = 0) {
+  if (buffer.length === 0 || buffer.length % 4 !== 0) {
+    throw new Error('OSC packet size must be a non-zero multiple of 4');
+  }
+
+  if (buffer.toString('ascii', 0, 8) !== '#bundle\0') {
+    return [decodeMessage(buffer)];
+  }
+  if (depth >= 8) {
+    throw new Error('OSC bundles are nested too deeply');
+  }
+
+  const messages = [];
+  let offset = 16; // "#bundle\0" and the 8-byte time tag
+  while (offset < buffer.length) {
+    if (offset + 4 > buffer.length) throw new Error('OSC bundle is truncated');
+    const size = buffer.readInt32BE(offset);
+    if (size <= 0 || offset + 4 + size > buffer.length) throw new Error('OSC bundle is truncated');
+    messages.push(...decodePacket(buffer.subarray(offset + 4, offset + 4 + size), depth + 1));
+    offset += 4 + size;
+  }
+  return messages;
+}
+
+function encodeString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  const buffer = Buffer.alloc(padLength(bytes.length + 1));
+  bytes.copy(buffer);
+  return buffer;
+}
+
+// Encode one message; integers become i, other numbers f, booleans T/F, null N
+function encodeMessage(address, args = []) {
+  let tags = ',';
+  const parts = [];
+
+  args.forEach((arg) => {
+    if (typeof arg === 'number' && Number.isInteger(arg) && arg >= -0x80000000 && arg <= 0x7fffffff) {
+      const part = Buffer.alloc(4);
+      part.writeInt32BE(arg);
+      tags += 'i';
+      parts.push(part);
+    } else if (typeof arg === 'number') {
+      const part = Buffer.alloc(4);
+      part.writeFloatBE(arg);
+      tags += 'f';
+      parts.push(part);
+    } else if (typeof arg === 'boolean') {
+      tags += arg ? 'T' : 'F';
+    } else if (arg === null || arg === undefined) {
+      tags += 'N';
+    } else {
+      tags += 's';
+      parts.push(encodeString(String(arg)));
+    }
+  });
+
+  return Buffer.concat([encodeString(address), encodeString(tags), ...parts]);
+}
+
+module.exports = {
+  decodePacket,
+  encodeMessage
+};
@@ -0,0 +1,227 @@
+// Message schemas for the Dytor WebSocket protocols
+const { string, number, integer, boolean, object, array, any, optional, nullable } = require('./protocol');
+
+// Machine-readable codes carried by ERROR replies
+const ERROR_CODES = [
+  // Protocol
+  'INVALID_JSON',
+  'INVALID_MESSAGE',
+  'UNKNOWN_MESSAGE_TYPE',
+  'VALIDATION_FAILED',
+  'INTERNAL_ERROR',
+  'RATE_LIMITED',
+  'HANDSHAKE_REQUIRED',
+  'HANDSHAKE_ALREADY_COMPLETED',
+  'UNSUPPORTED_PROTOCOL_VERSION',
+  // Rooms and membership
+  'ROOM_NOT_FOUND',
+  'USER_NOT_FOUND',
+  'ROOM_FULL',
+  'VIEWERS_NOT_ALLOWED',
+  'SPEAKERS_NOT_ALLOWED',
+  'SESSION_EXPIRED',
+  'JOIN_REQUEST_NOT_FOUND',
+  // Hosting and authorization
+  'INVALID_TOKEN',
+  'HOST_AUTH_REQUIRED',
+  'HOST_ALREADY_CONNECTED',
+  'NOT_ROOM_OWNER',
+  'HOST_ONLY',
+  'HOST_NOT_CONNECTED',
+  'HOST_RECONNECTING',
+  // Features
+  'INVALID_TIMER_ACTION',
+  'INVALID_SCHEDULE_ACTION',
+  'INVALID_ROLE',
+  'INVALID_SETTINGS',
+  'INVALID_CHAT_MESSAGE',
+  'MESSAGE_NOT_FOUND',
+  'MUTED'
+];
+
+const roomCode = string({ minLength: 1, maxLength: 32 });
+const id = string({ minLength: 1, maxLength: 128 });
+const token = string({ maxLength: 4096 });
+const publicUser = object({ id: id, name: string() });
+const roomSummary = object({ code: roomCode, settings: object(), userCount: integer({ min: 0 }) });
+
+const ERROR_SCHEMA = {
+  code: string({ enum: ERROR_CODES }),
+  message: string(),
+  messageType: nullable(string()),
+  correlationId: string(),
+  retryAfter: optional(integer({ min: 0 })) // seconds, on RATE_LIMITED
+};
+
+const HELLO_SCHEMA = {
+  protocolVersion: integer({ min: 0 }),
+  client: optional(object({
+    name: optional(string({ maxLength: 100 })),
+    version: optional(string({ maxLength: 32 })),
+    platform: optional(string({ maxLength: 32 }))
+  })),
+  capabilities: optional(array(string({ maxLength: 64 }), { maxItems: 50 }))
+};
+
+const HELLO_ACK_SCHEMA = {
+  protocolVersion: integer({ min: 1 }),
+  minProtocolVersion: integer({ min: 1 }),
+  maxProtocolVersion: integer({ min: 1 }),
+  server: object({ name: string(), version: string() }),
+  features: array(string()),
+  capabilities: array(string())
+};
+
+const PERMISSION_DENIED_SCHEMA = {
+  action: string(),
+  message: string()
+};
+
+// room-server.js
+const ROOM_PROTOCOL = {
+  inbound: {
+    HELLO: HELLO_SCHEMA,
+    REGISTER_HOST: { roomCode, hostInfo: optional(object()), token: optional(token) },
+    JOIN_ROOM: {
+      roomCode,
+      clientType: optional(string({ maxLength: 32 })),
+      clientInfo: optional(object({
+        name: optional(string({ maxLength: 100 })),
+        role: optional(string({ maxLength: 32 }))
+      })),
+      token: optional(token)
+    },
+    LEAVE_ROOM: { roomCode },
+    REGISTER_USER: { roomCode, userId: id, userInfo: optional(object()) },
+    RESUME_SESSION: { resumeToken: id },
+    ROOM_STATE_UPDATE: { state: object() },
+    TIMER_CONTROL: {
+      action: string({ enum: ['SET', 'START', 'RESUME', 'START_RESUME', 'PAUSE', 'ADD_TIME', 'SUBTRACT_TIME', 'STOP', 'RESET'] }),
+      data: optional(object())
+    },
+    USER_COMMAND: { command: string({ maxLength: 64 }), data: optional(any()) },
+    COMMAND_ACK: {
+      commandId: id,
+      success: optional(boolean()),
+      result: optional(any()),
+      error: optional(string({ maxLength: 500 }))
+    },
+    CHAT_MESSAGE: { message: string({ maxLength: 4000 }) },
+    DELETE_CHAT_MESSAGE: { messageId: id },
+    MUTE_USER: { userId: id, duration: optional(number({ min: 0 })) },
+    UNMUTE_USER: { userId: id },
+    SCHEDULE_GET: {},
+    SCHEDULE_ADD: { segment: object(), position: optional(integer({ min: 0 })) },
+    SCHEDULE_EDIT: { segmentId: id, changes: object() },
+    SCHEDULE_REORDER: { order: array(id, { maxItems: 500 }) },
+    SCHEDULE_REMOVE: { segmentId: id },
+    SCHEDULE_ADVANCE: { segmentId: optional(id), autoStart: optional(boolean()) },
+    DEFINE_ROLE: { role: string({ maxLength: 32 }), permissions: array(string({ maxLength: 64 }), { maxItems: 100 }) },
+    REMOVE_ROLE: { role: string({ maxLength: 32 }) },
+    SET_USER_ROLE: { userId: id, role: string({ maxLength: 32 }) },
+    APPROVE_JOIN: { requestId: id, role: optional(string({ maxLength: 32 })) },
+    DENY_JOIN: { requestId: id, reason: optional(string({ maxLength: 200 })) },
+    UPDATE_SETTINGS: { settings: object() },
+    ADD_CO_HOST: { userId: id },
+    REMOVE_CO_HOST: { userId: id }
+  },
+
+  outbound: {
+    HELLO_ACK: HELLO_ACK_SCHEMA,
+    ERROR: ERROR_SCHEMA,
+    PERMISSION_DENIED: PERMISSION_DENIED_SCHEMA,
+    SERVER_RESTARTING: { reconnectDelay: integer({ min: 0 }), reason: string() },
+    ROOM_JOINED: {
+      roomCode,
+      userId: id,
+      resumeToken: id,
+      clients: array(publicUser),
+      schedule: object(),
+      chatHistory: object({ messages: array() }),
+      room: roomSummary
+    },
+    ROOM_INFO: { resumeToken: id, room: roomSummary },
+    ROOM_STATE: { state: object(), isHostConnected: boolean(), resumeToken: id },
+    ROOM_STATE_UPDATE: { state: object() },
+    SESSION_RESUMED: {
+      roomCode,
+      userId: id,
+      resumeToken: id,
+      user: publicUser,
+      clients: array(publicUser),
+      room: roomSummary,
+      state: object(),
+      missedCount: integer({ min: 0 })
+    },
+    ROOM_CLIENT_JOINED: { client: publicUser },
+    ROOM_CLIENT_LEFT: { clientId: id },
+    ROOM_CLIENT_RECONNECTING: { clientId: id },
+    ROOM_CLIENT_RECONNECTED: { clientId: id },
+    HOST_CONNECTED: { host: object({ id: id }) },
+    HOST_RECONNECTING: { gracePeriod: integer({ min: 0 }) },
+    HOST_DISCONNECTED: {},
+    USER_JOINED: { user: publicUser },
+    USER_LEFT: { user: publicUser },
+    USER_RECONNECTING: { user: publicUser, gracePeriod: integer({ min: 0 }) },
+    USER_RECONNECTED: { user: publicUser },
+    USER_UPDATED: { user: publicUser },
+    USER_COMMAND: { user: publicUser, command: string(), commandId: optional(id) },
+    CHAT_MESSAGE: { message: object({ id: id, seq: integer(), user: object(), message: string(), timestamp: number() }) },
+    CHAT_MESSAGE_DELETED: { messageId: id },
+    USER_MUTED: { userId: id, until: nullable(number()) },
+    USER_UNMUTED: { userId: id },
+    SCHEDULE_UPDATED: { schedule: object({ segments: array(), currentIndex: integer({ min: -1 }) }) },
+    ROLES_UPDATED: { roles: object() },
+    ROLE_ASSIGNED: { role: string(), permissions: array(string()) },
+    CO_HOSTS_UPDATED: { coHosts: array(id) },
+    ROOM_SETTINGS_UPDATED: { settings: object() },
+    JOIN_PENDING: { roomCode, requestId: id, expiresAt: number() },
+    JOIN_DENIED: { code: string(), roomCode, reason: string() },
+    JOIN_REQUEST: { request: object({ id: id, name: string() }) },
+    JOIN_REQUEST_EXPIRED: { requestId: id },
+    JOIN_REQUEST_CANCELLED: { requestId: id },
+    REPLAY_STARTED: { speed: number({ min: 0 }), eventCount: integer({ min: 0 }), duration: integer({ min: 0 }) },
+    REPLAY_FINISHED: { stopped: boolean() }
+  }
+};
+
+// websocket-server.js (local network controller/remote/display)
+const REMOTE_PROTOCOL = {
+  inbound: {
+    HELLO: HELLO_SCHEMA,
+    REGISTER_CONTROLLER: {},
+    REGISTER_REMOTE: {
+      name: optional(string({ maxLength: 100 })),
+      role: optional(string({ maxLength: 32 })),
+      permissions: optional(array(string({ maxLength: 64 }), { maxItems: 50 })),
+      speakerName: optional(string({ maxLength: 100 }))
+    },
+    REGISTER_DISPLAY: { data: optional(object({ url: optional(string({ maxLength: 2048 })) })) },
+    TIMER_UPDATE: { data: any() },
+    MESSAGE_UPDATE: { data: any() },
+    REMOTE_CONTROL: { action: string({ maxLength: 64 }), data: optional(any()) },
+    GRANT_PERMISSIONS: { clientId: number(), permissions: array(string({ maxLength: 64 }), { maxItems: 50 }) }
+  },
+
+  outbound: {
+    HELLO_ACK: HELLO_ACK_SCHEMA,
+    ERROR: ERROR_SCHEMA,
+    PERMISSION_DENIED: PERMISSION_DENIED_SCHEMA,
+    CONTROLLER_STATUS: { connected: boolean() },
+    REMOTE_CONNECTED: { data: object({ clientId: number(), name: string() }) },
+    REMOTE_COUNT: { count: integer({ min: 0 }) },
+    DISPLAY_CONNECTED: { data: object({ clientId: number(), name: string() }) },
+    DISPLAY_DISCONNECTED: { data: object({ clientId: number(), name: string() }) },
+    REQUEST_CURRENT_STATE: { targetClientId: number() },
+    TIMER_UPDATE: { data: any() },
+    MESSAGE_UPDATE: { data: any() },
+    REMOTE_CONTROL: { action: string(), data: optional(any()) },
+    PERMISSIONS_GRANTED: { permissions: array(string()) }
+  }
+};
+
+module.exports = {
+  ERROR_CODES,
+  ROOM_PROTOCOL,
+  REMOTE_PROTOCOL
+};
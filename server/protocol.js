@@ -0,0 +1,144 @@
+// WebSocket protocol validation for the Dytor servers
+//
+// Schemas map each message type to its fields. Field specs are built with the
+// helpers below; fields not listed in a schema are allowed and passed through.
+
+const string = (options = {}) => ({ type: 'string', maxLength: 1000, ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const object = (properties = {}, options = {}) => ({ type: 'object', properties, ...options });
+const array = (items = null, options = {}) => ({ type: 'array', items, ...options });
+const any = (options = {}) => ({ type: 'any', ...options });
+const optional = (spec) => ({ ...spec, optional: true });
+const nullable = (spec) => ({ ...spec, nullable: true });
+
+// Fields every inbound message may carry
+const BASE_INBOUND_FIELDS = {
+  type: string({ maxLength: 64 }),
+  correlationId: optional(string({ maxLength: 128 }))
+};
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Validate a value against a field spec; returns an error message or null
+function validateValue(spec, value, path) {
+  if (value === undefined) {
+    return spec.optional ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return spec.nullable || spec.optional ? null : `${path} must not be null`;
+  }
+
+  switch (spec.type) {
+    case 'any':
+      return null;
+
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        return `${path} must be at least ${spec.minLength} characters`;
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return `${path} must be at most ${spec.maxLength} characters`;
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (spec.type === 'integer' && !Number.isInteger(value)) return `${path} must be an integer`;
+      if (spec.min !== undefined && value < spec.min) return `${path} must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `${path} must be at most ${spec.max}`;
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${path} must be a boolean`;
+      break;
+
+    case 'object':
+      if (describeType(value) !== 'object') return `${path} must be an object`;
+      for (const [key, fieldSpec] of Object.entries(spec.properties)) {
+        const error = validateValue(fieldSpec, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return `${path} must be an array`;
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return `${path} must have at most ${spec.maxItems} items`;
+      }
+      if (spec.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = validateValue(spec.items, value[i], `${path}[${i}]`);
+          if (error) return error;
+        }
+      }
+      break;
+
+    default:
+      return `${path} has an unknown schema type: ${spec.type}`;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${path} must be one of: ${spec.enum.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Validate the fields of a message against its schema; returns an error message or null
+function validateFields(schema, message) {
+  for (const [key, spec] of Object.entries(schema)) {
+    const error = validateValue(spec, message[key], key);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Build validators for one server's protocol
+function createProtocol({ inbound, outbound }) {
+  return {
+    isKnownType: (type) => Object.hasOwn(inbound, type),
+
+    // Returns { code, message } describing why an inbound message was rejected, or null
+    validateInbound(data) {
+      if (describeType(data) !== 'object' || typeof data.type !== 'string') {
+        return { code: 'INVALID_MESSAGE', message: 'Message must be an object with a string type' };
+      }
+      if (!Object.hasOwn(inbound, data.type)) {
+        return { code: 'UNKNOWN_MESSAGE_TYPE', message: `Unknown message type: ${data.type}` };
+      }
+
+      const error = validateFields(BASE_INBOUND_FIELDS, data) || validateFields(inbound[data.type], data);
+      return error ? { code: 'VALIDATION_FAILED', message: error } : null;
+    },
+
+    // Returns an error message if a server message does not match its declared schema
+    validateOutbound(message) {
+      if (!Object.hasOwn(outbound, message?.type)) {
+        return `Undeclared outbound message type: ${message?.type}`;
+      }
+      return validateFields(outbound[message.type], message);
+    }
+  };
+}
+
+module.exports = {
+  string,
+  number,
+  integer,
+  boolean,
+  object,
+  array,
+  any,
+  optional,
+  nullable,
+  validateValue,
+  createProtocol
+};
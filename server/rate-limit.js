@@ -0,0 +1,87 @@
+// Token-bucket rate limiting for the Dytor servers
+//
+// A limiter keeps one bucket per key (an IP address, a message type, ...).
+// Buckets hold up to `capacity` tokens and refill at `perMinute` tokens per
+// minute; each request takes one token and is refused when the bucket is empty.
+
+function createRateLimiter({ capacity, perMinute }) {
+  const refillPerMs = perMinute / 60000;
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  return {
+    // Returns { allowed, retryAfter } where retryAfter is in milliseconds
+    take(key, cost = 1, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (bucket) {
+        refill(bucket, now);
+      } else {
+        bucket = { tokens: capacity, updatedAt: now };
+        buckets.set(key, bucket);
+      }
+
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return { allowed: true, retryAfter: 0 };
+      }
+      return { allowed: false, retryAfter: Math.ceil((cost - bucket.tokens) / refillPerMs) };
+    },
+
+    // Forget buckets that have refilled completely
+    prune(now = Date.now()) {
+      for (const [key, bucket] of buckets) {
+        refill(bucket, now);
+        if (bucket.tokens >= capacity) buckets.delete(key);
+      }
+    },
+
+    get size() {
+      return buckets.size;
+    }
+  };
+}
+
+// Express middleware limiting requests per client IP
+function rateLimitMiddleware(limiter, keyFn = (req) => req.ip) {
+  return (req, res, next) => {
+    const result = limiter.take(keyFn(req));
+    if (result.allowed) {
+      return next();
+    }
+
+    res.set('Retry-After', String(Math.ceil(result.retryAfter / 1000)));
+    res.status(429).json({
+      success: false,
+      error: 'Too many requests, please slow down'
+    });
+  };
+}
+
+// Per-connection limits: one bucket for all messages plus one per listed message type
+function createMessageRateLimiter(overall, perType = {}) {
+  const overallLimiter = createRateLimiter(overall);
+  const typeLimiters = new Map(
+    Object.entries(perType).map(([type, limits]) => [type, createRateLimiter(limits)])
+  );
+
+  return {
+    take(type) {
+      const typeLimiter = type ? typeLimiters.get(type) : null;
+      if (typeLimiter) {
+        const result = typeLimiter.take(type);
+        if (!result.allowed) return result;
+      }
+      return overallLimiter.take('all');
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  rateLimitMiddleware,
+  createMessageRateLimiter
+};
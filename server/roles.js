@@ -0,0 +1,103 @@
+// Role-based permissions shared by the Dytor servers
+
+const ROLE_PERMISSIONS = {
+  'admin': [
+    'START_RESUME', 'PAUSE', 'STOP', 'ADD_TIME', 'SUBTRACT_TIME', 'RESET',
+    'SCHEDULE_VIEW', 'SCHEDULE_EDIT', 'SCHEDULE_REORDER', 'SCHEDULE_ADD', 'SCHEDULE_REMOVE',
+    'MESSAGE_SEND', 'MESSAGE_PRESET', 'MESSAGE_PRIVATE', 'MESSAGE_FLASH',
+    'DISPLAY_FADE', 'DISPLAY_SETTINGS'
+  ],
+  'queue_manager': [
+    'START_RESUME', 'PAUSE', 'ADD_TIME', 'SUBTRACT_TIME',
+    'SCHEDULE_VIEW', 'MESSAGE_PRESET', 'MESSAGE_SEND'
+  ],
+  'speaker': [
+    'PERSONAL_TIMER', 'PERSONAL_MESSAGES', 'SCHEDULE_VIEW'
+  ],
+  'viewer': []
+};
+
+// Permissions for actions only room-server has (advancing the schedule,
+// moderating chat). They are added to room-server's roles alone, so the LAN
+// websocket-server keeps the table above unchanged.
+const ROOM_SERVER_PERMISSIONS = {
+  'admin': ['SCHEDULE_ADVANCE', 'CHAT_MODERATE'],
+  'queue_manager': ['SCHEDULE_ADVANCE']
+};
+
+// websocket-server's REMOTE_CONTROL actions named differently from the
+// permission they need; other actions are named after their permission
+const REMOTE_ACTION_PERMISSIONS = {
+  'SEND_MESSAGE': 'MESSAGE_SEND',
+  'SHOW_MESSAGE': 'MESSAGE_SEND',
+  'FLASH_MESSAGE': 'MESSAGE_FLASH',
+  'FADE_TO_BLACK': 'DISPLAY_FADE'
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+// Permission a REMOTE_CONTROL action needs
+function getActionPermission(action) {
+  return Object.hasOwn(REMOTE_ACTION_PERMISSIONS, action) ? REMOTE_ACTION_PERMISSIONS[action] : action;
+}
+
+// Permission checks over a table of built-in roles
+function createRoles(builtInRoles) {
+  // Every permission a built-in role can hold; custom roles are limited to these
+  const allPermissions = [...new Set(Object.values(builtInRoles).flat())];
+
+  // Permissions of a built-in or custom role (customRoles: roleName -> permissions, defined per room)
+  function getRolePermissions(role, customRoles = null) {
+    if (Object.hasOwn(builtInRoles, role)) return builtInRoles[role];
+    if (customRoles && Object.hasOwn(customRoles, role)) return customRoles[role];
+    return null;
+  }
+
+  // Role-based permission validation
+  function hasRolePermission(role, action, customRoles = null) {
+    return getRolePermissions(role, customRoles)?.includes(action) || false;
+  }
+
+  function isKnownRole(role, customRoles = null) {
+    return getRolePermissions(role, customRoles) !== null;
+  }
+
+  // Validate a custom role definition; returns an error message or null
+  function validateCustomRole(role, permissions) {
+    if (typeof role !== 'string' || !ROLE_NAME_PATTERN.test(role)) {
+      return 'Role name must be lowercase letters, digits or underscores (max 32 characters)';
+    }
+    if (Object.hasOwn(builtInRoles, role)) {
+      return `Built-in role cannot be redefined: ${role}`;
+    }
+    if (!Array.isArray(permissions)) {
+      return 'Permissions must be an array';
+    }
+    const unknown = permissions.filter(permission => !allPermissions.includes(permission));
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+    return null;
+  }
+
+  return {
+    ROLE_PERMISSIONS: builtInRoles,
+    ALL_PERMISSIONS: allPermissions,
+    getRolePermissions,
+    hasRolePermission,
+    isKnownRole,
+    validateCustomRole
+  };
+}
+
+const roomServerRoles = createRoles(Object.fromEntries(
+  Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => [role, [...permissions, ...(ROOM_SERVER_PERMISSIONS[role] || [])]])
+));
+
+module.exports = {
+  ...createRoles(ROLE_PERMISSIONS),
+  REMOTE_ACTION_PERMISSIONS,
+  ROLE_NAME_PATTERN,
+  getActionPermission,
+  roomServerRoles
+};
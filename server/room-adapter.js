@@ -0,0 +1,124 @@
+// Cross-instance adapters for the Dytor room server
+//
+// Each room-server instance only holds the sockets connected to it. Adapters
+// carry events (broadcasts, room record updates, presence) between instances so
+// the host and users of one room can sit behind different instances.
+//
+// Adapter interface:
+//   instanceId          - unique id of this process
+//   publish(event)      - send an event to every other instance
+//   subscribe(handler)  - handler(event) is called for events from other instances
+//   isReady()           - whether events can currently be delivered
+//   close()
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_CHANNEL = 'dytor:rooms';
+
+// Shared by every adapter created in this process
+const localBus = new EventEmitter();
+localBus.setMaxListeners(0);
+
+// In-process adapter: a single instance needs no fan-out, but several servers
+// started in the same process still see each other
+function createMemoryRoomAdapter() {
+  const instanceId = crypto.randomUUID();
+  const listeners = [];
+
+  return {
+    type: 'memory',
+    instanceId,
+    distributed: false,
+    publish: (event) => {
+      // Nobody else is listening in a single-instance deployment
+      if (localBus.listenerCount('event') === listeners.length) return;
+      // Serialize like a real broker so instances never share objects
+      localBus.emit('event', JSON.stringify({ ...event, origin: instanceId, sentAt: Date.now() }));
+    },
+    subscribe: (handler) => {
+      const listener = (payload) => {
+        const event = JSON.parse(payload);
+        if (event.origin !== instanceId) handler(event);
+      };
+      listeners.push(listener);
+      localBus.on('event', listener);
+    },
+    isReady: () => true,
+    close: () => {
+      listeners.forEach(listener => localBus.off('event', listener));
+    }
+  };
+}
+
+// Redis pub/sub adapter: every instance publishes to and subscribes on one channel
+function createRedisRoomAdapter(url, channel = DEFAULT_CHANNEL) {
+  const { createClient } = require('redis');
+
+  const instanceId = crypto.randomUUID();
+  const publisher = createClient({ url });
+  const subscriber = publisher.duplicate();
+  const handlers = [];
+
+  publisher.on('error', (error) => console.error('Redis publisher error:', error.message));
+  subscriber.on('error', (error) => console.error('Redis subscriber error:', error.message));
+
+  // Commands issued while connecting are queued until the connection is ready
+  publisher.connect().catch(error => console.error('Redis publisher failed to connect:', error.message));
+  subscriber.connect()
+    .then(() => subscriber.subscribe(channel, (payload) => {
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (error) {
+        console.error('Ignoring malformed room event:', error.message);
+        return;
+      }
+      if (event.origin === instanceId) return;
+      handlers.forEach(handler => handler(event));
+    }))
+    .then(() => console.log(`📡 Subscribed to Redis channel ${channel}`))
+    .catch(error => console.error('Redis subscriber failed to connect:', error.message));
+
+  return {
+    type: 'redis',
+    instanceId,
+    distributed: true,
+    publish: (event) => {
+      publisher.publish(channel, JSON.stringify({ ...event, origin: instanceId, sentAt: Date.now() }))
+        .catch(error => console.error('Failed to publish room event:', error.message));
+    },
+    subscribe: (handler) => {
+      handlers.push(handler);
+    },
+    isReady: () => publisher.isReady && subscriber.isReady,
+    close: async () => {
+      await Promise.allSettled([subscriber.close(), publisher.close()]);
+    }
+  };
+}
+
+// Pick an adapter from options or the environment
+function createRoomAdapter(options = {}) {
+  const type = options.type || process.env.ROOM_ADAPTER || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return createMemoryRoomAdapter();
+
+    case 'redis':
+      return createRedisRoomAdapter(
+        options.url || process.env.REDIS_URL || 'redis://localhost:6379',
+        options.channel || process.env.ROOM_ADAPTER_CHANNEL || DEFAULT_CHANNEL
+      );
+
+    default:
+      throw new Error(`Unknown room adapter type: ${type}`);
+  }
+}
+
+module.exports = {
+  createMemoryRoomAdapter,
+  createRedisRoomAdapter,
+  createRoomAdapter
+};
@@ -4,52 +4,252 @@ const express = require('express');
 const http = require('http');
 const crypto = require('crypto');
 const cors = require('cors');
+const { createRoomStore, toRecord, fromRecord, ROOM_LOGS, getLogEntries } = require('./room-store');
+const { createRoomAdapter } = require('./room-adapter');
+const { verifyAccessToken, extractBearerToken, createOwnershipLookup, createApiKeyLookup } = require('./host-auth');
+const apiKeys = require('./api-keys');
+const timerEngine = require('./timer-engine');
+const schedule = require('./schedule');
+const { roomServerRoles: roles } = require('./roles');
+const chat = require('./chat');
+const audit = require('./audit-log');
+const timeline = require('./timeline');
+const webhooks = require('./webhooks');
+const { createProtocol } = require('./protocol');
+const { ROOM_PROTOCOL } = require('./protocol-schemas');
+const handshake = require('./handshake');
+const { startHeartbeat, DEFAULT_HEARTBEAT_INTERVAL } = require('./heartbeat');
+const { createRateLimiter, rateLimitMiddleware, createMessageRateLimiter } = require('./rate-limit');
+const { createMetricsRegistry, metricsHandler, httpMetricsMiddleware } = require('./metrics');
+const { createRoomStreams } = require('./event-stream');
 
 const app = express();
 const server = http.createServer(app);
 
+// Number of reverse proxies in front of the server, so client IPs (and with them
+// per-IP rate limits) are read correctly. Railway runs one proxy in front of every
+// service, so that is the default there; elsewhere set TRUST_PROXY explicitly.
+const TRUST_PROXY_HOPS = process.env.TRUST_PROXY !== undefined
+  ? parseInt(process.env.TRUST_PROXY, 10) || 0
+  : (process.env.RAILWAY_ENVIRONMENT || process.env.RAILWAY_ENVIRONMENT_NAME ? 1 : 0);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+// Forwarded requests without TRUST_PROXY all come from the proxy's address and
+// share one rate-limit bucket; say so once instead of throttling everyone quietly
+let untrustedProxyWarned = false;
+function warnIfUntrustedProxy(req) {
+  if (TRUST_PROXY_HOPS > 0 || untrustedProxyWarned || !req.headers['x-forwarded-for']) return;
+  untrustedProxyWarned = true;
+  console.warn('⚠️ Requests arrive through a proxy but TRUST_PROXY is not set; all clients share one rate limit. Set TRUST_PROXY to the number of proxies in front of the server.');
+}
+
 // Middleware
 app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 app.use(express.json());
+app.use((req, res, next) => {
+  warnIfUntrustedProxy(req);
+  next();
+});
 
 // WebSocket server
-const wss = new WebSocket.Server({ server, path: '/ws' });
+const wss = new WebSocket.Server({
+  server,
+  path: '/ws',
+  maxPayload: 64 * 1024, // 64 KB
+  verifyClient: ({ req }, done) => {
+    if (shuttingDown) return done(false, 503, 'Server Restarting');
+    if (!RATE_LIMITS.ENABLED) return done(true);
+    
+    const result = connectionLimiter.take(getClientIp(req));
+    if (result.allowed) return done(true);
+    
+    done(false, 429, 'Too Many Requests', { 'Retry-After': String(Math.ceil(result.retryAfter / 1000)) });
+  }
+});
+
+// Broadcasts forwarded to Server-Sent Events subscribers
+const STREAM_EVENT_TYPES = new Set([
+  'ROOM_STATE_UPDATE',
+  'HOST_CONNECTED',
+  'HOST_RECONNECTING',
+  'HOST_DISCONNECTED',
+  'CHAT_MESSAGE',
+  'CHAT_MESSAGE_DELETED'
+]);
+
+// Outgoing webhooks (see webhooks.js); global subscriptions come from WEBHOOK_URL
+const webhookDispatcher = webhooks.createWebhookDispatcher({
+  globalSubscriptions: webhooks.loadGlobalSubscriptions(),
+  onDelivery: (delivery) => metricsCounters.webhookDeliveries.inc({ event: delivery.event, status: delivery.status })
+});
 
 // Room management
-const rooms = new Map();
+const roomStore = createRoomStore();
+const roomAdapter = createRoomAdapter(); // fan-out to other room-server instances
+const roomStreams = createRoomStreams({ instanceId: roomAdapter.instanceId }); // SSE subscribers, see GET /api/rooms/:roomCode/stream
 const users = new Map();
+const lookupRoomOwner = createOwnershipLookup();
+const lookupApiKey = createApiKeyLookup();
+const resumeSessions = new Map(); // resumeToken -> { roomCode, userId, claims }
+const replays = new Map(); // roomCode -> stop() of the replay running on this instance
+const pendingCommands = new Map(); // commandId -> { roomCode, settle(ack) } for REST commands awaiting COMMAND_ACK
+const roomProtocol = createProtocol(ROOM_PROTOCOL);
+
+// Metrics (see GET /metrics)
+const metrics = createMetricsRegistry('dytor_room');
+const metricsCounters = {
+  httpRequests: metrics.counter('http_requests_total', 'HTTP requests by method, route and status'),
+  messagesReceived: metrics.counter('ws_messages_received_total', 'WebSocket messages received, by type'),
+  messagesSent: metrics.counter('ws_messages_sent_total', 'WebSocket messages sent, by type'),
+  errors: metrics.counter('errors_total', 'ERROR replies sent to clients, by code'),
+  webhookDeliveries: metrics.counter('webhook_deliveries_total', 'Settled webhook deliveries, by event and status')
+};
+const broadcastDuration = metrics.histogram('broadcast_duration_seconds', 'Time to deliver a broadcast to the sockets on this instance');
+const fanoutLatency = metrics.histogram('fanout_latency_seconds', 'Delay between another instance publishing an event and this instance receiving it');
+metrics.gauge('rooms_active', 'Rooms known to this instance', () => roomStore.size);
+metrics.gauge('hosts_connected', 'Room hosts connected to this instance', () =>
+  Array.from(roomStore.values()).filter(room => room.host.ws && room.host.ws.readyState === WebSocket.OPEN).length
+);
+metrics.gauge('users_connected', 'Room users connected to this instance', () =>
+  Array.from(roomStore.values()).reduce((count, room) =>
+    count + Array.from(room.users.values()).filter(user => user.ws && user.ws.readyState === WebSocket.OPEN).length, 0)
+);
+metrics.gauge('join_requests_pending', 'Join requests waiting for host approval', () =>
+  Array.from(roomStore.values()).reduce((count, room) => count + room.pendingUsers.size, 0)
+);
+metrics.gauge('websocket_connections', 'Open WebSocket connections', () => wss.clients.size);
+metrics.gauge('sse_connections', 'Open Server-Sent Events streams', () => roomStreams.size);
+
+app.use(httpMetricsMiddleware(metricsCounters.httpRequests));
+
+if (roomStore.size > 0) {
+  console.log(`♻️ Restored ${roomStore.size} room(s) from ${roomStore.type} store`);
+}
 
 // Room configuration
 const ROOM_CONFIG = {
   MAX_USERS_PER_ROOM: 50,
   ROOM_CODE_LENGTH: 6,
   ROOM_TIMEOUT: 24 * 60 * 60 * 1000, // 24 hours
-  USER_TIMEOUT: 30 * 60 * 1000, // 30 minutes
+  USER_TIMEOUT: parseInt(process.env.USER_TIMEOUT_MS, 10) || 30 * 60 * 1000, // 30 minutes to attach a WebSocket after a REST join
+  HEARTBEAT_INTERVAL: parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || DEFAULT_HEARTBEAT_INTERVAL,
+  USER_REAP_INTERVAL: 60 * 1000, // 1 minute
+  PRESENCE_INTERVAL: 15 * 1000, // Re-announce local presence to other instances
+  PRESENCE_TIMEOUT: 45 * 1000, // Forget instances that stop announcing
+  REQUIRE_HOST_AUTH: process.env.REQUIRE_HOST_AUTH === 'true', // Reject unauthenticated hosts for ownerless rooms
+  RECONNECT_GRACE_PERIOD: parseInt(process.env.RECONNECT_GRACE_MS, 10) || 60 * 1000, // 1 minute
+  MAX_MISSED_MESSAGES: 100,
+  TIMER_BROADCAST_INTERVAL: 1000, // 1 second
+  JOIN_REQUEST_TIMEOUT: parseInt(process.env.JOIN_REQUEST_TIMEOUT_MS, 10) || 5 * 60 * 1000, // 5 minutes
+  MAX_STREAMS_PER_ROOM: 200, // Server-Sent Events subscribers per room on each instance
+  COMMAND_ACK_TIMEOUT: parseInt(process.env.COMMAND_ACK_TIMEOUT_MS, 10) || 5000, // How long REST commands wait for the host by default
+  MAX_COMMAND_ACK_TIMEOUT: 30 * 1000,
+  ALLOW_PRIVATE_WEBHOOKS: process.env.WEBHOOK_ALLOW_PRIVATE === 'true', // Let room owners target private/loopback URLs
+  SHUTDOWN_RECONNECT_DELAY: parseInt(process.env.SHUTDOWN_RECONNECT_DELAY_MS, 10) || 2000, // Suggested wait before clients reconnect
+  SHUTDOWN_TIMEOUT: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10 * 1000, // Exit even if sockets have not closed by then
 };
 
+// Standard close code for "service restart"; clients should reconnect after SERVER_RESTARTING.reconnectDelay
+const SERVER_RESTART_CLOSE_CODE = 1012;
+let shuttingDown = false;
+
+// Token-bucket limits: `capacity` requests in a burst, refilled at `perMinute`.
+// RATE_LIMIT_SCALE multiplies every limit (e.g. 2 doubles them).
+const RATE_LIMIT_SCALE = parseFloat(process.env.RATE_LIMIT_SCALE) || 1;
+const scaleLimit = ({ capacity, perMinute }) => ({
+  capacity: Math.max(1, Math.round(capacity * RATE_LIMIT_SCALE)),
+  perMinute: perMinute * RATE_LIMIT_SCALE
+});
+
+const RATE_LIMITS = {
+  ENABLED: process.env.RATE_LIMIT_DISABLED !== 'true',
+  API: scaleLimit({ capacity: 60, perMinute: 300 }), // per IP, every REST route
+  ROOM_CREATE: scaleLimit({ capacity: 5, perMinute: 10 }), // per IP
+  ROOM_LOOKUP: scaleLimit({ capacity: 20, perMinute: 30 }), // per IP; slows down guessing room codes
+  WS_CONNECT: scaleLimit({ capacity: 10, perMinute: 30 }), // per IP
+  WS_MESSAGE: scaleLimit({ capacity: 50, perMinute: 600 }), // per connection, all message types
+  WS_MESSAGE_TYPES: { // per connection
+    JOIN_ROOM: scaleLimit({ capacity: 5, perMinute: 20 }),
+    RESUME_SESSION: scaleLimit({ capacity: 5, perMinute: 20 }),
+    CHAT_MESSAGE: scaleLimit({ capacity: 5, perMinute: 30 }),
+    USER_COMMAND: scaleLimit({ capacity: 10, perMinute: 120 })
+  },
+  WS_VIOLATIONS: { capacity: 20, perMinute: 10 } // refused messages tolerated before disconnecting
+};
+
+const apiLimiter = createRateLimiter(RATE_LIMITS.API);
+const roomCreateLimiter = createRateLimiter(RATE_LIMITS.ROOM_CREATE);
+const roomLookupLimiter = createRateLimiter(RATE_LIMITS.ROOM_LOOKUP);
+const connectionLimiter = createRateLimiter(RATE_LIMITS.WS_CONNECT);
+const routeLimiters = [apiLimiter, roomCreateLimiter, roomLookupLimiter, connectionLimiter];
+
+// Route middleware that does nothing when rate limiting is disabled
+function limitRequests(limiter) {
+  return RATE_LIMITS.ENABLED ? rateLimitMiddleware(limiter) : (req, res, next) => next();
+}
+
+// Client IP of a WebSocket upgrade request, honouring TRUST_PROXY like Express does
+function getClientIp(req) {
+  warnIfUntrustedProxy(req);
+  const forwarded = req.headers['x-forwarded-for'];
+  if (TRUST_PROXY_HOPS > 0 && forwarded) {
+    const addresses = forwarded.split(',').map(address => address.trim());
+    return addresses[Math.max(0, addresses.length - TRUST_PROXY_HOPS)];
+  }
+  return req.socket.remoteAddress;
+}
+
+// Optional protocol features clients can negotiate in HELLO
+const ROOM_FEATURES = [
+  'server-timer',
+  'schedule',
+  'chat-history',
+  'chat-moderation',
+  'session-resume',
+  'custom-roles',
+  'waiting-room',
+  'co-hosts',
+  'correlation-ids',
+  'timeline-replay',
+  'command-ack'
+];
+
 // Generate room code
 function generateRoomCode() {
   return crypto.randomBytes(3).toString('hex').toUpperCase();
 }
 
 // Create a new room
-function createRoom(hostInfo, customRoomCode = null) {
+function createRoom(hostInfo, customRoomCode = null, ownerId = null) {
   const roomCode = customRoomCode || generateRoomCode();
   const room = {
     code: roomCode,
     host: hostInfo,
+    ownerId: ownerId,
+    coHosts: [],
     users: new Map(),
+    timer: null, // Server-owned timer engine state (see timer-engine.js)
+    schedule: schedule.createSchedule(),
+    customRoles: {}, // roleName -> permissions, defined by the host
+    pendingUsers: new Map(), // Join requests waiting for host approval
+    remotePresence: new Map(), // instanceId -> participants connected to other instances
+    chat: chat.createChatHistory(),
+    mutedUsers: {}, // userId -> mute expiry (null = until unmuted)
+    audit: audit.createAuditLog(), // who did what, see GET /api/rooms/:roomCode/audit
+    timeline: null, // recorded broadcasts while settings.recordTimeline is on (see timeline.js)
+    webhooks: [], // per-room webhook subscriptions (see webhooks.js)
     createdAt: Date.now(),
     lastActivity: Date.now(),
     settings: {
       allowViewers: true,
       allowSpeakers: true,
       requireApproval: false,
+      recordTimeline: false,
       maxUsers: ROOM_CONFIG.MAX_USERS_PER_ROOM
     },
     state: {
@@ -59,164 +259,1828 @@ function createRoom(hostInfo, customRoomCode = null) {
     }
   };
   
-  rooms.set(roomCode, room);
+  saveRoom(room);
   console.log(`🏠 Room created: ${roomCode}`);
+  emitWebhook(room, 'room.created', {
+    room: { code: room.code, ownerId: room.ownerId, settings: room.settings, createdAt: room.createdAt }
+  });
   return room;
 }
 
+// Check room settings against a joining user's role; returns { code, message } or null
+function checkJoinAllowed(room, role) {
+  if (countRoomUsers(room) >= room.settings.maxUsers) {
+    return { code: 'ROOM_FULL', message: 'Room is full' };
+  }
+  if (role === 'viewer' && !room.settings.allowViewers) {
+    return { code: 'VIEWERS_NOT_ALLOWED', message: 'This room is not accepting viewers' };
+  }
+  if (role === 'speaker' && !room.settings.allowSpeakers) {
+    return { code: 'SPEAKERS_NOT_ALLOWED', message: 'This room is not accepting speakers' };
+  }
+  return null;
+}
+
+// Validate a partial settings update; returns an error message or null
+function validateSettingsUpdate(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return 'Settings must be an object';
+  }
+  
+  for (const [key, value] of Object.entries(changes)) {
+    switch (key) {
+      case 'allowViewers':
+      case 'allowSpeakers':
+      case 'requireApproval':
+      case 'recordTimeline':
+        if (typeof value !== 'boolean') {
+          return `${key} must be a boolean`;
+        }
+        break;
+        
+      case 'maxUsers':
+        if (!Number.isInteger(value) || value < 1 || value > ROOM_CONFIG.MAX_USERS_PER_ROOM) {
+          return `maxUsers must be an integer between 1 and ${ROOM_CONFIG.MAX_USERS_PER_ROOM}`;
+        }
+        break;
+        
+      default:
+        return `Unknown setting: ${key}`;
+    }
+  }
+  
+  return null;
+}
+
 // Join a room
 function joinRoom(roomCode, userInfo) {
-  const room = rooms.get(roomCode);
+  const room = roomStore.get(roomCode);
   if (!room) {
     throw new Error('Room not found');
   }
   
-  if (room.users.size >= room.settings.maxUsers) {
-    throw new Error('Room is full');
+  const denied = checkJoinAllowed(room, userInfo.role);
+  if (denied) {
+    throw new Error(denied.message);
   }
   
   // Add user to room
   room.users.set(userInfo.id, userInfo);
   room.lastActivity = Date.now();
+  saveRoom(room);
   
   console.log(`👤 User ${userInfo.name} joined room ${roomCode}`);
+  emitWebhook(room, 'user.joined', { user: toPublicUser(userInfo) });
   return room;
 }
 
 // Leave a room
 function leaveRoom(roomCode, userId) {
-  const room = rooms.get(roomCode);
+  const room = roomStore.get(roomCode);
   if (!room) {
     return;
   }
   
+  const user = room.users.get(userId);
   room.users.delete(userId);
   room.lastActivity = Date.now();
+  if (user) {
+    emitWebhook(room, 'user.left', { user: toPublicUser(user) });
+  }
   
-  // If no users left, clean up room
-  if (room.users.size === 0) {
-    rooms.delete(roomCode);
+  // If no users left on any instance, clean up room
+  if (countRoomUsers(room) === 0) {
+    deleteRoom(roomCode);
     console.log(`🗑️ Room ${roomCode} cleaned up (no users)`);
+  } else {
+    saveRoom(room);
   }
 }
 
-// Broadcast to all users in a room
-function broadcastToRoom(roomCode, message, excludeUserId = null) {
-  const room = rooms.get(roomCode);
+// Resolve the owning user of a room (set at creation or recorded by auth-server)
+function getRoomOwnerId(room) {
+  return room.ownerId || lookupRoomOwner(room.code);
+}
+
+// Decide whether a connection may take the host slot of a room
+function authorizeHost(room, token, ws) {
+  const claims = token ? verifyAccessToken(token) : null;
+  if (token && !claims) {
+    return { allowed: false, code: 'INVALID_TOKEN', message: 'Invalid or expired token' };
+  }
+  
+  const ownerId = getRoomOwnerId(room);
+  if (ownerId) {
+    if (!claims) {
+      return { allowed: false, code: 'HOST_AUTH_REQUIRED', message: 'Authentication required to host this room' };
+    }
+    if (claims.userId !== ownerId && !room.coHosts.includes(claims.userId)) {
+      return { allowed: false, code: 'NOT_ROOM_OWNER', message: 'Only the room owner or a co-host can host this room' };
+    }
+    return { allowed: true, claims };
+  }
+  
+  // Ownerless (anonymously created) room: never replace a connected host
+  if ((room.host.ws && room.host.ws !== ws && room.host.ws.readyState === WebSocket.OPEN) || isHostConnectedElsewhere(room)) {
+    return { allowed: false, code: 'HOST_ALREADY_CONNECTED', message: 'Room already has a connected host' };
+  }
+  
+  // Nor one holding its slot during the grace period: only its resume token gets it back
+  if (isHostReconnecting(room)) {
+    return { allowed: false, code: 'HOST_RECONNECTING', message: 'The host is reconnecting to this room' };
+  }
+  
+  if (claims) {
+    // First authenticated host claims the room
+    room.ownerId = claims.userId;
+    return { allowed: true, claims };
+  }
+  
+  if (ROOM_CONFIG.REQUIRE_HOST_AUTH) {
+    return { allowed: false, code: 'HOST_AUTH_REQUIRED', message: 'Authentication required to host this room' };
+  }
+  
+  return { allowed: true, claims: null };
+}
+
+// User fields that are safe to send to other clients
+function toPublicUser(user) {
+  if (!user) return null;
+  const { ws, resumeToken, graceTimer, missedMessages, ...publicUser } = user;
+  return publicUser;
+}
+
+// Append to the room's audit trail; actor is a participant or an authenticated REST caller
+function recordAudit(room, actor, action, { payload = null, outcome = 'success', reason = null, source = 'websocket' } = {}) {
+  const entry = audit.appendAuditEntry(room.audit, {
+    actor: {
+      id: actor?.id,
+      name: actor?.name,
+      role: actor === room.host ? 'host' : actor?.role
+    },
+    action,
+    payload,
+    outcome,
+    reason,
+    source
+  });
+  appendRoomLog(room, 'audit', entry);
+}
+
+// Message fields worth keeping in the audit trail
+function toAuditPayload(data) {
+  const { type, correlationId, ...payload } = data;
+  return payload;
+}
+
+// Find the host or user with the given id
+function findParticipant(room, userId) {
+  return room.host.id === userId ? room.host : room.users.get(userId);
+}
+
+// Issue (or rotate) the token a participant uses to resume after a dropped connection
+function issueResumeToken(roomCode, participant, claims = null) {
+  revokeResumeToken(participant);
+  const token = crypto.randomBytes(24).toString('hex');
+  participant.resumeToken = token;
+  resumeSessions.set(token, { roomCode, userId: participant.id, claims });
+  return token;
+}
+
+function revokeResumeToken(participant) {
+  if (participant.resumeToken) {
+    resumeSessions.delete(participant.resumeToken);
+    participant.resumeToken = null;
+  }
+}
+
+// Keep a bounded backlog of messages for a participant who is reconnecting
+function bufferMissedMessage(participant, message) {
+  participant.missedMessages.push(message);
+  if (participant.missedMessages.length > ROOM_CONFIG.MAX_MISSED_MESSAGES) {
+    participant.missedMessages.shift();
+  }
+}
+
+// Whether a participant may perform a role-gated action (hosts may do everything)
+// participant is a room user or an authenticated REST caller (see authenticateRoomRequest)
+function canPerform(room, participant, action) {
+  if (participant === room.host || participant.isHost) return true;
+  return roles.hasRolePermission(participant.role, action, room.customRoles);
+}
+
+// Built-in and custom roles available in a room
+function listRoomRoles(room) {
+  return { ...roles.ROLE_PERMISSIONS, ...room.customRoles };
+}
+
+// Fall back to viewer for roles the room does not define
+function resolveRole(room, role) {
+  return roles.isKnownRole(role, room.customRoles) ? role : 'viewer';
+}
+
+// Roles joiners may pick for themselves; elevated and custom roles are only given
+// by the host (SET_USER_ROLE, or the role on APPROVE_JOIN)
+const SELF_SERVICE_ROLES = ['viewer', 'speaker'];
+
+// Role a joiner gets for the one they asked for
+function resolveJoinRole(role) {
+  return SELF_SERVICE_ROLES.includes(role) ? role : 'viewer';
+}
+
+// Identify a REST caller: the room owner or a co-host, via an auth-server JWT or
+// an API key scoped to this room (read-only keys may only make GET requests).
+// Callers act as the host, except API keys limited to a role: those act with the
+// role's permissions, and only routes that check them pass `allowRoleKeys`.
+function authenticateRoomRequest(req, room, { allowRoleKeys = false } = {}) {
+  const token = extractBearerToken(req);
+  const claims = apiKeys.isApiKey(token) ? lookupApiKey(token) : verifyAccessToken(token);
+  if (!claims) return null;
+  if (claims.apiKey && !apiKeys.canAccessRoom(claims.apiKey, room.code, req.method === 'GET')) return null;
+  if (claims.userId !== getRoomOwnerId(room) && !room.coHosts.includes(claims.userId)) return null;
+  
+  if (claims.apiKey?.role) {
+    return allowRoleKeys
+      ? { id: claims.userId, name: claims.name, role: resolveRole(room, claims.apiKey.role), isHost: false }
+      : null;
+  }
+  return { id: claims.userId, name: claims.name, role: 'host', isHost: true };
+}
+
+// Join request fields the host sees
+function toPublicJoinRequest(request) {
+  return {
+    id: request.id,
+    name: request.name,
+    role: request.role,
+    requestedAt: request.requestedAt,
+    expiresAt: request.expiresAt
+  };
+}
+
+// Drop a pending join request and its expiry timer
+function removeJoinRequest(room, requestId) {
+  const request = room.pendingUsers.get(requestId);
+  if (!request) return null;
+  
+  clearTimeout(request.timer);
+  room.pendingUsers.delete(requestId);
+  publishPresence(room);
+  return request;
+}
+
+function admitPendingUsers(room) {
+  for (const requestId of Array.from(room.pendingUsers.keys())) {
+    removeJoinRequest(room, requestId).admit();
+  }
+}
+
+// Carry out the host's answer to a join request waiting on this instance
+function answerJoinRequest(room, request, approved, role = null, reason = null) {
+  if (approved) {
+    console.log(`✅ ${request.name} approved for room ${room.code}`);
+    request.admit(role ? resolveRole(room, role) : request.role);
+  } else {
+    console.log(`🚫 ${request.name} denied entry to room ${room.code}`);
+    request.reject('JOIN_DENIED', reason || 'The host declined your request to join');
+  }
+}
+
+// Give a user connected to this instance a new role
+function assignUserRole(room, user, role) {
+  user.role = role;
+  console.log(`🎭 ${user.name} is now ${user.role} in room ${room.code}`);
+  publishPresence(room);
+  
+  if (user.ws && user.ws.readyState === WebSocket.OPEN) {
+    sendMessage(user.ws, {
+      type: 'ROLE_ASSIGNED',
+      role: user.role,
+      permissions: roles.getRolePermissions(user.role, room.customRoles)
+    });
+  }
+  
+  const message = {
+    type: 'USER_UPDATED',
+    user: toPublicUser(user)
+  };
+  broadcastToRoom(room.code, message, user.id);
+  sendToHost(room, message);
+}
+
+// Nobody answered in time
+function expireJoinRequest(roomCode, requestId) {
+  const room = roomStore.get(roomCode);
   if (!room) return;
   
-  room.users.forEach((user, userId) => {
-    if (userId !== excludeUserId && user.ws && user.ws.readyState === WebSocket.OPEN) {
-      user.ws.send(JSON.stringify(message));
+  const request = removeJoinRequest(room, requestId);
+  if (!request) return;
+  
+  console.log(`⌛ Join request from ${request.name} expired in room ${roomCode}`);
+  request.reject('JOIN_EXPIRED', 'Your request to join was not answered in time');
+  sendToHost(room, {
+    type: 'JOIN_REQUEST_EXPIRED',
+    requestId: requestId
+  });
+}
+
+// Send a message to one socket; outbound schemas are checked outside production
+function sendMessage(ws, message) {
+  if (process.env.NODE_ENV !== 'production') {
+    const error = roomProtocol.validateOutbound(message);
+    if (error) {
+      console.warn(`⚠️ Outbound ${message.type} does not match its schema: ${error}`);
     }
+  }
+  ws.send(JSON.stringify(message));
+  
+  metricsCounters.messagesSent.inc({ type: message.type });
+  if (message.type === 'ERROR') {
+    metricsCounters.errors.inc({ code: message.code });
+  }
+}
+
+// Broadcast to all users in a room, on every instance
+function broadcastToRoom(roomCode, message, excludeUserId = null) {
+  // Recording pauses while a replay is playing into the room
+  const room = roomStore.get(roomCode);
+  if (room?.settings.recordTimeline && room.timeline && !replays.has(roomCode)) {
+    const event = timeline.appendTimelineEvent(room.timeline, message);
+    if (event) appendRoomLog(room, 'timeline', event);
+  }
+  
+  deliverToRoom(roomCode, message, excludeUserId);
+  roomAdapter.publish({ kind: 'broadcast', roomCode, message, excludeUserId });
+}
+
+// Deliver to the users of a room connected to this instance
+function deliverToRoom(roomCode, message, excludeUserId = null) {
+  const room = roomStore.get(roomCode);
+  if (!room) return;
+  
+  if (STREAM_EVENT_TYPES.has(message.type)) {
+    roomStreams.publish(roomCode, message);
+  }
+  
+  broadcastDuration.time({ type: message.type }, () => {
+    room.users.forEach((user, userId) => {
+      if (userId === excludeUserId) return;
+      
+      if (user.ws && user.ws.readyState === WebSocket.OPEN) {
+        sendMessage(user.ws, message);
+      } else if (user.status === 'reconnecting') {
+        bufferMissedMessage(user, message);
+      }
+    });
   });
 }
 
-// API Routes
+// Send a message to the room host, wherever it is connected
+function sendToHost(room, message) {
+  if (!deliverToHost(room, message)) {
+    roomAdapter.publish({ kind: 'host', roomCode: room.code, message });
+  }
+}
 
-// Create a new room
-app.post('/api/rooms', (req, res) => {
-  try {
-    const { hostName, hostType } = req.body;
+// Whether the host has a live socket on this or another instance
+function isHostConnected(room) {
+  return Boolean(room.host.ws && room.host.ws.readyState === WebSocket.OPEN) || isHostConnectedElsewhere(room);
+}
+
+// Forward a REST command to the host and resolve with its COMMAND_ACK as
+// `response`, or with acknowledged: false once the timeout passes without one
+function forwardCommandToHost(room, user, command, data, timeout) {
+  const commandId = crypto.randomUUID();
+  
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      pendingCommands.delete(commandId);
+      resolve({ commandId, acknowledged: false, response: null });
+    }, timeout);
     
-    const room = createRoom({
-      id: crypto.randomUUID(),
-      name: hostName || 'Room Host',
-      type: hostType || 'desktop',
-      joinedAt: Date.now()
+    pendingCommands.set(commandId, {
+      roomCode: room.code,
+      settle: (ack) => {
+        clearTimeout(timer);
+        pendingCommands.delete(commandId);
+        resolve({ commandId, acknowledged: true, response: ack });
+      }
     });
     
-    res.json({
-      success: true,
-      room: {
-        code: room.code,
-        settings: room.settings,
-        createdAt: room.createdAt
+    sendToHost(room, { type: 'USER_COMMAND', user, command, data, commandId });
+  });
+}
+
+// Settle a command waiting on this instance; returns false if it is not ours
+function settleCommand(roomCode, ack) {
+  const pending = pendingCommands.get(ack.commandId);
+  if (!pending || pending.roomCode !== roomCode) return false;
+  
+  pending.settle({
+    success: ack.success !== false,
+    result: ack.result === undefined ? null : ack.result,
+    error: ack.error || null
+  });
+  return true;
+}
+
+// Deliver to the host if it is connected (or reconnecting) here; returns false otherwise
+function deliverToHost(room, message) {
+  if (room.host.ws && room.host.ws.readyState === WebSocket.OPEN) {
+    sendMessage(room.host.ws, message);
+  } else if (room.host.status === 'reconnecting') {
+    bufferMissedMessage(room.host, message);
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Persist a room and share its record with other instances
+function saveRoom(room) {
+  roomStore.save(room);
+  roomAdapter.publish({
+    kind: 'room',
+    roomCode: room.code,
+    record: toRecord(room),
+    presence: getLocalPresence(room)
+  });
+}
+
+// Store and share an entry just appended to one of the room's logs (chat,
+// audit, timeline). Only the entry is written, never the whole room, and other
+// instances merge it by id, so concurrent appends never overwrite each other.
+function appendRoomLog(room, log, entry) {
+  roomStore.appendLogEntry(room, log, entry);
+  roomStore.touch(room);
+  roomAdapter.publish({ kind: 'log-append', roomCode: room.code, log, entries: [entry] });
+}
+
+// Start a fresh timeline, dropping the stored events of the previous one
+function resetRoomTimeline(room, recording) {
+  room.timeline = recording;
+  roomStore.clearLog(room, 'timeline');
+}
+
+// Merge log entries appended on other instances; entries already here are skipped
+const LOG_MERGERS = {
+  chat: (room, entry) => chat.mergeChatMessage(room.chat, entry),
+  audit: (room, entry) => audit.mergeAuditEntry(room.audit, entry),
+  timeline: (room, entry) => Boolean(room.timeline) && timeline.mergeTimelineEvent(room.timeline, entry)
+};
+
+function mergeRemoteLogEntries(room, log, entries) {
+  const merge = LOG_MERGERS[log];
+  if (!merge) return;
+  entries.forEach((entry) => {
+    if (merge(room, entry)) roomStore.appendLogEntry(room, log, entry);
+  });
+  room.lastActivity = Math.max(room.lastActivity, Date.now());
+  roomStore.touch(room);
+}
+
+// Send every log entry of a room to the other instances, for one that only
+// knows the room from its record
+function shareRoomLogs(room) {
+  Object.keys(ROOM_LOGS).forEach((log) => {
+    const entries = getLogEntries(room, log);
+    if (entries && entries.length > 0) {
+      roomAdapter.publish({ kind: 'log-append', roomCode: room.code, log, entries });
+    }
+  });
+}
+
+// From a remote room record, take only the log bookkeeping that cannot be
+// merged entry by entry: sequence counters and which timeline is recording
+function applyRemoteLogState(room, record) {
+  room.chat.nextSeq = Math.max(room.chat.nextSeq, record.chat?.nextSeq || 1);
+  room.audit.nextSeq = Math.max(room.audit.nextSeq, record.audit?.nextSeq || 1);
+  
+  if (!record.timeline) {
+    if (room.timeline) resetRoomTimeline(room, null);
+  } else if (!room.timeline || room.timeline.startedAt !== record.timeline.startedAt) {
+    resetRoomTimeline(room, { ...record.timeline, events: [] });
+  } else {
+    room.timeline.truncated = room.timeline.truncated || record.timeline.truncated;
+  }
+}
+
+// Send an event to the global and the room's own webhook subscriptions
+function emitWebhook(room, event, data, eventId) {
+  webhookDispatcher.dispatch(event, {
+    roomCode: room.code,
+    data: data,
+    roomSubscriptions: room.webhooks || [],
+    eventId: eventId
+  });
+}
+
+function deleteRoom(roomCode) {
+  stopRoomReplay(roomCode);
+  roomStreams.close(roomCode);
+  roomStore.delete(roomCode);
+  roomAdapter.publish({ kind: 'room-deleted', roomCode });
+}
+
+// Participants of a room connected to this instance
+function getLocalPresence(room) {
+  return {
+    users: Array.from(room.users.values()).map(toPublicUser),
+    pendingRequests: Array.from(room.pendingUsers.values()).map(toPublicJoinRequest),
+    hostConnected: Boolean(room.host.ws && room.host.ws.readyState === WebSocket.OPEN),
+    hostReconnecting: !room.host.ws && room.host.status === 'reconnecting'
+  };
+}
+
+function publishPresence(room) {
+  roomAdapter.publish({ kind: 'presence', roomCode: room.code, presence: getLocalPresence(room) });
+}
+
+// Users of a room across all instances
+function listRoomUsers(room) {
+  const users = Array.from(room.users.values()).map(toPublicUser);
+  room.remotePresence.forEach(presence => users.push(...presence.users));
+  return users;
+}
+
+function countRoomUsers(room) {
+  let count = room.users.size;
+  room.remotePresence.forEach(presence => {
+    count += presence.users.length;
+  });
+  return count;
+}
+
+function findRemoteUser(room, userId) {
+  for (const presence of room.remotePresence.values()) {
+    const user = presence.users.find(user => user.id === userId);
+    if (user) return user;
+  }
+  return null;
+}
+
+// Join requests waiting on any instance
+function listJoinRequests(room) {
+  const requests = Array.from(room.pendingUsers.values()).map(toPublicJoinRequest);
+  room.remotePresence.forEach(presence => requests.push(...presence.pendingRequests));
+  return requests;
+}
+
+function isHostConnectedElsewhere(room) {
+  return Array.from(room.remotePresence.values()).some(presence => presence.hostConnected);
+}
+
+// The host dropped and is within its grace period, here or on another instance
+function isHostReconnecting(room) {
+  return (!room.host.ws && room.host.status === 'reconnecting') ||
+    Array.from(room.remotePresence.values()).some(presence => presence.hostReconnecting);
+}
+
+function updateRemotePresence(room, instanceId, presence) {
+  room.remotePresence.set(instanceId, { ...presence, updatedAt: Date.now() });
+  
+  // The host moved to another instance; stop holding its slot here
+  if (presence.hostConnected && !room.host.ws && room.host.status === 'reconnecting') {
+    clearTimeout(room.host.graceTimer);
+    room.host.graceTimer = null;
+    room.host.missedMessages = null;
+    room.host.status = 'offline';
+    revokeResumeToken(room.host);
+  }
+}
+
+// Apply a room record saved by another instance. The last write wins for room
+// fields; logs and mutes arrive as their own events and are merged instead.
+function applyRemoteRoom(instanceId, roomCode, record, presence) {
+  let room = roomStore.get(roomCode);
+  if (!room) {
+    room = fromRecord(record);
+    room.state = record.state;
+    
+    // Records carry no log entries; ask the instances that have the room for them
+    roomAdapter.publish({ kind: 'logs-request', roomCode });
+  } else {
+    // Update in place: pending join requests keep references to this object
+    const { host, chat: chatState, audit: auditState, timeline: timelineState, mutedUsers, ...fields } = record;
+    Object.assign(room, fields);
+    Object.assign(room.host, host);
+    applyRemoteLogState(room, record);
+    
+    // Custom roles removed elsewhere
+    room.users.forEach(user => {
+      if (!roles.isKnownRole(user.role, room.customRoles)) user.role = 'viewer';
+    });
+    if (!room.settings.requireApproval) {
+      admitPendingUsers(room);
+    }
+  }
+  
+  updateRemotePresence(room, instanceId, presence);
+  roomStore.save(room);
+}
+
+// Events from other room-server instances
+function handleAdapterEvent(event) {
+  fanoutLatency.observe({ kind: event.kind }, Math.max(0, Date.now() - event.sentAt) / 1000);
+  
+  if (event.kind === 'room') {
+    applyRemoteRoom(event.origin, event.roomCode, event.record, event.presence);
+    return;
+  }
+  
+  const room = roomStore.get(event.roomCode);
+  if (!room) return;
+  
+  switch (event.kind) {
+    case 'broadcast':
+      deliverToRoom(event.roomCode, event.message, event.excludeUserId);
+      break;
+      
+    case 'host':
+      deliverToHost(room, event.message);
+      break;
+      
+    case 'presence':
+      updateRemotePresence(room, event.origin, event.presence);
+      break;
+      
+    case 'room-deleted':
+      stopRoomReplay(event.roomCode);
+      roomStreams.close(event.roomCode);
+      roomStore.delete(event.roomCode);
+      console.log(`🗑️ Room ${event.roomCode} removed by another instance`);
+      break;
+      
+    case 'join-decision': {
+      const request = removeJoinRequest(room, event.requestId);
+      if (request) {
+        answerJoinRequest(room, request, event.approved, event.role, event.reason);
+      }
+      break;
+    }
+      
+    case 'set-role': {
+      const user = room.users.get(event.userId);
+      if (user && roles.isKnownRole(event.role, room.customRoles)) {
+        assignUserRole(room, user, event.role);
       }
+      break;
+    }
+      
+    case 'command-ack':
+      settleCommand(event.roomCode, event.ack);
+      break;
+      
+    case 'log-append':
+      mergeRemoteLogEntries(room, event.log, event.entries);
+      break;
+      
+    case 'logs-request':
+      shareRoomLogs(room);
+      break;
+      
+    case 'log-remove':
+      if (event.log === 'chat' && chat.deleteChatMessage(room.chat, event.entryId)) {
+        roomStore.removeLogEntry(room, 'chat', event.entryId);
+      }
+      break;
+      
+    case 'mute':
+      if (event.muted) {
+        room.mutedUsers[event.userId] = event.until;
+      } else {
+        delete room.mutedUsers[event.userId];
+      }
+      roomStore.save(room);
+      break;
+  }
+}
+
+// Hold a participant's slot after their socket drops, until they resume or the grace period ends
+function holdForReconnect(roomCode, participant) {
+  const room = roomStore.get(roomCode);
+  if (!room) return;
+  
+  participant.ws = null;
+  participant.status = 'reconnecting';
+  participant.missedMessages = [];
+  clearTimeout(participant.graceTimer);
+  participant.graceTimer = setTimeout(() => expireSession(roomCode, participant), ROOM_CONFIG.RECONNECT_GRACE_PERIOD);
+  publishPresence(room);
+  
+  if (participant === room.host) {
+    console.log(`⏳ Host of room ${roomCode} reconnecting`);
+    broadcastToRoom(roomCode, {
+      type: 'HOST_RECONNECTING',
+      gracePeriod: ROOM_CONFIG.RECONNECT_GRACE_PERIOD
+    });
+  } else {
+    console.log(`⏳ User ${participant.name} reconnecting to room ${roomCode}`);
+    broadcastToRoom(roomCode, {
+      type: 'USER_RECONNECTING',
+      user: toPublicUser(participant),
+      gracePeriod: ROOM_CONFIG.RECONNECT_GRACE_PERIOD
+    }, participant.id);
+    sendToHost(room, {
+      type: 'ROOM_CLIENT_RECONNECTING',
+      clientId: participant.id
+    });
+  }
+}
+
+// Grace period ran out: release the slot for good
+function expireSession(roomCode, participant) {
+  participant.graceTimer = null;
+  participant.missedMessages = null;
+  participant.status = 'offline';
+  revokeResumeToken(participant);
+  
+  const room = roomStore.get(roomCode);
+  if (!room) return;
+  
+  if (participant === room.host) {
+    room.state.isConnected = false;
+    saveRoom(room);
+    console.log(`🖥️ Desktop host of room ${roomCode} did not reconnect`);
+    
+    broadcastToRoom(roomCode, {
+      type: 'HOST_DISCONNECTED'
+    });
+    
+    emitWebhook(room, 'host.disconnected', { host: toPublicUser(room.host) });
+  } else {
+    removeUser(roomCode, room, participant);
+  }
+}
+
+// Remove a user from the room for good and tell everyone, on every instance
+function removeUser(roomCode, room, user) {
+  revokeResumeToken(user);
+  leaveRoom(roomCode, user.id);
+  broadcastToRoom(roomCode, {
+    type: 'USER_LEFT',
+    user: toPublicUser(user)
+  });
+  sendToHost(room, {
+    type: 'ROOM_CLIENT_LEFT',
+    clientId: user.id
+  });
+}
+
+// Remove users who joined over REST but never attached a WebSocket
+function reapDetachedUsers(now = Date.now()) {
+  for (const [roomCode, room] of roomStore.entries()) {
+    for (const user of [...room.users.values()]) {
+      if (user.ws || user.status === 'reconnecting') continue;
+      if (now - user.joinedAt <= ROOM_CONFIG.USER_TIMEOUT) continue;
+      
+      console.log(`⌛ Reaping user ${user.name} from room ${roomCode} (never connected)`);
+      removeUser(roomCode, room, user);
+    }
+  }
+}
+
+// Permission each timer action requires
+const TIMER_ACTION_PERMISSIONS = {
+  SET: 'RESET',
+  START: 'START_RESUME',
+  RESUME: 'START_RESUME',
+  START_RESUME: 'START_RESUME',
+  PAUSE: 'PAUSE',
+  ADD_TIME: 'ADD_TIME',
+  SUBTRACT_TIME: 'SUBTRACT_TIME',
+  STOP: 'STOP',
+  RESET: 'RESET'
+};
+
+// Apply a timer operation to a room; returns an error message if the action is invalid
+function applyTimerAction(room, action, data) {
+  const options = data || {};
+  
+  // Checked before anything changes, so a bad SET or RESET leaves the timer as it was
+  if (!room.timer || action === 'SET' || action === 'RESET') {
+    const error = timerEngine.validateTimerOptions(options);
+    if (error) return error;
+  }
+  
+  if (!room.timer || action === 'SET') {
+    room.timer = timerEngine.createTimer(options);
+    if (action === 'SET') return null;
+  }
+  
+  switch (action) {
+    case 'START':
+    case 'RESUME':
+    case 'START_RESUME':
+      timerEngine.startTimer(room.timer);
+      break;
+      
+    case 'PAUSE':
+      timerEngine.pauseTimer(room.timer);
+      break;
+      
+    case 'ADD_TIME':
+    case 'SUBTRACT_TIME': {
+      const seconds = Number(options.seconds);
+      if (!Number.isFinite(seconds) || seconds <= 0 || seconds > timerEngine.TIMER_LIMITS.MAX_DURATION) {
+        return 'seconds must be a positive number of seconds up to 24 hours';
+      }
+      if (action === 'ADD_TIME') {
+        timerEngine.addTime(room.timer, seconds);
+      } else {
+        timerEngine.subtractTime(room.timer, seconds);
+      }
+      break;
+    }
+      
+    case 'STOP':
+      timerEngine.stopTimer(room.timer);
+      break;
+      
+    case 'RESET':
+      timerEngine.resetTimer(room.timer, options);
+      break;
+      
+    default:
+      return `Unknown timer action: ${action}`;
+  }
+  
+  return null;
+}
+
+// Apply a schedule operation to a room; returns { error } or the affected segment(s)
+function applyScheduleAction(room, action, payload = {}) {
+  switch (action) {
+    case 'SCHEDULE_ADD':
+      return schedule.addSegment(room.schedule, payload.segment, payload.position);
+      
+    case 'SCHEDULE_EDIT':
+      return schedule.updateSegment(room.schedule, payload.segmentId, payload.changes);
+      
+    case 'SCHEDULE_REORDER':
+      return schedule.reorderSegments(room.schedule, payload.order);
+      
+    case 'SCHEDULE_REMOVE':
+      return schedule.removeSegment(room.schedule, payload.segmentId);
+      
+    case 'SCHEDULE_ADVANCE': {
+      const result = schedule.advanceSchedule(room.schedule, payload.segmentId);
+      if (result.error) return result;
+      
+      // Load the segment into the timer
+      room.timer = timerEngine.createTimer({
+        ...room.timer,
+        title: result.segment.title,
+        duration: result.segment.duration
+      });
+      if (payload.autoStart) {
+        timerEngine.startTimer(room.timer);
+      }
+      return result;
+    }
+      
+    default:
+      return { error: `Unknown schedule action: ${action}` };
+  }
+}
+
+// Send the run-of-show to everyone in the room, host included
+function publishSchedule(roomCode, room) {
+  const message = {
+    type: 'SCHEDULE_UPDATED',
+    schedule: room.schedule
+  };
+  broadcastToRoom(roomCode, message);
+  sendToHost(room, message);
+}
+
+// Apply a schedule change from any source and broadcast the result
+function runScheduleAction(roomCode, room, action, payload) {
+  const result = applyScheduleAction(room, action, payload);
+  if (result.error) return result;
+  
+  room.lastActivity = Date.now();
+  publishSchedule(roomCode, room);
+  if (action === 'SCHEDULE_ADVANCE') {
+    publishTimer(roomCode, room);
+  }
+  saveRoom(room);
+  return result;
+}
+
+// Apply validated settings and tell everyone in the room
+function updateRoomSettings(roomCode, room, changes) {
+  const error = validateSettingsUpdate(changes);
+  if (error) return { error };
+  
+  room.settings = { ...room.settings, ...changes };
+  room.lastActivity = Date.now();
+  
+  // Recording appends to the existing timeline until it is cleared
+  if (changes.recordTimeline && !room.timeline) {
+    resetRoomTimeline(room, timeline.createTimeline());
+  }
+  saveRoom(room);
+  console.log(`⚙️ Settings updated for room ${roomCode}:`, changes);
+  
+  // Turning approval off lets everyone who was waiting in
+  if (changes.requireApproval === false) {
+    admitPendingUsers(room);
+  }
+  
+  const message = {
+    type: 'ROOM_SETTINGS_UPDATED',
+    settings: room.settings
+  };
+  broadcastToRoom(roomCode, message);
+  sendToHost(room, message);
+  
+  return { settings: room.settings };
+}
+
+// Remove a chat message and tell everyone in the room
+function deleteRoomChatMessage(roomCode, room, messageId, moderator) {
+  const removed = chat.deleteChatMessage(room.chat, messageId);
+  if (!removed) return null;
+  
+  roomStore.removeLogEntry(room, 'chat', messageId);
+  roomAdapter.publish({ kind: 'log-remove', roomCode, log: 'chat', entryId: messageId });
+  console.log(`🧹 ${moderator.name} deleted a chat message in room ${roomCode}`);
+  
+  const message = {
+    type: 'CHAT_MESSAGE_DELETED',
+    messageId: messageId
+  };
+  broadcastToRoom(roomCode, message);
+  sendToHost(room, message);
+  return removed;
+}
+
+// Push the authoritative timer to everyone in the room, host included
+function publishTimer(roomCode, room, fanOut = true) {
+  const wasTimeUp = Boolean(room.state.timer?.isTimeUp);
+  timerEngine.settleTimer(room.timer);
+  room.state.timer = timerEngine.snapshotTimer(room.timer);
+  
+  // Every instance ticks the timer: the host's instance reports it hitting zero, or
+  // every instance when the host is offline, with an event id receivers can dedupe on
+  if (room.state.timer.isTimeUp && !wasTimeUp && !isHostConnectedElsewhere(room)) {
+    emitWebhook(room, 'timer.finished', { timer: room.state.timer }, `${roomCode}:timer.finished:${room.timer.startedAt}`);
+  }
+  
+  const message = {
+    type: 'ROOM_STATE_UPDATE',
+    state: room.state
+  };
+  if (fanOut) {
+    broadcastToRoom(roomCode, message);
+    sendToHost(room, message);
+  } else {
+    deliverToRoom(roomCode, message);
+    deliverToHost(room, message);
+  }
+}
+
+// Replay recorded events into a room at `speed` times real time. Replayed
+// messages carry `replay: true`; running timers are ticked forward between
+// recorded state changes, since ticks themselves are not recorded.
+function startRoomReplay(roomCode, room, events, options) {
+  let lastState = null;
+  let lastStateAt = 0;
+  
+  const stop = timeline.startReplay(events, { ...options, tickInterval: ROOM_CONFIG.TIMER_BROADCAST_INTERVAL }, {
+    onEvent: (event) => {
+      if (event.message.type === 'ROOM_STATE_UPDATE') {
+        lastState = event.message.state;
+        lastStateAt = Date.now();
+      }
+      broadcastToRoom(roomCode, { ...event.message, replay: true });
+    },
+    onTick: () => {
+      if (!lastState?.timer?.isRunning) return;
+      const elapsed = (Date.now() - lastStateAt) * options.speed;
+      broadcastToRoom(roomCode, {
+        type: 'ROOM_STATE_UPDATE',
+        state: { ...lastState, timer: timeline.advanceTimerSnapshot(lastState.timer, elapsed) },
+        replay: true
+      });
+    },
+    onFinish: (stopped) => {
+      console.log(`⏹️ Replay in room ${roomCode} ${stopped ? 'stopped' : 'finished'}`);
+      const current = roomStore.get(roomCode);
+      if (current) {
+        const message = { type: 'REPLAY_FINISHED', stopped: stopped };
+        broadcastToRoom(roomCode, message);
+        sendToHost(current, message);
+      }
+      replays.delete(roomCode);
+    }
+  });
+  replays.set(roomCode, stop);
+  
+  console.log(`▶️ Replaying ${events.length} event(s) into room ${roomCode} at ${options.speed}x`);
+  const message = {
+    type: 'REPLAY_STARTED',
+    speed: options.speed,
+    eventCount: events.length,
+    duration: timeline.getReplayDuration(events, options)
+  };
+  broadcastToRoom(roomCode, message);
+  sendToHost(room, message);
+}
+
+function stopRoomReplay(roomCode) {
+  const stop = replays.get(roomCode);
+  if (!stop) return false;
+  
+  stop();
+  return true;
+}
+
+// Liveness: the process is up and serving requests
+app.get(['/health', '/api/rooms/health'], (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    uptime: Math.round(process.uptime())
+  });
+});
+
+// Readiness: storage and cross-instance fan-out are usable
+app.get(['/ready', '/api/rooms/ready'], (req, res) => {
+  const checks = {
+    store: roomStore.isReady() ? 'ok' : 'unavailable',
+    adapter: roomAdapter.isReady() ? 'ok' : 'unavailable',
+    server: shuttingDown ? 'shutting_down' : 'ok'
+  };
+  const ready = server.listening && Object.values(checks).every(check => check === 'ok');
+  
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    checks: checks
+  });
+});
+
+app.get('/metrics', metricsHandler(metrics));
+
+// Health checks and metrics above are not rate limited
+app.use('/api', limitRequests(apiLimiter));
+
+// API Routes
+
+// Create a new room
+app.post('/api/rooms', limitRequests(roomCreateLimiter), (req, res) => {
+  try {
+    const { hostName, hostType } = req.body;
+    
+    const token = extractBearerToken(req);
+    const claims = verifyAccessToken(token);
+    if (token && !claims) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    
+    const room = createRoom({
+      id: crypto.randomUUID(),
+      name: hostName || 'Room Host',
+      type: hostType || 'desktop',
+      joinedAt: Date.now()
+    }, null, claims?.userId);
+    
+    res.json({
+      success: true,
+      room: {
+        code: room.code,
+        settings: room.settings,
+        createdAt: room.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a new room (alternative endpoint for desktop app)
+app.post('/api/rooms/create', limitRequests(roomCreateLimiter), (req, res) => {
+  try {
+    const { roomCode, hostType, hostInfo } = req.body;
+    
+    const token = extractBearerToken(req);
+    const claims = verifyAccessToken(token);
+    if (token && !claims) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    
+    // Rooms registered in auth-server can only be opened by their owner
+    const registeredOwnerId = roomCode ? lookupRoomOwner(roomCode) : null;
+    if (registeredOwnerId && registeredOwnerId !== claims?.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Room code is owned by another user'
+      });
+    }
+    
+    // Use provided room code or generate one
+    const code = roomCode || generateRoomCode();
+    
+    // Check if room already exists
+    if (roomStore.has(code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Room code already exists'
+      });
+    }
+    
+    const room = createRoom({
+      id: crypto.randomUUID(),
+      name: hostInfo?.name || 'Desktop App',
+      type: hostType || 'desktop',
+      joinedAt: Date.now()
+    }, code, claims?.userId); // Pass the room code and authenticated owner
+    
+    res.json({
+      success: true,
+      room: {
+        code: room.code,
+        settings: room.settings,
+        createdAt: room.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Join a room
+app.post('/api/rooms/:roomCode/join', limitRequests(roomLookupLimiter), (req, res) => {
+  try {
+    const { roomCode } = req.params;
+    const { userName, userRole } = req.body;
+    
+    const room = roomStore.get(roomCode);
+    if (room?.settings.requireApproval) {
+      return res.status(403).json({
+        success: false,
+        error: 'This room requires host approval; join over the WebSocket to request access'
+      });
+    }
+    const userInfo = {
+      id: crypto.randomUUID(),
+      name: userName || 'Anonymous User',
+      role: resolveJoinRole(userRole),
+      joinedAt: Date.now()
+    };
+    
+    joinRoom(roomCode, userInfo);
+    
+    res.json({
+      success: true,
+      user: userInfo,
+      room: {
+        code: room.code,
+        settings: room.settings,
+        userCount: countRoomUsers(room)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get room info
+app.get('/api/rooms/:roomCode', limitRequests(roomLookupLimiter), (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    room: {
+      code: room.code,
+      settings: room.settings,
+      userCount: countRoomUsers(room),
+      isHostConnected: room.host && room.state.isConnected,
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity
+    }
+  });
+});
+
+// Get room users
+app.get('/api/rooms/:roomCode/users', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const users = Array.from(room.users.values()).map(user => ({
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    joinedAt: user.joinedAt,
+    isOnline: Boolean(user.ws && user.ws.readyState === WebSocket.OPEN),
+    isReconnecting: user.status === 'reconnecting',
+    client: user.client || null // protocol version and app details from the handshake
+  }));
+  
+  // Users connected to other instances
+  room.remotePresence.forEach(presence => {
+    presence.users.forEach(user => users.push({
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      joinedAt: user.joinedAt,
+      isOnline: user.status === 'online',
+      isReconnecting: user.status === 'reconnecting',
+      client: user.client || null
+    }));
+  });
+  
+  res.json({
+    success: true,
+    users: users
+  });
+});
+
+// Update room settings
+app.patch('/api/rooms/:roomCode/settings', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const actor = authenticateRoomRequest(req, room);
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  const result = updateRoomSettings(roomCode, room, req.body);
+  recordAudit(room, actor, 'UPDATE_SETTINGS', {
+    payload: { settings: req.body },
+    outcome: result.error ? 'failed' : 'success',
+    reason: result.error || null,
+    source: 'rest'
+  });
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      error: result.error
+    });
+  }
+  
+  res.json({
+    success: true,
+    settings: result.settings
+  });
+});
+
+// Get chat history, newest page first (cursor pagination via ?before=<nextCursor>)
+app.get('/api/rooms/:roomCode/messages', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const page = chat.getChatPage(room.chat, {
+    before: req.query.before,
+    limit: req.query.limit
+  });
+  
+  res.json({
+    success: true,
+    messages: page.messages,
+    nextCursor: page.nextCursor
+  });
+});
+
+// Delete a chat message
+app.delete('/api/rooms/:roomCode/messages/:messageId', (req, res) => {
+  const { roomCode, messageId } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const actor = authenticateRoomRequest(req, room);
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  const removed = deleteRoomChatMessage(roomCode, room, messageId, actor);
+  recordAudit(room, actor, 'DELETE_CHAT_MESSAGE', {
+    payload: { messageId },
+    outcome: removed ? 'success' : 'failed',
+    reason: removed ? null : 'Message not found',
+    source: 'rest'
+  });
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+  
+  res.json({ success: true });
+});
+
+// Get roles available in a room
+app.get('/api/rooms/:roomCode/roles', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    roles: listRoomRoles(room),
+    customRoles: Object.keys(room.customRoles)
+  });
+});
+
+// Get the room's audit trail (owner or co-host only).
+// Filters: action, outcome, actorId, since, until; ?format=csv|json downloads every matching entry.
+app.get('/api/rooms/:roomCode/audit', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  if (!authenticateRoomRequest(req, room)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  const filters = {
+    action: req.query.action,
+    outcome: req.query.outcome,
+    actorId: req.query.actorId,
+    since: req.query.since,
+    until: req.query.until
+  };
+  
+  // The store may keep entries the room's bounded log has dropped
+  const log = { entries: roomStore.readLogEntries(room, 'audit') };
+  
+  if (req.query.format === 'csv' || req.query.format === 'json') {
+    const entries = audit.filterAuditEntries(log, filters);
+    res.attachment(`audit-${roomCode}.${req.query.format}`);
+    return req.query.format === 'csv'
+      ? res.send(audit.auditEntriesToCsv(entries))
+      : res.json({ roomCode: roomCode, exportedAt: Date.now(), entries: entries });
+  }
+  
+  const page = audit.getAuditPage(log, {
+    ...filters,
+    before: req.query.before,
+    limit: req.query.limit
+  });
+  
+  res.json({
+    success: true,
+    entries: page.entries,
+    nextCursor: page.nextCursor
+  });
+});
+
+// Download the room's recorded timeline (owner or co-host only)
+app.get('/api/rooms/:roomCode/timeline', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  if (!authenticateRoomRequest(req, room)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  if (!room.timeline) {
+    return res.status(404).json({
+      success: false,
+      error: 'Nothing has been recorded; enable the recordTimeline setting first'
+    });
+  }
+  
+  // The planned schedule travels with the recording for planned vs actual comparisons
+  res.attachment(`timeline-${roomCode}.json`);
+  res.json({
+    roomCode: roomCode,
+    exportedAt: Date.now(),
+    recording: room.settings.recordTimeline,
+    startedAt: room.timeline.startedAt,
+    truncated: room.timeline.truncated,
+    schedule: room.schedule,
+    events: room.timeline.events
+  });
+});
+
+// Discard the recorded timeline; recording continues into a fresh one if enabled
+app.delete('/api/rooms/:roomCode/timeline', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const actor = authenticateRoomRequest(req, room);
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  resetRoomTimeline(room, room.settings.recordTimeline ? timeline.createTimeline() : null);
+  saveRoom(room);
+  recordAudit(room, actor, 'CLEAR_TIMELINE', { source: 'rest' });
+  
+  res.json({ success: true });
+});
+
+// Replay a recording into the room. Body: { speed, fromOffset, recording | fromRoom };
+// without a source the room's own timeline is replayed.
+app.post('/api/rooms/:roomCode/replay', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const actor = authenticateRoomRequest(req, room);
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  const { recording, fromRoom } = req.body;
+  const speed = req.body.speed === undefined ? 1 : Number(req.body.speed);
+  const fromOffset = req.body.fromOffset === undefined ? 0 : Number(req.body.fromOffset);
+  
+  if (!Number.isFinite(speed) || speed <= 0 || speed > timeline.TIMELINE_LIMITS.MAX_REPLAY_SPEED) {
+    return res.status(400).json({
+      success: false,
+      error: `speed must be greater than 0 and at most ${timeline.TIMELINE_LIMITS.MAX_REPLAY_SPEED}`
+    });
+  }
+  if (!Number.isFinite(fromOffset) || fromOffset < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'fromOffset must be a non-negative number of milliseconds'
+    });
+  }
+  
+  let events;
+  if (recording !== undefined) {
+    const error = timeline.validateRecording(recording);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+    events = recording.events;
+  } else {
+    // Replaying another room's recording needs rights in that room too
+    const source = fromRoom ? roomStore.get(fromRoom) : room;
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source room not found'
+      });
+    }
+    if (source !== room && !authenticateRoomRequest(req, source)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Owner or co-host rights in the source room required'
+      });
+    }
+    events = source.timeline ? source.timeline.events : [];
+  }
+  
+  events = events.filter(event => event.offset >= fromOffset);
+  if (events.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Recording has no events to replay'
+    });
+  }
+  
+  if (replays.has(roomCode) || room.timer?.running) {
+    return res.status(409).json({
+      success: false,
+      error: replays.has(roomCode) ? 'A replay is already running in this room' : 'Stop the room timer before replaying'
+    });
+  }
+  
+  startRoomReplay(roomCode, room, events, { speed, fromOffset });
+  recordAudit(room, actor, 'START_REPLAY', {
+    payload: { speed, fromOffset, fromRoom: fromRoom || null, eventCount: events.length },
+    source: 'rest'
+  });
+  
+  res.status(202).json({
+    success: true,
+    replay: {
+      speed: speed,
+      fromOffset: fromOffset,
+      eventCount: events.length,
+      duration: timeline.getReplayDuration(events, { speed, fromOffset })
+    }
+  });
+});
+
+// Stop the replay running in a room
+app.delete('/api/rooms/:roomCode/replay', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const actor = authenticateRoomRequest(req, room);
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  if (!stopRoomReplay(roomCode)) {
+    return res.status(404).json({
+      success: false,
+      error: 'No replay is running in this room'
+    });
+  }
+  recordAudit(room, actor, 'STOP_REPLAY', { source: 'rest' });
+  
+  res.json({ success: true });
+});
+
+// List the room's webhook subscriptions (owner or co-host only)
+app.get('/api/rooms/:roomCode/webhooks', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  if (!authenticateRoomRequest(req, room)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  res.json({
+    success: true,
+    webhooks: room.webhooks.map(webhooks.toPublicSubscription),
+    events: webhooks.WEBHOOK_EVENTS
+  });
+});
+
+// Subscribe a URL to room events. Body: { url, events }; the signing secret is only returned here.
+app.post('/api/rooms/:roomCode/webhooks', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const actor = authenticateRoomRequest(req, room);
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  const error = webhooks.validateSubscription(req.body, { allowPrivate: ROOM_CONFIG.ALLOW_PRIVATE_WEBHOOKS });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error
+    });
+  }
+  
+  if (room.webhooks.length >= webhooks.WEBHOOK_LIMITS.MAX_PER_ROOM) {
+    return res.status(400).json({
+      success: false,
+      error: `Rooms can have at most ${webhooks.WEBHOOK_LIMITS.MAX_PER_ROOM} webhooks`
+    });
+  }
+  
+  const subscription = webhooks.createSubscription(req.body);
+  room.webhooks.push(subscription);
+  saveRoom(room);
+  recordAudit(room, actor, 'ADD_WEBHOOK', {
+    payload: { webhookId: subscription.id, url: subscription.url, events: subscription.events },
+    source: 'rest'
+  });
+  console.log(`🪝 Webhook added to room ${roomCode}: ${subscription.url}`);
+  
+  res.status(201).json({
+    success: true,
+    webhook: subscription
+  });
+});
+
+// Remove a webhook subscription
+app.delete('/api/rooms/:roomCode/webhooks/:webhookId', (req, res) => {
+  const { roomCode, webhookId } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+  }
+  
+  const actor = authenticateRoomRequest(req, room);
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  if (!room.webhooks.some(subscription => subscription.id === webhookId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+  
+  room.webhooks = room.webhooks.filter(subscription => subscription.id !== webhookId);
+  saveRoom(room);
+  recordAudit(room, actor, 'REMOVE_WEBHOOK', { payload: { webhookId }, source: 'rest' });
+  
+  res.json({ success: true });
+});
+
+// Recent deliveries to the room's webhooks made by this instance, newest first.
+// Filters: webhookId, event, status (pending|delivered|failed), limit.
+app.get('/api/rooms/:roomCode/webhooks/deliveries', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: 'Room not found'
     });
-  } catch (error) {
-    res.status(500).json({
+  }
+  
+  if (!authenticateRoomRequest(req, room)) {
+    return res.status(401).json({
       success: false,
-      error: error.message
+      error: 'Room owner or co-host token required'
     });
   }
+  
+  res.json({
+    success: true,
+    deliveries: webhookDispatcher.listDeliveries({
+      roomCode: roomCode,
+      scope: 'room',
+      webhookId: req.query.webhookId,
+      event: req.query.event,
+      status: req.query.status,
+      limit: req.query.limit
+    })
+  });
 });
 
-// Create a new room (alternative endpoint for desktop app)
-app.post('/api/rooms/create', (req, res) => {
-  try {
-    const { roomCode, hostType, hostInfo } = req.body;
-    
-    // Use provided room code or generate one
-    const code = roomCode || generateRoomCode();
-    
-    // Check if room already exists
-    if (rooms.has(code)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Room code already exists'
-      });
-    }
-    
-    const room = createRoom({
-      id: crypto.randomUUID(),
-      name: hostInfo?.name || 'Desktop App',
-      type: hostType || 'desktop',
-      joinedAt: Date.now()
-    }, code); // Pass the room code
-    
-    res.json({
-      success: true,
-      room: {
-        code: room.code,
-        settings: room.settings,
-        createdAt: room.createdAt
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
+// Read-only Server-Sent Events stream of room state, host status and chat for
+// displays that cannot hold a WebSocket. Resumes from Last-Event-ID (or ?lastEventId).
+app.get('/api/rooms/:roomCode/stream', (req, res) => {
+  const { roomCode } = req.params;
+  const room = roomStore.get(roomCode);
+  
+  if (!room) {
+    return res.status(404).json({
       success: false,
-      error: error.message
+      error: 'Room not found'
     });
   }
-});
-
-// Join a room
-app.post('/api/rooms/:roomCode/join', (req, res) => {
-  try {
-    const { roomCode } = req.params;
-    const { userName, userRole } = req.body;
-    
-    const userInfo = {
-      id: crypto.randomUUID(),
-      name: userName || 'Anonymous User',
-      role: userRole || 'viewer',
-      joinedAt: Date.now()
-    };
-    
-    const room = joinRoom(roomCode, userInfo);
-    
-    res.json({
-      success: true,
-      user: userInfo,
-      room: {
-        code: room.code,
-        settings: room.settings,
-        userCount: room.users.size
-      }
+  
+  // Streams join like viewers and cannot wait for approval
+  if (!room.settings.allowViewers || room.settings.requireApproval) {
+    return res.status(403).json({
+      success: false,
+      error: 'This room does not allow anonymous viewers'
     });
-  } catch (error) {
-    res.status(400).json({
+  }
+  
+  if (roomStreams.countClients(roomCode) >= ROOM_CONFIG.MAX_STREAMS_PER_ROOM) {
+    return res.status(503).json({
       success: false,
-      error: error.message
+      error: 'Too many streams open for this room'
     });
   }
+  
+  roomStreams.open(roomCode, req, res, () => {
+    return [
+      { type: 'ROOM_STATE_UPDATE', state: room.state },
+      isHostConnected(room)
+        ? { type: 'HOST_CONNECTED', host: toPublicUser(room.host) }
+        : { type: 'HOST_DISCONNECTED' }
+    ];
+  });
 });
 
-// Get room info
-app.get('/api/rooms/:roomCode', (req, res) => {
+// Send a command to the host from a hardware controller or script, like
+// USER_COMMAND over WebSocket, and wait for the host's COMMAND_ACK
+app.post('/api/rooms/:roomCode/commands', async (req, res) => {
   const { roomCode } = req.params;
-  const room = rooms.get(roomCode);
+  const room = roomStore.get(roomCode);
   
   if (!room) {
     return res.status(404).json({
@@ -225,23 +2089,62 @@ app.get('/api/rooms/:roomCode', (req, res) => {
     });
   }
   
+  const actor = authenticateRoomRequest(req, room, { allowRoleKeys: true });
+  if (!actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Room owner or co-host token required'
+    });
+  }
+  
+  const { command, data } = req.body;
+  const timeout = req.body.timeout === undefined ? ROOM_CONFIG.COMMAND_ACK_TIMEOUT : Number(req.body.timeout);
+  
+  if (typeof command !== 'string' || command.length === 0 || command.length > 64) {
+    return res.status(400).json({
+      success: false,
+      error: 'command must be a string of 1 to 64 characters'
+    });
+  }
+  if (!Number.isFinite(timeout) || timeout < 0 || timeout > ROOM_CONFIG.MAX_COMMAND_ACK_TIMEOUT) {
+    return res.status(400).json({
+      success: false,
+      error: `timeout must be between 0 and ${ROOM_CONFIG.MAX_COMMAND_ACK_TIMEOUT} milliseconds`
+    });
+  }
+  
+  const auditOptions = { payload: { command, data: data === undefined ? null : data }, source: 'rest' };
+  
+  // Commands are named after the permission they need, as over WebSocket
+  if (!canPerform(room, actor, command)) {
+    recordAudit(room, actor, 'USER_COMMAND', { ...auditOptions, outcome: 'denied' });
+    return res.status(403).json({
+      success: false,
+      error: `Your role does not allow ${command}`
+    });
+  }
+  
+  if (!isHostConnected(room)) {
+    recordAudit(room, actor, 'USER_COMMAND', { ...auditOptions, outcome: 'failed', reason: 'Host not connected' });
+    return res.status(409).json({
+      success: false,
+      error: 'Host not connected'
+    });
+  }
+  
+  recordAudit(room, actor, 'USER_COMMAND', auditOptions);
+  
+  const ack = await forwardCommandToHost(room, { id: actor.id, name: actor.name }, command, data, timeout);
   res.json({
     success: true,
-    room: {
-      code: room.code,
-      settings: room.settings,
-      userCount: room.users.size,
-      isHostConnected: room.host && room.state.isConnected,
-      createdAt: room.createdAt,
-      lastActivity: room.lastActivity
-    }
+    ...ack
   });
 });
 
-// Get room users
-app.get('/api/rooms/:roomCode/users', (req, res) => {
+// Get room schedule
+app.get('/api/rooms/:roomCode/schedule', (req, res) => {
   const { roomCode } = req.params;
-  const room = rooms.get(roomCode);
+  const room = roomStore.get(roomCode);
   
   if (!room) {
     return res.status(404).json({
@@ -250,48 +2153,218 @@ app.get('/api/rooms/:roomCode/users', (req, res) => {
     });
   }
   
-  const users = Array.from(room.users.values()).map(user => ({
-    id: user.id,
-    name: user.name,
-    role: user.role,
-    joinedAt: user.joinedAt,
-    isOnline: user.ws && user.ws.readyState === WebSocket.OPEN
-  }));
-  
   res.json({
     success: true,
-    users: users
+    schedule: room.schedule
   });
 });
 
+// Shared handler for schedule changes made over REST
+function scheduleRoute(action, getPayload) {
+  return (req, res) => {
+    const { roomCode } = req.params;
+    const room = roomStore.get(roomCode);
+    
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    const actor = authenticateRoomRequest(req, room, { allowRoleKeys: true });
+    if (!actor) {
+      return res.status(401).json({
+        success: false,
+        error: 'Room owner or co-host token required'
+      });
+    }
+    
+    const payload = getPayload(req);
+    if (!canPerform(room, actor, action)) {
+      recordAudit(room, actor, action, { payload, outcome: 'denied', reason: 'Permission denied', source: 'rest' });
+      return res.status(403).json({
+        success: false,
+        error: `Permission denied for action: ${action}`
+      });
+    }
+    
+    const result = runScheduleAction(roomCode, room, action, payload);
+    recordAudit(room, actor, action, {
+      payload,
+      outcome: result.error ? 'failed' : 'success',
+      reason: result.error || null,
+      source: 'rest'
+    });
+    if (result.error) {
+      return res.status(result.error === 'Segment not found' ? 404 : 400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result,
+      schedule: room.schedule
+    });
+  };
+}
+
+// Add a segment
+app.post('/api/rooms/:roomCode/schedule/segments', scheduleRoute('SCHEDULE_ADD', req => ({
+  segment: req.body,
+  position: req.body.position
+})));
+
+// Edit a segment
+app.patch('/api/rooms/:roomCode/schedule/segments/:segmentId', scheduleRoute('SCHEDULE_EDIT', req => ({
+  segmentId: req.params.segmentId,
+  changes: req.body
+})));
+
+// Remove a segment
+app.delete('/api/rooms/:roomCode/schedule/segments/:segmentId', scheduleRoute('SCHEDULE_REMOVE', req => ({
+  segmentId: req.params.segmentId
+})));
+
+// Reorder segments
+app.put('/api/rooms/:roomCode/schedule/order', scheduleRoute('SCHEDULE_REORDER', req => ({
+  order: req.body.order
+})));
+
+// Advance to the next (or a specific) segment and load its timer
+app.post('/api/rooms/:roomCode/schedule/advance', scheduleRoute('SCHEDULE_ADVANCE', req => ({
+  segmentId: req.body.segmentId,
+  autoStart: req.body.autoStart
+})));
+
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
   let currentUser = null;
   let currentRoom = null;
+  let currentClaims = null;
+  let pendingRequest = null; // { roomCode, id } while waiting for approval
+  let clientSession = handshake.createLegacySession(); // replaced by HELLO
+  const messageLimiter = createMessageRateLimiter(RATE_LIMITS.WS_MESSAGE, RATE_LIMITS.WS_MESSAGE_TYPES);
+  const violationLimiter = createRateLimiter(RATE_LIMITS.WS_VIOLATIONS);
   
   console.log('🔌 New WebSocket connection');
   
+  let currentMessage = null; // { type, correlationId } of the message being handled
+  
   ws.on('message', (message) => {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      console.error('Error parsing WebSocket message:', error.message);
+      metricsCounters.messagesReceived.inc({ type: 'invalid' });
+      currentMessage = null;
+      if (checkRateLimit(null)) {
+        sendError(ws, 'INVALID_JSON', 'Message is not valid JSON');
+      }
+      return;
+    }
+    
+    currentMessage = {
+      type: typeof data?.type === 'string' ? data.type : null,
+      correlationId: typeof data?.correlationId === 'string' ? data.correlationId : crypto.randomUUID()
+    };
+    
+    if (!checkRateLimit(currentMessage.type)) {
+      return;
+    }
+    
+    const invalid = roomProtocol.validateInbound(data);
+    metricsCounters.messagesReceived.inc({ type: invalid ? 'invalid' : data.type });
+    if (invalid) {
+      sendError(ws, invalid.code, invalid.message);
+      return;
+    }
+    
+    if (data.type !== 'HELLO' && clientSession.legacy && handshake.isHandshakeRequired()) {
+      sendError(ws, 'HANDSHAKE_REQUIRED', `Send HELLO with protocol version ${handshake.MIN_PROTOCOL_VERSION} or newer first`);
+      return;
+    }
+    
     try {
-      const data = JSON.parse(message);
       handleWebSocketMessage(ws, data);
     } catch (error) {
-      console.error('Error parsing WebSocket message:', error);
-      ws.send(JSON.stringify({
-        type: 'ERROR',
-        message: 'Invalid message format'
-      }));
+      console.error(`Error handling ${data.type}:`, error);
+      sendError(ws, 'INTERNAL_ERROR', 'Internal server error');
     }
   });
   
+  // Reply with a structured error tied to the message being handled
+  function sendError(ws, code, message, details = {}) {
+    sendMessage(ws, {
+      type: 'ERROR',
+      code: code,
+      message: message,
+      messageType: currentMessage?.type || null,
+      correlationId: currentMessage?.correlationId || crypto.randomUUID(),
+      ...details
+    });
+  }
+  
+  // Refuse messages over the connection's limits; disconnect clients that keep going
+  function checkRateLimit(type) {
+    if (ws.readyState !== WebSocket.OPEN) return false; // already being disconnected
+    if (!RATE_LIMITS.ENABLED) return true;
+    
+    const result = messageLimiter.take(type);
+    if (result.allowed) return true;
+    
+    if (!violationLimiter.take('violations').allowed) {
+      console.log('🚫 Closing WebSocket connection that kept exceeding rate limits');
+      ws.close(4429, 'Rate limit exceeded');
+      return false;
+    }
+    
+    sendError(ws, 'RATE_LIMITED', 'Too many messages, please slow down', {
+      retryAfter: Math.ceil(result.retryAfter / 1000)
+    });
+    return false;
+  }
+  
+  // Audit a message sent by this connection's participant
+  function auditMessage(room, data, outcome = 'success', reason = null) {
+    recordAudit(room, currentUser, data.type, { payload: toAuditPayload(data), outcome, reason });
+  }
+  
+  // Refuse an action the participant's role does not allow, and audit the attempt
+  function denyPermission(ws, room, data, action) {
+    auditMessage(room, data, 'denied', `Permission denied for action: ${action}`);
+    sendMessage(ws, {
+      type: 'PERMISSION_DENIED',
+      action: action,
+      message: `Permission denied for action: ${action}`
+    });
+  }
+  
+  // Refuse a host-only action, and audit the attempt
+  function denyHostOnly(ws, room, data, code, message) {
+    auditMessage(room, data, 'denied', message);
+    sendError(ws, code, message);
+  }
+  
   ws.on('close', () => {
     console.log('🔌 WebSocket connection closed');
-    if (currentUser && currentRoom) {
-      leaveRoom(currentRoom, currentUser.id);
-      broadcastToRoom(currentRoom, {
-        type: 'USER_LEFT',
-        user: currentUser
-      });
+    // Ignore sockets that were already replaced by a resumed or newer connection
+    if (currentUser && currentRoom && currentUser.ws === ws) {
+      holdForReconnect(currentRoom, currentUser);
+    }
+    
+    // Withdraw a join request that was still waiting for the host
+    if (pendingRequest) {
+      const room = roomStore.get(pendingRequest.roomCode);
+      if (room && removeJoinRequest(room, pendingRequest.id)) {
+        sendToHost(room, {
+          type: 'JOIN_REQUEST_CANCELLED',
+          requestId: pendingRequest.id
+        });
+      }
     }
   });
   
@@ -304,6 +2377,10 @@ wss.on('connection', (ws, req) => {
     console.log('📨 Received:', data.type);
     
     switch (data.type) {
+      case 'HELLO':
+        handleHello(ws, data);
+        break;
+        
       case 'REGISTER_HOST':
         handleRegisterHost(ws, data);
         break;
@@ -320,135 +2397,297 @@ wss.on('connection', (ws, req) => {
         handleRegisterUser(ws, data);
         break;
         
+      case 'RESUME_SESSION':
+        handleResumeSession(ws, data);
+        break;
+        
       case 'ROOM_STATE_UPDATE':
         handleRoomStateUpdate(data);
         break;
         
       case 'USER_COMMAND':
-        handleUserCommand(data);
+        handleUserCommand(ws, data);
+        break;
+        
+      case 'COMMAND_ACK':
+        handleCommandAck(ws, data);
         break;
         
       case 'CHAT_MESSAGE':
-        handleChatMessage(data);
+        handleChatMessage(ws, data);
         break;
         
-      default:
-        console.log('Unknown message type:', data.type);
+      case 'DELETE_CHAT_MESSAGE':
+      case 'MUTE_USER':
+      case 'UNMUTE_USER':
+        handleChatModeration(ws, data);
+        break;
+        
+      case 'TIMER_CONTROL':
+        handleTimerControl(ws, data);
+        break;
+        
+      case 'SCHEDULE_GET':
+      case 'SCHEDULE_ADD':
+      case 'SCHEDULE_EDIT':
+      case 'SCHEDULE_REORDER':
+      case 'SCHEDULE_REMOVE':
+      case 'SCHEDULE_ADVANCE':
+        handleScheduleMessage(ws, data);
+        break;
+        
+      case 'DEFINE_ROLE':
+      case 'REMOVE_ROLE':
+        handleRoleDefinition(ws, data);
+        break;
+        
+      case 'SET_USER_ROLE':
+        handleSetUserRole(ws, data);
+        break;
+        
+      case 'APPROVE_JOIN':
+      case 'DENY_JOIN':
+        handleJoinDecision(ws, data);
+        break;
+        
+      case 'UPDATE_SETTINGS':
+        handleUpdateSettings(ws, data);
+        break;
+        
+      case 'ADD_CO_HOST':
+      case 'REMOVE_CO_HOST':
+        handleCoHostUpdate(ws, data);
+        break;
+    }
+  }
+  
+  // Negotiate protocol version and capabilities; must be the first message on a connection
+  function handleHello(ws, data) {
+    if (!clientSession.legacy || currentUser || pendingRequest) {
+      sendError(ws, 'HANDSHAKE_ALREADY_COMPLETED', 'HELLO must be the first message on a connection');
+      return;
+    }
+    
+    const result = handshake.negotiateHandshake(data, 'dytor-room-server', ROOM_FEATURES);
+    if (result.error) {
+      console.log(`⛔ Rejected client on protocol version ${data.protocolVersion}`);
+      sendError(ws, 'UNSUPPORTED_PROTOCOL_VERSION', result.error);
+      ws.close(4426, 'Protocol upgrade required');
+      return;
     }
+    
+    clientSession = result.session;
+    console.log(`🤝 Handshake with ${clientSession.client.name || 'unnamed client'} (protocol v${clientSession.protocolVersion})`);
+    sendMessage(ws, result.reply);
   }
   
   // Handle desktop app joining room as host
   function handleJoinRoom(ws, data) {
-    const { roomCode, clientType, clientInfo } = data;
-    const room = rooms.get(roomCode);
+    const { roomCode, clientType, clientInfo, token } = data;
+    const room = roomStore.get(roomCode);
     
     if (!room) {
-      ws.send(JSON.stringify({
-        type: 'ERROR',
-        message: 'Room not found'
-      }));
+      sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
       return;
     }
     
     if (clientType === 'host') {
       // Desktop app joining as host
+      const auth = authorizeHost(room, token, ws);
+      if (!auth.allowed) {
+        console.log(`⛔ Host claim rejected for room ${roomCode}: ${auth.code}`);
+        sendError(ws, auth.code, auth.message);
+        return;
+      }
+      
+      currentClaims = auth.claims;
+      clearTimeout(room.host.graceTimer);
+      room.host.graceTimer = null;
+      room.host.userId = auth.claims?.userId || null;
       room.host.ws = ws;
+      room.host.status = 'online';
+      room.host.client = handshake.describeClientSession(clientSession);
       room.state.isConnected = true;
       room.lastActivity = Date.now();
+      saveRoom(room);
       
       currentUser = room.host;
       currentRoom = roomCode;
+      const resumeToken = issueResumeToken(roomCode, room.host, auth.claims);
       
       console.log(`🖥️ Desktop host connected to room ${roomCode}`);
       
       // Notify all users that host is connected
       broadcastToRoom(roomCode, {
         type: 'HOST_CONNECTED',
-        host: room.host
+        host: toPublicUser(room.host)
       });
+      emitWebhook(room, 'host.connected', { host: toPublicUser(room.host) });
       
       // Send current room state to host
-      ws.send(JSON.stringify({
+      sendMessage(ws, {
         type: 'ROOM_JOINED',
         roomCode: roomCode,
-        clients: Array.from(room.users.values()),
+        userId: room.host.id,
+        resumeToken: resumeToken,
+        pendingRequests: listJoinRequests(room),
+        clients: listRoomUsers(room),
+        schedule: room.schedule,
+        chatHistory: chat.getChatPage(room.chat),
         room: {
           code: room.code,
           settings: room.settings,
-          userCount: room.users.size
+          userCount: countRoomUsers(room)
         }
-      }));
+      });
     } else {
-      // Web user joining room
-      const userInfo = {
-        id: crypto.randomUUID(),
-        name: clientInfo.name || 'Anonymous User',
-        role: clientInfo.role || 'viewer',
-        joinedAt: Date.now(),
-        ws: ws
-      };
-      
-      room.users.set(userInfo.id, userInfo);
-      room.lastActivity = Date.now();
-      
-      currentUser = userInfo;
-      currentRoom = roomCode;
-      
-      console.log(`🌐 User ${userInfo.name} joined room ${roomCode}`);
+      const joinInfo = { name: clientInfo?.name, role: resolveJoinRole(clientInfo?.role) };
+      const denied = checkJoinAllowed(room, joinInfo.role);
+      if (denied) {
+        sendError(ws, denied.code, denied.message);
+        return;
+      }
       
-      // Notify host about new user
-      if (room.host.ws && room.host.ws.readyState === WebSocket.OPEN) {
-        room.host.ws.send(JSON.stringify({
-          type: 'ROOM_CLIENT_JOINED',
-          client: userInfo
-        }));
+      if (room.settings.requireApproval) {
+        requestApproval(ws, room, roomCode, joinInfo);
+      } else {
+        admitUser(ws, room, roomCode, joinInfo);
+      }
+    }
+  }
+  
+  // Park a joiner in the waiting room until the host answers
+  function requestApproval(ws, room, roomCode, clientInfo) {
+    if (pendingRequest) {
+      return;
+    }
+    
+    const now = Date.now();
+    const request = {
+      id: crypto.randomUUID(),
+      name: clientInfo.name || 'Anonymous User',
+      role: clientInfo.role,
+      requestedAt: now,
+      expiresAt: now + ROOM_CONFIG.JOIN_REQUEST_TIMEOUT,
+      admit: (role = request.role) => {
+        pendingRequest = null;
+        if (ws.readyState !== WebSocket.OPEN) return;
+        
+        // Settings may have changed while the request was waiting
+        const denied = checkJoinAllowed(room, role);
+        if (denied) {
+          request.reject(denied.code, denied.message);
+          return;
+        }
+        admitUser(ws, room, roomCode, { name: request.name, role });
+      },
+      reject: (code, reason) => {
+        pendingRequest = null;
+        if (ws.readyState === WebSocket.OPEN) {
+          sendMessage(ws, {
+            type: 'JOIN_DENIED',
+            code: code,
+            roomCode: roomCode,
+            reason: reason
+          });
+        }
+      }
+    };
+    request.timer = setTimeout(() => expireJoinRequest(roomCode, request.id), ROOM_CONFIG.JOIN_REQUEST_TIMEOUT);
+    
+    room.pendingUsers.set(request.id, request);
+    pendingRequest = { roomCode, id: request.id };
+    publishPresence(room);
+    
+    console.log(`🚪 ${request.name} is waiting for approval in room ${roomCode}`);
+    
+    sendMessage(ws, {
+      type: 'JOIN_PENDING',
+      roomCode: roomCode,
+      requestId: request.id,
+      expiresAt: request.expiresAt
+    });
+    
+    sendToHost(room, {
+      type: 'JOIN_REQUEST',
+      request: toPublicJoinRequest(request)
+    });
+  }
+  
+  // Web user joining room; clientInfo.role is already resolved (see resolveJoinRole)
+  function admitUser(ws, room, roomCode, clientInfo) {
+    const userInfo = {
+      id: crypto.randomUUID(),
+      name: clientInfo.name || 'Anonymous User',
+      role: clientInfo.role,
+      joinedAt: Date.now(),
+      status: 'online',
+      client: handshake.describeClientSession(clientSession),
+      ws: ws
+    };
+    
+    room.users.set(userInfo.id, userInfo);
+    room.lastActivity = Date.now();
+    saveRoom(room);
+    
+    currentUser = userInfo;
+    currentRoom = roomCode;
+    const resumeToken = issueResumeToken(roomCode, userInfo);
+    
+    console.log(`🌐 User ${userInfo.name} joined room ${roomCode}`);
+    emitWebhook(room, 'user.joined', { user: toPublicUser(userInfo) });
+    
+    // Notify host about new user
+    sendToHost(room, {
+      type: 'ROOM_CLIENT_JOINED',
+      client: toPublicUser(userInfo)
+    });
+    
+    // Send room info to user
+    sendMessage(ws, {
+      type: 'ROOM_JOINED',
+      roomCode: roomCode,
+      userId: userInfo.id,
+      resumeToken: resumeToken,
+      permissions: roles.getRolePermissions(userInfo.role, room.customRoles),
+      clients: listRoomUsers(room),
+      schedule: room.schedule,
+      chatHistory: chat.getChatPage(room.chat),
+      room: {
+        code: room.code,
+        settings: room.settings,
+        userCount: countRoomUsers(room)
       }
-      
-      // Send room info to user
-      ws.send(JSON.stringify({
-        type: 'ROOM_JOINED',
-        roomCode: roomCode,
-        clients: Array.from(room.users.values()),
-        room: {
-          code: room.code,
-          settings: room.settings,
-          userCount: room.users.size
-        }
-      }));
-    }
+    });
   }
 
   // Handle leaving room
   function handleLeaveRoom(ws, data) {
     const { roomCode } = data;
-    const room = rooms.get(roomCode);
+    const room = roomStore.get(roomCode);
     
     if (!room) return;
     
     if (currentUser === room.host) {
       // Host is leaving
+      revokeResumeToken(room.host);
       room.host.ws = null;
+      room.host.status = 'offline';
       room.state.isConnected = false;
+      saveRoom(room);
       console.log(`🖥️ Desktop host left room ${roomCode}`);
       
       // Notify all users that host disconnected
       broadcastToRoom(roomCode, {
         type: 'HOST_DISCONNECTED'
       });
+      emitWebhook(room, 'host.disconnected', { host: toPublicUser(room.host) });
     } else {
       // User is leaving
-      const userId = currentUser?.id;
-      if (userId && room.users.has(userId)) {
-        room.users.delete(userId);
+      // Same cleanup as an expired disconnect, so other instances and storage see it too
+      if (currentUser && room.users.get(currentUser.id) === currentUser) {
         console.log(`🌐 User ${currentUser.name} left room ${roomCode}`);
-        
-        // Notify host about user leaving
-        if (room.host.ws && room.host.ws.readyState === WebSocket.OPEN) {
-          room.host.ws.send(JSON.stringify({
-            type: 'ROOM_CLIENT_LEFT',
-            clientId: userId
-          }));
-        }
+        removeUser(roomCode, room, currentUser);
       }
     }
     
@@ -458,99 +2697,200 @@ wss.on('connection', (ws, req) => {
 
   // Register desktop app as room host (legacy)
   function handleRegisterHost(ws, data) {
-    const { roomCode, hostInfo } = data;
-    const room = rooms.get(roomCode);
+    const { roomCode, hostInfo, token } = data;
+    const room = roomStore.get(roomCode);
     
     if (!room) {
-      ws.send(JSON.stringify({
-        type: 'ERROR',
-        message: 'Room not found'
-      }));
+      sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
+      return;
+    }
+    
+    const auth = authorizeHost(room, token, ws);
+    if (!auth.allowed) {
+      console.log(`⛔ Host registration rejected for room ${roomCode}: ${auth.code}`);
+      sendError(ws, auth.code, auth.message);
       return;
     }
     
     // Update room host
+    currentClaims = auth.claims;
+    clearTimeout(room.host.graceTimer);
+    room.host.graceTimer = null;
+    room.host.userId = auth.claims?.userId || null;
     room.host.ws = ws;
+    room.host.status = 'online';
+    room.host.client = handshake.describeClientSession(clientSession);
     room.state.isConnected = true;
     room.lastActivity = Date.now();
+    saveRoom(room);
     
     currentUser = room.host;
     currentRoom = roomCode;
+    const resumeToken = issueResumeToken(roomCode, room.host, auth.claims);
     
     console.log(`🖥️ Desktop host registered for room ${roomCode}`);
     
     // Notify all users that host is connected
     broadcastToRoom(roomCode, {
       type: 'HOST_CONNECTED',
-      host: room.host
+      host: toPublicUser(room.host)
     });
+    emitWebhook(room, 'host.connected', { host: toPublicUser(room.host) });
     
     // Send current room state to host
-    ws.send(JSON.stringify({
+    sendMessage(ws, {
       type: 'ROOM_INFO',
+      resumeToken: resumeToken,
       room: {
         code: room.code,
         settings: room.settings,
-        userCount: room.users.size
+        userCount: countRoomUsers(room)
       }
-    }));
+    });
   }
   
   // Register web user
   function handleRegisterUser(ws, data) {
     const { roomCode, userId, userInfo } = data;
-    const room = rooms.get(roomCode);
+    const room = roomStore.get(roomCode);
     
     if (!room) {
-      ws.send(JSON.stringify({
-        type: 'ERROR',
-        message: 'Room not found'
-      }));
+      sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
       return;
     }
     
     const user = room.users.get(userId);
     if (!user) {
-      ws.send(JSON.stringify({
-        type: 'ERROR',
-        message: 'User not found in room'
-      }));
+      sendError(ws, 'USER_NOT_FOUND', 'User not found in room');
       return;
     }
     
     // Update user WebSocket
+    clearTimeout(user.graceTimer);
+    user.graceTimer = null;
     user.ws = ws;
+    user.status = 'online';
+    user.client = handshake.describeClientSession(clientSession);
+    publishPresence(room);
     currentUser = user;
     currentRoom = roomCode;
+    const resumeToken = issueResumeToken(roomCode, user);
     
     console.log(`👤 User ${user.name} registered for room ${roomCode}`);
     
     // Send current room state to user
-    ws.send(JSON.stringify({
+    sendMessage(ws, {
       type: 'ROOM_STATE',
       state: room.state,
-      isHostConnected: room.state.isConnected
-    }));
+      isHostConnected: room.state.isConnected,
+      resumeToken: resumeToken
+    });
     
     // Notify other users
     broadcastToRoom(roomCode, {
       type: 'USER_JOINED',
-      user: user
+      user: toPublicUser(user)
     }, userId);
   }
   
+  // Reattach a dropped participant to their slot and replay what they missed
+  function handleResumeSession(ws, data) {
+    const session = resumeSessions.get(data.resumeToken);
+    const room = session && roomStore.get(session.roomCode);
+    const participant = room && findParticipant(room, session.userId);
+    
+    if (!participant) {
+      sendError(ws, 'SESSION_EXPIRED', 'Session expired, please join the room again');
+      return;
+    }
+    
+    clearTimeout(participant.graceTimer);
+    participant.graceTimer = null;
+    
+    // A half-open socket may still be attached; the resumed one wins
+    const previousWs = participant.ws;
+    if (previousWs && previousWs !== ws && previousWs.readyState === WebSocket.OPEN) {
+      participant.ws = null;
+      previousWs.close(4001, 'Session resumed elsewhere');
+    }
+    
+    const missedMessages = participant.missedMessages || [];
+    participant.missedMessages = null;
+    participant.ws = ws;
+    participant.status = 'online';
+    participant.client = handshake.describeClientSession(clientSession);
+    publishPresence(room);
+    room.lastActivity = Date.now();
+    
+    const isHost = participant === room.host;
+    if (isHost) {
+      room.state.isConnected = true;
+    }
+    saveRoom(room);
+    
+    currentUser = participant;
+    currentRoom = session.roomCode;
+    currentClaims = session.claims;
+    const resumeToken = issueResumeToken(session.roomCode, participant, session.claims);
+    
+    console.log(`🔄 ${isHost ? 'Host' : `User ${participant.name}`} resumed session in room ${session.roomCode}`);
+    
+    sendMessage(ws, {
+      type: 'SESSION_RESUMED',
+      roomCode: session.roomCode,
+      userId: participant.id,
+      resumeToken: resumeToken,
+      user: toPublicUser(participant),
+      clients: listRoomUsers(room),
+      schedule: room.schedule,
+      room: {
+        code: room.code,
+        settings: room.settings,
+        userCount: countRoomUsers(room)
+      },
+      state: room.state,
+      isHostConnected: room.state.isConnected,
+      missedCount: missedMessages.length
+    });
+    
+    // Replay everything broadcast while the socket was away
+    missedMessages.forEach(message => sendMessage(ws, message));
+    
+    if (isHost) {
+      broadcastToRoom(session.roomCode, {
+        type: 'HOST_CONNECTED',
+        host: toPublicUser(room.host)
+      });
+      emitWebhook(room, 'host.connected', { host: toPublicUser(room.host) });
+    } else {
+      broadcastToRoom(session.roomCode, {
+        type: 'USER_RECONNECTED',
+        user: toPublicUser(participant)
+      }, participant.id);
+      sendToHost(room, {
+        type: 'ROOM_CLIENT_RECONNECTED',
+        clientId: participant.id
+      });
+    }
+  }
+  
   // Handle room state updates from host
   function handleRoomStateUpdate(data) {
     if (!currentRoom || !currentUser || currentUser.type !== 'desktop') {
       return;
     }
     
-    const room = rooms.get(currentRoom);
+    const room = roomStore.get(currentRoom);
     if (!room) return;
     
+    // The server owns the timer once it has been started here
+    const { timer, ...hostState } = data.state || {};
+    const state = room.timer ? hostState : data.state;
+    
     // Update room state
-    room.state = { ...room.state, ...data.state };
+    room.state = { ...room.state, ...state };
     room.lastActivity = Date.now();
+    saveRoom(room);
     
     // Broadcast to all users
     broadcastToRoom(currentRoom, {
@@ -559,55 +2899,436 @@ wss.on('connection', (ws, req) => {
     });
   }
   
+  // Host drives the server-owned timer
+  function handleTimerControl(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    const permission = TIMER_ACTION_PERMISSIONS[data.action];
+    if (permission && !canPerform(room, currentUser, permission)) {
+      denyPermission(ws, room, data, data.action);
+      return;
+    }
+    
+    const error = applyTimerAction(room, data.action, data.data);
+    if (error) {
+      auditMessage(room, data, 'failed', error);
+      sendError(ws, 'INVALID_TIMER_ACTION', error);
+      return;
+    }
+    
+    room.lastActivity = Date.now();
+    publishTimer(currentRoom, room);
+    saveRoom(room);
+    auditMessage(room, data);
+  }
+  
+  // Run-of-show requests from the host or users with schedule permissions
+  function handleScheduleMessage(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (data.type === 'SCHEDULE_GET') {
+      sendMessage(ws, {
+        type: 'SCHEDULE_UPDATED',
+        schedule: room.schedule
+      });
+      return;
+    }
+    
+    if (!canPerform(room, currentUser, data.type)) {
+      denyPermission(ws, room, data, data.type);
+      return;
+    }
+    
+    const result = runScheduleAction(currentRoom, room, data.type, data);
+    auditMessage(room, data, result.error ? 'failed' : 'success', result.error || null);
+    if (result.error) {
+      sendError(ws, 'INVALID_SCHEDULE_ACTION', result.error);
+    }
+  }
+  
   // Handle user commands
-  function handleUserCommand(data) {
+  function handleUserCommand(ws, data) {
     if (!currentRoom || !currentUser) {
       return;
     }
     
-    const room = rooms.get(currentRoom);
-    if (!room || !room.host.ws) {
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    // Commands are named after the permission they need (START_RESUME, MESSAGE_SEND, ...)
+    if (!canPerform(room, currentUser, data.command)) {
+      console.log(`⛔ ${currentUser.name} (${currentUser.role}) denied ${data.command} in room ${currentRoom}`);
+      denyPermission(ws, room, data, data.command);
+      return;
+    }
+    
+    if (!isHostConnected(room)) {
+      auditMessage(room, data, 'failed', 'Host not connected');
+      sendError(ws, 'HOST_NOT_CONNECTED', 'The host is not connected');
       return;
     }
     
-    // Forward command to host
-    room.host.ws.send(JSON.stringify({
+    auditMessage(room, data);
+    
+    // Forward command to the host, on whichever instance it is connected
+    sendToHost(room, {
       type: 'USER_COMMAND',
-      user: currentUser,
+      user: toPublicUser(currentUser),
       command: data.command,
       data: data.data
-    }));
+    });
   }
   
-  // Handle chat messages
-  function handleChatMessage(data) {
+  // Host answers a command sent through POST /api/rooms/:roomCode/commands
+  function handleCommandAck(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (currentUser !== room.host) {
+      sendError(ws, 'HOST_ONLY', 'Only the host can acknowledge commands');
+      return;
+    }
+    
+    const ack = { commandId: data.commandId, success: data.success, result: data.result, error: data.error };
+    if (!settleCommand(currentRoom, ack)) {
+      // The REST request may be waiting on another instance
+      roomAdapter.publish({ kind: 'command-ack', roomCode: currentRoom, ack });
+    }
+  }
+  
+  // Host defines or removes a custom role for the room
+  function handleRoleDefinition(ws, data) {
     if (!currentRoom || !currentUser) {
       return;
     }
     
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (currentUser !== room.host) {
+      denyHostOnly(ws, room, data, 'HOST_ONLY', 'Only the host can manage roles');
+      return;
+    }
+    
+    const { role, permissions } = data;
+    
+    if (data.type === 'DEFINE_ROLE') {
+      const error = roles.validateCustomRole(role, permissions);
+      if (error) {
+        auditMessage(room, data, 'failed', error);
+        sendError(ws, 'INVALID_ROLE', error);
+        return;
+      }
+      room.customRoles[role] = [...new Set(permissions)];
+    } else {
+      if (!Object.hasOwn(room.customRoles, role)) {
+        auditMessage(room, data, 'failed', `Unknown custom role: ${role}`);
+        sendError(ws, 'INVALID_ROLE', `Unknown custom role: ${role}`);
+        return;
+      }
+      delete room.customRoles[role];
+      
+      // Users holding the removed role drop back to viewer
+      room.users.forEach(user => {
+        if (user.role === role) user.role = 'viewer';
+      });
+    }
+    
+    room.lastActivity = Date.now();
+    saveRoom(room);
+    auditMessage(room, data);
+    console.log(`🎭 Role ${role} ${data.type === 'DEFINE_ROLE' ? 'defined' : 'removed'} in room ${currentRoom}`);
+    
     const message = {
-      id: crypto.randomUUID(),
-      user: currentUser,
-      message: data.message,
-      timestamp: Date.now()
+      type: 'ROLES_UPDATED',
+      roles: listRoomRoles(room)
     };
+    broadcastToRoom(currentRoom, message);
+    sendToHost(room, message);
+  }
+  
+  // Host assigns a role to a user in the room
+  function handleSetUserRole(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
     
-    broadcastToRoom(currentRoom, {
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (currentUser !== room.host) {
+      denyHostOnly(ws, room, data, 'HOST_ONLY', 'Only the host can assign roles');
+      return;
+    }
+    
+    const user = room.users.get(data.userId) || findRemoteUser(room, data.userId);
+    if (!user || !roles.isKnownRole(data.role, room.customRoles)) {
+      const error = user ? `Unknown role: ${data.role}` : 'User not found in room';
+      auditMessage(room, data, 'failed', error);
+      sendError(ws, 'INVALID_ROLE', error);
+      return;
+    }
+    
+    room.lastActivity = Date.now();
+    auditMessage(room, data);
+    if (room.users.has(user.id)) {
+      assignUserRole(room, user, data.role);
+    } else {
+      // The instance holding the user's socket applies the change
+      roomAdapter.publish({ kind: 'set-role', roomCode: currentRoom, userId: user.id, role: data.role });
+    }
+  }
+  
+  // Host changes room settings
+  function handleUpdateSettings(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (currentUser !== room.host) {
+      denyHostOnly(ws, room, data, 'HOST_ONLY', 'Only the host can change room settings');
+      return;
+    }
+    
+    const result = updateRoomSettings(currentRoom, room, data.settings);
+    auditMessage(room, data, result.error ? 'failed' : 'success', result.error || null);
+    if (result.error) {
+      sendError(ws, 'INVALID_SETTINGS', result.error);
+    }
+  }
+  
+  // Host approves or denies a waiting joiner
+  function handleJoinDecision(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (currentUser !== room.host) {
+      denyHostOnly(ws, room, data, 'HOST_ONLY', 'Only the host can answer join requests');
+      return;
+    }
+    
+    const approved = data.type === 'APPROVE_JOIN';
+    const request = removeJoinRequest(room, data.requestId);
+    if (request) {
+      auditMessage(room, data);
+      answerJoinRequest(room, request, approved, data.role, data.reason);
+      return;
+    }
+    
+    // The requester may be waiting on another instance
+    if (listJoinRequests(room).some(pending => pending.id === data.requestId)) {
+      auditMessage(room, data);
+      roomAdapter.publish({
+        kind: 'join-decision',
+        roomCode: currentRoom,
+        requestId: data.requestId,
+        approved: approved,
+        role: data.role || null,
+        reason: data.reason || null
+      });
+      return;
+    }
+    
+    auditMessage(room, data, 'failed', 'Join request not found or already answered');
+    sendError(ws, 'JOIN_REQUEST_NOT_FOUND', 'Join request not found or already answered');
+  }
+  
+  // Owner grants or revokes co-host rights for another account
+  function handleCoHostUpdate(ws, data) {
+    if (!currentRoom || !currentClaims) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room || currentUser !== room.host) return;
+    
+    if (currentClaims.userId !== getRoomOwnerId(room)) {
+      denyHostOnly(ws, room, data, 'NOT_ROOM_OWNER', 'Only the room owner can manage co-hosts');
+      return;
+    }
+    
+    const { userId } = data;
+    if (!userId) return;
+    
+    if (data.type === 'ADD_CO_HOST' && !room.coHosts.includes(userId)) {
+      room.coHosts.push(userId);
+    } else if (data.type === 'REMOVE_CO_HOST') {
+      room.coHosts = room.coHosts.filter(id => id !== userId);
+    }
+    saveRoom(room);
+    auditMessage(room, data);
+    
+    sendMessage(ws, {
+      type: 'CO_HOSTS_UPDATED',
+      coHosts: room.coHosts
+    });
+  }
+  
+  // Handle chat messages
+  function handleChatMessage(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (chat.isMuted(room.mutedUsers, currentUser.id)) {
+      sendError(ws, 'MUTED', 'You have been muted in this room');
+      return;
+    }
+    
+    const { text, error } = chat.sanitizeMessageText(data.message);
+    if (error) {
+      sendError(ws, 'INVALID_CHAT_MESSAGE', error);
+      return;
+    }
+    
+    const message = chat.addChatMessage(room.chat, currentUser, text);
+    room.lastActivity = Date.now();
+    appendRoomLog(room, 'chat', message);
+    
+    const chatMessage = {
       type: 'CHAT_MESSAGE',
       message: message
-    });
+    };
+    broadcastToRoom(currentRoom, chatMessage);
+    sendToHost(room, chatMessage);
+  }
+  
+  // Host or chat moderators delete messages and mute users
+  function handleChatModeration(ws, data) {
+    if (!currentRoom || !currentUser) {
+      return;
+    }
+    
+    const room = roomStore.get(currentRoom);
+    if (!room) return;
+    
+    if (!canPerform(room, currentUser, 'CHAT_MODERATE')) {
+      denyPermission(ws, room, data, data.type);
+      return;
+    }
+    
+    if (data.type === 'DELETE_CHAT_MESSAGE') {
+      if (deleteRoomChatMessage(currentRoom, room, data.messageId, currentUser)) {
+        auditMessage(room, data);
+      } else {
+        auditMessage(room, data, 'failed', 'Message not found');
+        sendError(ws, 'MESSAGE_NOT_FOUND', 'Message not found');
+      }
+      return;
+    }
+    
+    const target = room.users.get(data.userId) || findRemoteUser(room, data.userId);
+    if (!target) {
+      auditMessage(room, data, 'failed', 'User not found in room');
+      sendError(ws, 'USER_NOT_FOUND', 'User not found in room');
+      return;
+    }
+    
+    let message;
+    if (data.type === 'MUTE_USER') {
+      const duration = Number(data.duration);
+      const until = Number.isFinite(duration) && duration > 0 ? Date.now() + duration * 1000 : null;
+      room.mutedUsers[target.id] = until;
+      roomAdapter.publish({ kind: 'mute', roomCode: currentRoom, userId: target.id, muted: true, until: until });
+      console.log(`🔇 ${target.name} muted in room ${currentRoom}`);
+      message = { type: 'USER_MUTED', userId: target.id, until: until };
+    } else {
+      delete room.mutedUsers[target.id];
+      roomAdapter.publish({ kind: 'mute', roomCode: currentRoom, userId: target.id, muted: false });
+      console.log(`🔊 ${target.name} unmuted in room ${currentRoom}`);
+      message = { type: 'USER_UNMUTED', userId: target.id };
+    }
+    roomStore.save(room);
+    auditMessage(room, data);
+    
+    broadcastToRoom(currentRoom, message);
+    sendToHost(room, message);
   }
 });
 
-// Cleanup inactive rooms
+// Broadcast running timers, whether or not the host is online
+setInterval(() => {
+  for (const [roomCode, room] of roomStore.entries()) {
+    if (!room.timer || !room.timer.running) continue;
+    
+    // Each instance ticks for its own sockets
+    publishTimer(roomCode, room, false);
+    
+    // Countdown stopped itself at zero
+    if (!room.timer.running) {
+      saveRoom(room);
+    }
+  }
+}, ROOM_CONFIG.TIMER_BROADCAST_INTERVAL);
+
+// Fan-out between room-server instances
+roomAdapter.subscribe(handleAdapterEvent);
+
+// Keep other instances' view of our participants fresh, and forget silent instances
+setInterval(() => {
+  const now = Date.now();
+  for (const room of roomStore.values()) {
+    for (const [instanceId, presence] of room.remotePresence) {
+      if (now - presence.updatedAt > ROOM_CONFIG.PRESENCE_TIMEOUT) {
+        room.remotePresence.delete(instanceId);
+      }
+    }
+    
+    if (room.users.size > 0 || room.pendingUsers.size > 0 || room.host.ws) {
+      publishPresence(room);
+    }
+  }
+}, ROOM_CONFIG.PRESENCE_INTERVAL);
+
+// Drop half-open sockets; their close handler holds the slot for reconnection
+startHeartbeat(wss, ROOM_CONFIG.HEARTBEAT_INTERVAL);
+
+// Forget rate-limit buckets of clients that have gone quiet
+setInterval(() => {
+  routeLimiters.forEach(limiter => limiter.prune());
+}, 60 * 1000);
+
+// Reap REST joins that never connected
+setInterval(reapDetachedUsers, Math.min(ROOM_CONFIG.USER_REAP_INTERVAL, ROOM_CONFIG.USER_TIMEOUT));
+
+// Cleanup inactive rooms and expired audit entries
 setInterval(() => {
   const now = Date.now();
-  for (const [roomCode, room] of rooms.entries()) {
+  for (const [roomCode, room] of roomStore.entries()) {
     if (now - room.lastActivity > ROOM_CONFIG.ROOM_TIMEOUT) {
-      rooms.delete(roomCode);
+      deleteRoom(roomCode);
       console.log(`🗑️ Cleaned up inactive room: ${roomCode}`);
     }
   }
+  
+  const expired = roomStore.expireLogEntries(now);
+  if (expired > 0) {
+    console.log(`🗑️ Removed ${expired} expired audit entries`);
+  }
 }, 60 * 60 * 1000); // Check every hour
 
 // Start server
@@ -618,4 +3339,62 @@ server.listen(PORT, () => {
   console.log(`🌐 API endpoint: http://localhost:${PORT}/api`);
 });
 
+// Write every room through to the store so a restarted or sibling instance picks them up
+function flushRooms() {
+  let flushed = 0;
+  for (const room of roomStore.values()) {
+    try {
+      roomStore.save(room);
+      flushed++;
+    } catch (error) {
+      console.error(`Failed to flush room ${room.code}:`, error);
+    }
+  }
+  return flushed;
+}
+
+// Graceful shutdown: stop accepting connections, warn clients, flush rooms, then close everything
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received, shutting down room server`);
+  
+  // Never let a stuck socket block the deploy
+  setTimeout(() => {
+    console.error('⚠️ Shutdown timed out, exiting');
+    process.exit(1);
+  }, ROOM_CONFIG.SHUTDOWN_TIMEOUT).unref();
+  
+  // Refuse new connections; /ready already reports 503 so load balancers drain us
+  server.close();
+  server.closeIdleConnections();
+  
+  const restarting = {
+    type: 'SERVER_RESTARTING',
+    reconnectDelay: ROOM_CONFIG.SHUTDOWN_RECONNECT_DELAY,
+    reason: 'Server is restarting'
+  };
+  // Sockets already closing would throw on send and abort the shutdown
+  wss.clients.forEach(ws => {
+    if (ws.readyState === WebSocket.OPEN) sendMessage(ws, restarting);
+  });
+  roomStreams.closeAll(restarting);
+  
+  const flushed = flushRooms();
+  console.log(`💾 Flushed ${flushed} room(s) to ${roomStore.type} store`);
+  
+  // Close handlers still run, so participants are held for reconnection on other instances
+  const closed = new Promise(resolve => wss.close(resolve));
+  wss.clients.forEach(ws => ws.close(SERVER_RESTART_CLOSE_CODE, 'Server restarting'));
+  await closed;
+  
+  await roomAdapter.close();
+  roomStore.close();
+  console.log('👋 Room server stopped');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = { server, app };
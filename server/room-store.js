@@ -0,0 +1,283 @@
+// Room storage backends for the Dytor room server
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { createSchedule } = require('./schedule');
+const { createChatHistory } = require('./chat');
+const { createAuditLog, trimAuditLog } = require('./audit-log');
+
+// Append-only logs kept out of the room record, so saving a room never rewrites
+// them: where each lives on a room, its entry array, and the field entries are
+// ordered by. The SQLite store keeps one row per entry and drops the rows the
+// bounded log in memory no longer holds, except entries `retain` accepts: those
+// are kept until they are older than LOG_RETENTION.
+const ROOM_LOGS = {
+  chat: { field: 'chat', entries: 'messages', order: 'seq' },
+  audit: { field: 'audit', entries: 'entries', order: 'seq', retain: entry => entry.outcome !== 'denied' },
+  timeline: { field: 'timeline', entries: 'events', order: 'offset' }
+};
+
+const LOG_RETENTION = (parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000;
+
+// Entry array of one of a room's logs (null when the room has no timeline)
+function getLogEntries(room, log) {
+  const { field, entries } = ROOM_LOGS[log];
+  return room[field] ? room[field][entries] : null;
+}
+
+// A log's bookkeeping (sequence counters, timeline start) without its entries
+function withoutEntries(value, entries) {
+  if (!value) return null;
+  const { [entries]: _, ...meta } = value;
+  return meta;
+}
+
+// Strip live connections, runtime-only fields and log entries before persisting
+function toRecord(room) {
+  const { ws, resumeToken, graceTimer, missedMessages, status, client, ...host } = room.host || {};
+  return {
+    code: room.code,
+    host: host,
+    ownerId: room.ownerId || null,
+    coHosts: room.coHosts || [],
+    createdAt: room.createdAt,
+    lastActivity: room.lastActivity,
+    settings: room.settings,
+    state: room.state,
+    timer: room.timer || null,
+    schedule: room.schedule,
+    customRoles: room.customRoles || {},
+    chat: withoutEntries(room.chat, 'messages'),
+    mutedUsers: room.mutedUsers || {},
+    audit: withoutEntries(room.audit, 'entries'),
+    timeline: withoutEntries(room.timeline, 'events'),
+    webhooks: room.webhooks || []
+  };
+}
+
+// Rebuild a live room object from a persisted record. Log entries are restored
+// separately; records written before logs had their own table still carry them.
+function fromRecord(record) {
+  return {
+    ...record,
+    host: { ...record.host, ws: null },
+    coHosts: record.coHosts || [],
+    schedule: record.schedule || createSchedule(),
+    customRoles: record.customRoles || {},
+    chat: { ...createChatHistory(), ...record.chat, messages: record.chat?.messages || [] },
+    mutedUsers: record.mutedUsers || {},
+    audit: { ...createAuditLog(), ...record.audit, entries: record.audit?.entries || [] },
+    timeline: record.timeline ? { ...record.timeline, events: record.timeline.events || [] } : null,
+    webhooks: record.webhooks || [],
+    users: new Map(),
+    pendingUsers: new Map(),
+    remotePresence: new Map(),
+    state: { ...record.state, isConnected: false }
+  };
+}
+
+// In-memory store (rooms are lost on restart)
+function createMemoryRoomStore() {
+  const rooms = new Map();
+
+  return {
+    type: 'memory',
+    get: (roomCode) => rooms.get(roomCode),
+    has: (roomCode) => rooms.has(roomCode),
+    save: (room) => {
+      rooms.set(room.code, room);
+    },
+    delete: (roomCode) => {
+      rooms.delete(roomCode);
+    },
+    // Live rooms already hold their logs and activity time; nothing else to write
+    touch: () => {},
+    appendLogEntry: () => {},
+    removeLogEntry: () => {},
+    clearLog: () => {},
+    expireLogEntries: () => {},
+    // Everything kept of a log, oldest first: here, what the room holds
+    readLogEntries: (room, log) => getLogEntries(room, log) || [],
+    entries: () => rooms.entries(),
+    values: () => rooms.values(),
+    get size() {
+      return rooms.size;
+    },
+    isReady: () => true,
+    close: () => {}
+  };
+}
+
+// SQLite-backed store: live rooms stay in memory, every save is written through.
+// Log entries are written one row at a time as they are appended, and retained
+// entries (see ROOM_LOGS) outlive the room's bounded log in memory.
+function createSqliteRoomStore(filePath) {
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      code TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      last_activity INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS room_log_entries (
+      room_code TEXT NOT NULL,
+      log TEXT NOT NULL,
+      id TEXT NOT NULL,
+      position REAL NOT NULL,
+      retained INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (room_code, log, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_room_log_entries_position ON room_log_entries(room_code, log, retained, position);
+  `);
+
+  const upsertRoom = db.prepare(`
+    INSERT INTO rooms (code, data, last_activity) VALUES (?, ?, ?)
+    ON CONFLICT(code) DO UPDATE SET data = excluded.data, last_activity = excluded.last_activity
+  `);
+  const deleteRoom = db.prepare('DELETE FROM rooms WHERE code = ?');
+  const touchRoom = db.prepare('UPDATE rooms SET last_activity = ? WHERE code = ?');
+  const insertLogEntry = db.prepare(`
+    INSERT OR IGNORE INTO room_log_entries (room_code, log, id, position, retained, created_at, data) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const trimLog = db.prepare('DELETE FROM room_log_entries WHERE room_code = ? AND log = ? AND retained = 0 AND position < ?');
+  const expireLogEntries = db.prepare('DELETE FROM room_log_entries WHERE retained = 1 AND created_at < ?');
+  const selectLog = db.prepare('SELECT data FROM room_log_entries WHERE room_code = ? AND log = ? ORDER BY position, id');
+  const deleteLogEntry = db.prepare('DELETE FROM room_log_entries WHERE room_code = ? AND log = ? AND id = ?');
+  const clearLog = db.prepare('DELETE FROM room_log_entries WHERE room_code = ? AND log = ?');
+  const deleteRoomLogs = db.prepare('DELETE FROM room_log_entries WHERE room_code = ?');
+  const selectLogEntries = db.prepare('SELECT log, data FROM room_log_entries WHERE room_code = ? ORDER BY position, id');
+
+  function writeLogEntry(roomCode, log, entry) {
+    const { order, retain } = ROOM_LOGS[log];
+    const retained = retain && retain(entry) ? 1 : 0;
+    insertLogEntry.run(roomCode, log, entry.id, entry[order], retained, entry.timestamp || Date.now(), JSON.stringify(entry));
+  }
+
+  const memory = createMemoryRoomStore();
+
+  // Restore rooms from the previous run
+  for (const row of db.prepare('SELECT data, last_activity FROM rooms').all()) {
+    try {
+      const room = fromRecord(JSON.parse(row.data));
+      room.lastActivity = row.last_activity;
+
+      // Move entries of records from before the log table into it, once
+      const legacyLogs = Object.keys(ROOM_LOGS).filter(log => getLogEntries(room, log)?.length > 0);
+      if (legacyLogs.length > 0) {
+        db.transaction(() => {
+          legacyLogs.forEach((log) => {
+            getLogEntries(room, log).forEach(entry => writeLogEntry(room.code, log, entry.id ? entry : { ...entry, id: crypto.randomUUID() }));
+            getLogEntries(room, log).length = 0;
+          });
+          upsertRoom.run(room.code, JSON.stringify(toRecord(room)), room.lastActivity);
+        })();
+      }
+
+      for (const entry of selectLogEntries.all(room.code)) {
+        const entries = getLogEntries(room, entry.log);
+        if (entries) entries.push(JSON.parse(entry.data));
+      }
+
+      // Retained entries outlive the log in memory
+      trimAuditLog(room.audit);
+      
+      // Appends do not rewrite the record, so its sequence counters can lag behind
+      [room.chat, room.audit].forEach((log) => {
+        const last = (log.messages || log.entries).at(-1);
+        if (last) log.nextSeq = Math.max(log.nextSeq, last.seq + 1);
+      });
+      memory.save(room);
+    } catch (error) {
+      console.error('Failed to restore room record:', error);
+    }
+  }
+
+  return {
+    ...memory,
+    type: 'sqlite',
+    save: (room) => {
+      memory.save(room);
+      upsertRoom.run(room.code, JSON.stringify(toRecord(room)), room.lastActivity);
+    },
+    delete: (roomCode) => {
+      memory.delete(roomCode);
+      deleteRoom.run(roomCode);
+      deleteRoomLogs.run(roomCode);
+    },
+    // Record activity without rewriting the room
+    touch: (room) => {
+      touchRoom.run(room.lastActivity, room.code);
+    },
+    // Write an entry just added to one of the room's logs, and drop rows the
+    // bounded log in memory no longer holds, unless they are retained
+    appendLogEntry: (room, log, entry) => {
+      writeLogEntry(room.code, log, entry);
+      const { order, retain } = ROOM_LOGS[log];
+      const entries = getLogEntries(room, log) || [];
+      const oldest = retain ? entries.find(kept => !retain(kept)) : entries[0];
+      if (oldest) {
+        trimLog.run(room.code, log, oldest[order]);
+      }
+    },
+    removeLogEntry: (room, log, entryId) => {
+      deleteLogEntry.run(room.code, log, entryId);
+    },
+    clearLog: (room, log) => {
+      clearLog.run(room.code, log);
+    },
+    // Drop retained entries older than LOG_RETENTION
+    expireLogEntries: (now = Date.now()) => {
+      return expireLogEntries.run(now - LOG_RETENTION).changes;
+    },
+    readLogEntries: (room, log) => {
+      return selectLog.all(room.code, log).map(row => JSON.parse(row.data));
+    },
+    get size() {
+      return memory.size;
+    },
+    isReady: () => {
+      try {
+        db.prepare('SELECT 1').get();
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    close: () => db.close()
+  };
+}
+
+// Pick a store from the environment (ROOM_STORE=memory|sqlite)
+function createRoomStore(options = {}) {
+  const type = options.type || process.env.ROOM_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return createMemoryRoomStore();
+
+    case 'sqlite':
+      return createSqliteRoomStore(
+        options.path || process.env.ROOM_STORE_PATH || path.join(__dirname, '..', 'data', 'rooms.db')
+      );
+
+    default:
+      throw new Error(`Unknown room store type: ${type}`);
+  }
+}
+
+module.exports = {
+  ROOM_LOGS,
+  LOG_RETENTION,
+  getLogEntries,
+  toRecord,
+  fromRecord,
+  createRoomStore,
+  createMemoryRoomStore,
+  createSqliteRoomStore
+};
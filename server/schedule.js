@@ -0,0 +1,166 @@
+// Run-of-show schedule for Dytor rooms
+//
+// A schedule is a plain, persistable object: an ordered list of segments and
+// the index of the segment currently on stage (-1 before the show starts).
+
+const crypto = require('crypto');
+
+const SEGMENT_LIMITS = {
+  MAX_SEGMENTS: 200,
+  MAX_TITLE_LENGTH: 200,
+  MAX_SPEAKER_LENGTH: 200,
+  MAX_NOTES_LENGTH: 2000,
+  MAX_DURATION: 24 * 60 * 60 // seconds
+};
+
+function createSchedule() {
+  return {
+    segments: [],
+    currentIndex: -1,
+    updatedAt: Date.now()
+  };
+}
+
+// Validate segment fields; returns an error message or null
+function validateSegment(fields, partial = false) {
+  if (!fields || typeof fields !== 'object') {
+    return 'Segment data is required';
+  }
+
+  if (!partial || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || !fields.title.trim()) {
+      return 'Segment title is required';
+    }
+    if (fields.title.length > SEGMENT_LIMITS.MAX_TITLE_LENGTH) {
+      return `Segment title must be at most ${SEGMENT_LIMITS.MAX_TITLE_LENGTH} characters`;
+    }
+  }
+
+  if (!partial || fields.duration !== undefined) {
+    const duration = Number(fields.duration);
+    if (!Number.isFinite(duration) || duration <= 0 || duration > SEGMENT_LIMITS.MAX_DURATION) {
+      return 'Segment duration must be a positive number of seconds (max 24 hours)';
+    }
+  }
+
+  if (fields.speaker !== undefined && fields.speaker !== null &&
+      (typeof fields.speaker !== 'string' || fields.speaker.length > SEGMENT_LIMITS.MAX_SPEAKER_LENGTH)) {
+    return `Segment speaker must be a string of at most ${SEGMENT_LIMITS.MAX_SPEAKER_LENGTH} characters`;
+  }
+
+  if (fields.notes !== undefined && fields.notes !== null &&
+      (typeof fields.notes !== 'string' || fields.notes.length > SEGMENT_LIMITS.MAX_NOTES_LENGTH)) {
+    return `Segment notes must be a string of at most ${SEGMENT_LIMITS.MAX_NOTES_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+function findSegmentIndex(schedule, segmentId) {
+  return schedule.segments.findIndex(segment => segment.id === segmentId);
+}
+
+// Add a segment at the given position (end of the list by default)
+function addSegment(schedule, fields, position = null) {
+  const error = validateSegment(fields);
+  if (error) return { error };
+
+  if (schedule.segments.length >= SEGMENT_LIMITS.MAX_SEGMENTS) {
+    return { error: `Schedule is limited to ${SEGMENT_LIMITS.MAX_SEGMENTS} segments` };
+  }
+
+  const segment = {
+    id: crypto.randomUUID(),
+    title: fields.title.trim(),
+    speaker: fields.speaker || null,
+    duration: Math.round(Number(fields.duration)),
+    notes: fields.notes || null
+  };
+
+  const index = Number.isInteger(position)
+    ? Math.max(0, Math.min(position, schedule.segments.length))
+    : schedule.segments.length;
+
+  schedule.segments.splice(index, 0, segment);
+  if (index <= schedule.currentIndex) {
+    schedule.currentIndex++;
+  }
+  schedule.updatedAt = Date.now();
+
+  return { segment };
+}
+
+function updateSegment(schedule, segmentId, changes) {
+  const index = findSegmentIndex(schedule, segmentId);
+  if (index === -1) return { error: 'Segment not found' };
+
+  const error = validateSegment(changes, true);
+  if (error) return { error };
+
+  const segment = schedule.segments[index];
+  if (changes.title !== undefined) segment.title = changes.title.trim();
+  if (changes.speaker !== undefined) segment.speaker = changes.speaker || null;
+  if (changes.duration !== undefined) segment.duration = Math.round(Number(changes.duration));
+  if (changes.notes !== undefined) segment.notes = changes.notes || null;
+  schedule.updatedAt = Date.now();
+
+  return { segment };
+}
+
+function removeSegment(schedule, segmentId) {
+  const index = findSegmentIndex(schedule, segmentId);
+  if (index === -1) return { error: 'Segment not found' };
+
+  const [segment] = schedule.segments.splice(index, 1);
+  // Removing the live segment steps back, so advancing loads the one that took its place
+  if (index <= schedule.currentIndex) {
+    schedule.currentIndex--;
+  }
+  schedule.updatedAt = Date.now();
+
+  return { segment };
+}
+
+// Reorder using a full list of segment ids; the live segment stays live
+function reorderSegments(schedule, order) {
+  if (!Array.isArray(order) || order.length !== schedule.segments.length) {
+    return { error: 'Order must list every segment id exactly once' };
+  }
+
+  const byId = new Map(schedule.segments.map(segment => [segment.id, segment]));
+  if (new Set(order).size !== order.length || !order.every(id => byId.has(id))) {
+    return { error: 'Order must list every segment id exactly once' };
+  }
+
+  const currentId = schedule.segments[schedule.currentIndex]?.id;
+  schedule.segments = order.map(id => byId.get(id));
+  schedule.currentIndex = currentId ? order.indexOf(currentId) : schedule.currentIndex;
+  schedule.updatedAt = Date.now();
+
+  return { segments: schedule.segments };
+}
+
+// Move to the next segment, or jump to a specific one
+function advanceSchedule(schedule, segmentId = null) {
+  const index = segmentId ? findSegmentIndex(schedule, segmentId) : schedule.currentIndex + 1;
+
+  if (index < 0 || index >= schedule.segments.length) {
+    return { error: segmentId ? 'Segment not found' : 'No more segments in the schedule' };
+  }
+
+  schedule.currentIndex = index;
+  schedule.updatedAt = Date.now();
+
+  return { segment: schedule.segments[index] };
+}
+
+module.exports = {
+  SEGMENT_LIMITS,
+  createSchedule,
+  validateSegment,
+  addSegment,
+  updateSegment,
+  removeSegment,
+  reorderSegments,
+  advanceSchedule
+};
@@ -0,0 +1,129 @@
+// Login sessions for the Dytor auth server
+//
+// A session starts at login or registration and holds a refresh token that is
+// replaced every time it is used. Access tokens carry the session id (sid), so
+// revoking a session cuts off its access tokens at their next request instead
+// of when they expire. Sessions live in the user repository, so they survive
+// restarts and room-server can check a sid against auth-server's database. Only
+// hashes of refresh tokens are kept, and presenting a refresh token that was
+// already rotated out revokes the session, since it means someone else holds a copy.
+
+const crypto = require('crypto');
+
+const SESSION_LIMITS = {
+  REFRESH_TTL: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000, // extended on every refresh
+  MAX_PER_USER: 20 // the least recently used session is dropped beyond this
+};
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function secretsMatch(secret, hash) {
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(secret), 'hex'), Buffer.from(hash, 'hex'));
+}
+
+// Session fields safe to show the user
+function toPublicSession({ refreshHash, previousHash, revokedAt, ...session }) {
+  return session;
+}
+
+// Whether a stored session (or null) is a live session of `userId`
+function isSessionActive(session, userId, now = Date.now()) {
+  return Boolean(session && session.userId === userId && !session.revokedAt && session.expiresAt > now);
+}
+
+// Issue a new refresh secret; the token is "<sessionId>.<secret>"
+function issueRefreshToken(session) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  session.previousHash = session.refreshHash || null;
+  session.refreshHash = hashSecret(secret);
+  return `${session.id}.${secret}`;
+}
+
+// Sessions on top of a user repository (see user-repository.js)
+function createSessionStore(repository) {
+  // Live sessions of a user, least recently used first
+  function activeSessions(userId, now = Date.now()) {
+    return repository.listSessions(userId)
+      .filter(session => isSessionActive(session, userId, now))
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  }
+
+  return {
+    // Start a session; returns it with its first refresh token
+    create(userId, { userAgent = null, ip = null } = {}, now = Date.now()) {
+      repository.deleteExpiredSessions(now);
+      const existing = activeSessions(userId, now);
+      existing.slice(0, Math.max(0, existing.length - SESSION_LIMITS.MAX_PER_USER + 1))
+        .forEach(session => repository.revokeSession(session.id, now));
+
+      const session = {
+        id: crypto.randomUUID(),
+        userId,
+        userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+        ip,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now + SESSION_LIMITS.REFRESH_TTL,
+        refreshHash: null,
+        previousHash: null,
+        revokedAt: null
+      };
+      const refreshToken = issueRefreshToken(session);
+      repository.createSession(session);
+
+      return { session, refreshToken };
+    },
+
+    // Trade a refresh token for a new one; returns null when it is not valid
+    rotate(refreshToken, now = Date.now()) {
+      const [sessionId, secret] = String(refreshToken || '').split('.');
+      const session = sessionId && secret ? repository.findSession(sessionId) : null;
+      if (!session || !isSessionActive(session, session.userId, now)) return null;
+
+      if (!secretsMatch(secret, session.refreshHash)) {
+        if (session.previousHash && secretsMatch(secret, session.previousHash)) {
+          console.warn(`🚨 Reused refresh token for session ${session.id}; session revoked`);
+          repository.revokeSession(session.id, now);
+        }
+        return null;
+      }
+
+      session.lastUsedAt = now;
+      session.expiresAt = now + SESSION_LIMITS.REFRESH_TTL;
+      const rotated = issueRefreshToken(session);
+      repository.updateSession(session);
+      return { session, refreshToken: rotated };
+    },
+
+    isActive(userId, sessionId, now = Date.now()) {
+      return Boolean(sessionId) && isSessionActive(repository.findSession(sessionId), userId, now);
+    },
+
+    // Most recently used first
+    list(userId) {
+      return activeSessions(userId).reverse().map(toPublicSession);
+    },
+
+    revoke(userId, sessionId) {
+      const session = repository.findSession(sessionId);
+      if (!isSessionActive(session, userId)) return false;
+      repository.revokeSession(sessionId);
+      return true;
+    },
+
+    // Revoke every session of a user except `keepSessionId`; returns how many went
+    revokeAll(userId, keepSessionId = null) {
+      const revoked = activeSessions(userId).filter(session => session.id !== keepSessionId);
+      revoked.forEach(session => repository.revokeSession(session.id));
+      return revoked.length;
+    }
+  };
+}
+
+module.exports = {
+  SESSION_LIMITS,
+  isSessionActive,
+  createSessionStore
+};
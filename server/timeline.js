@@ -0,0 +1,156 @@
+// Session timeline recording and replay for Dytor rooms
+//
+// A timeline is a persistable list of the messages broadcast to a room (state
+// changes, chat, joins and leaves) with their offset from the start of the
+// recording. Replays re-deliver those messages on the same schedule, optionally
+// sped up, for rehearsals and demos.
+
+const crypto = require('crypto');
+
+const TIMELINE_LIMITS = {
+  MAX_EVENTS: 2000,
+  MAX_REPLAY_SPEED: 60,
+  MAX_OFFSET: 24 * 60 * 60 * 1000 // uploaded recordings may span at most 24h
+};
+
+// setTimeout fires immediately for delays above 2^31-1 ms, so longer waits are chained
+const MAX_TIMEOUT_DELAY = 2 ** 31 - 1;
+
+function createTimeline(now = Date.now()) {
+  return {
+    startedAt: now,
+    events: [],
+    truncated: false // set once MAX_EVENTS is reached; later events are not recorded
+  };
+}
+
+// Record a broadcast; the message is copied because room state objects keep changing
+function appendTimelineEvent(timeline, message, now = Date.now()) {
+  if (timeline.events.length >= TIMELINE_LIMITS.MAX_EVENTS) {
+    timeline.truncated = true;
+    return null;
+  }
+
+  const event = {
+    id: crypto.randomUUID(),
+    offset: now - timeline.startedAt,
+    timestamp: now,
+    type: message.type,
+    message: JSON.parse(JSON.stringify(message))
+  };
+  timeline.events.push(event);
+  return event;
+}
+
+// Add an event recorded by another instance into the same timeline; returns
+// false if it is already here or the timeline is full
+function mergeTimelineEvent(timeline, event) {
+  if (timeline.events.some(existing => existing.id === event.id)) return false;
+  if (timeline.events.length >= TIMELINE_LIMITS.MAX_EVENTS) {
+    timeline.truncated = true;
+    return false;
+  }
+
+  timeline.events.push(event);
+  timeline.events.sort((a, b) => a.offset - b.offset);
+  return true;
+}
+
+// Check a recording uploaded for replay; returns an error message or null
+function validateRecording(recording) {
+  if (!recording || typeof recording !== 'object' || !Array.isArray(recording.events)) {
+    return 'Recording must be an object with an events array';
+  }
+  if (recording.events.length > TIMELINE_LIMITS.MAX_EVENTS) {
+    return `Recording must have at most ${TIMELINE_LIMITS.MAX_EVENTS} events`;
+  }
+
+  const invalid = recording.events.findIndex(event =>
+    !event || !Number.isFinite(event.offset) || event.offset < 0 || event.offset > TIMELINE_LIMITS.MAX_OFFSET ||
+    !event.message || typeof event.message.type !== 'string'
+  );
+  return invalid === -1
+    ? null
+    : `events[${invalid}] must have an offset between 0 and ${TIMELINE_LIMITS.MAX_OFFSET} ms and a message with a type`;
+}
+
+// Move a recorded timer snapshot (see timer-engine snapshotTimer) forward by elapsed ms
+function advanceTimerSnapshot(timer, elapsed) {
+  const seconds = Math.floor(elapsed / 1000);
+  if (!timer || !timer.isRunning || seconds <= 0) return timer;
+
+  // Count-up timers and countdowns already in overtime
+  if (timer.countUp) {
+    return { ...timer, currentTime: timer.currentTime + seconds, overtime: timer.isTimeUp ? timer.overtime + seconds : timer.overtime };
+  }
+
+  // Seconds left, negative once in overtime
+  const remaining = (timer.isTimeUp ? -timer.overtime : timer.currentTime) - seconds;
+  if (remaining > 0) {
+    return { ...timer, currentTime: remaining };
+  }
+  if (!timer.allowOvertime) {
+    return { ...timer, currentTime: 0, isRunning: false, isTimeUp: true, overtime: 0 };
+  }
+  return { ...timer, currentTime: -remaining, isTimeUp: true, overtime: -remaining, countUp: true };
+}
+
+// Play events back at `speed` times real time, starting `fromOffset` ms into the
+// recording. handlers: onEvent(event), onTick() every tickInterval, onFinish(stopped).
+// Returns a function that stops the replay.
+function startReplay(events, { speed = 1, fromOffset = 0, tickInterval = 1000 }, handlers) {
+  const queue = events
+    .filter(event => event.offset >= fromOffset)
+    .sort((a, b) => a.offset - b.offset);
+  const startedAt = Date.now();
+  let timeout = null;
+  let finished = false;
+
+  const ticker = setInterval(() => handlers.onTick(), tickInterval);
+
+  function finish(stopped) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeout);
+    clearInterval(ticker);
+    handlers.onFinish(stopped);
+  }
+
+  function scheduleNext() {
+    if (queue.length === 0) {
+      finish(false);
+      return;
+    }
+
+    const due = startedAt + (queue[0].offset - fromOffset) / speed;
+    const delay = Math.max(0, due - Date.now());
+    if (delay > MAX_TIMEOUT_DELAY) {
+      timeout = setTimeout(scheduleNext, MAX_TIMEOUT_DELAY);
+      return;
+    }
+    timeout = setTimeout(() => {
+      handlers.onEvent(queue.shift());
+      scheduleNext();
+    }, delay);
+  }
+
+  scheduleNext();
+  return () => finish(true);
+}
+
+// Length of a replay in ms of wall-clock time
+function getReplayDuration(events, { speed = 1, fromOffset = 0 }) {
+  const last = events.reduce((max, event) => Math.max(max, event.offset), fromOffset);
+  return Math.round((last - fromOffset) / speed);
+}
+
+module.exports = {
+  TIMELINE_LIMITS,
+  createTimeline,
+  appendTimelineEvent,
+  mergeTimelineEvent,
+  validateRecording,
+  advanceTimerSnapshot,
+  startReplay,
+  getReplayDuration
+};
@@ -0,0 +1,197 @@
+// Server-authoritative countdown / count-up timer for Dytor rooms
+//
+// Timer state is a plain object built from timestamps so it can be persisted
+// with the room and keeps the right time across restarts.
+//
+// STOP and RESET both leave the timer halted at zero. STOP keeps the timer as it
+// is configured now, including time added or subtracted; RESET goes back to the
+// configured duration and can reconfigure the timer.
+
+const DEFAULT_TIME_UP_MESSAGE = 'TIME UP';
+
+const TIMER_LIMITS = {
+  MAX_DURATION: 24 * 60 * 60, // seconds
+  MAX_TITLE_LENGTH: 200,
+  MAX_MESSAGE_LENGTH: 200
+};
+
+function toMs(seconds) {
+  return Math.round(Number(seconds) * 1000);
+}
+
+// Validate options for createTimer/resetTimer; returns an error message or null
+function validateTimerOptions(options) {
+  if (options === undefined || options === null) return null;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return 'Timer options must be an object';
+  }
+
+  if (options.duration !== undefined && options.duration !== null) {
+    const duration = options.duration;
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0 || duration > TIMER_LIMITS.MAX_DURATION) {
+      return 'duration must be a number of seconds between 0 and 24 hours';
+    }
+  }
+
+  if (options.title !== undefined && options.title !== null &&
+      (typeof options.title !== 'string' || options.title.length > TIMER_LIMITS.MAX_TITLE_LENGTH)) {
+    return `title must be a string of at most ${TIMER_LIMITS.MAX_TITLE_LENGTH} characters`;
+  }
+
+  if (options.timeUpMessage !== undefined && options.timeUpMessage !== null &&
+      (typeof options.timeUpMessage !== 'string' || options.timeUpMessage.length > TIMER_LIMITS.MAX_MESSAGE_LENGTH)) {
+    return `timeUpMessage must be a string of at most ${TIMER_LIMITS.MAX_MESSAGE_LENGTH} characters`;
+  }
+
+  const flag = ['countUp', 'allowOvertime'].find(key => options[key] !== undefined && typeof options[key] !== 'boolean');
+  if (flag) {
+    return `${flag} must be a boolean`;
+  }
+
+  return null;
+}
+
+// Create a stopped timer (validate options first, see validateTimerOptions)
+function createTimer(options = {}) {
+  const duration = Math.max(0, toMs(options.duration || 0));
+  return {
+    title: options.title || 'Timer',
+    duration, // ms, including time added to a countdown
+    configuredDuration: duration, // ms, what RESET goes back to
+    countUp: Boolean(options.countUp),
+    allowOvertime: options.allowOvertime !== false, // keep counting past zero
+    timeUpMessage: options.timeUpMessage || DEFAULT_TIME_UP_MESSAGE,
+    running: false,
+    started: false, // has run since it was created, stopped or reset
+    startedAt: null, // when the current run started
+    accumulated: 0, // ms elapsed before the current run
+    adjustment: 0 // ms added to elapsed in count-up mode
+  };
+}
+
+function getElapsed(timer, now = Date.now()) {
+  const running = timer.running && timer.startedAt !== null ? now - timer.startedAt : 0;
+  return Math.max(0, timer.accumulated + running + timer.adjustment);
+}
+
+// A timer that has not run yet is never up, even a zero-length countdown
+function isTimeUp(timer, now = Date.now()) {
+  if (timer.countUp && timer.duration === 0) return false;
+  if (!timer.started && !timer.running && timer.accumulated === 0) return false;
+  return getElapsed(timer, now) >= timer.duration;
+}
+
+function startTimer(timer, now = Date.now()) {
+  if (!timer.running) {
+    timer.running = true;
+    timer.started = true;
+    timer.startedAt = now;
+  }
+  return timer;
+}
+
+function pauseTimer(timer, now = Date.now()) {
+  if (timer.running) {
+    timer.accumulated += now - timer.startedAt;
+    timer.running = false;
+    timer.startedAt = null;
+  }
+  return timer;
+}
+
+// Countdown: add to the remaining time. Count-up: move the elapsed time forward,
+// never back past zero.
+function addTime(timer, seconds, now = Date.now()) {
+  const delta = toMs(seconds);
+  if (timer.countUp) {
+    const running = timer.running && timer.startedAt !== null ? now - timer.startedAt : 0;
+    timer.adjustment = Math.max(timer.adjustment + delta, -(timer.accumulated + running));
+  } else {
+    timer.duration = Math.max(0, timer.duration + delta);
+  }
+  return timer;
+}
+
+function subtractTime(timer, seconds, now = Date.now()) {
+  return addTime(timer, -seconds, now);
+}
+
+// Halt at zero, keeping the current configuration
+function stopTimer(timer) {
+  return Object.assign(timer, {
+    running: false,
+    started: false,
+    startedAt: null,
+    accumulated: 0,
+    adjustment: 0
+  });
+}
+
+// Back to the configured duration, halted at zero, optionally reconfigured
+function resetTimer(timer, options = {}) {
+  return Object.assign(timer, createTimer({
+    title: timer.title,
+    duration: (timer.configuredDuration ?? timer.duration) / 1000,
+    countUp: timer.countUp,
+    allowOvertime: timer.allowOvertime,
+    timeUpMessage: timer.timeUpMessage,
+    ...options
+  }));
+}
+
+// Called on every tick: stops countdowns that ran out when overtime is disabled
+function settleTimer(timer, now = Date.now()) {
+  if (timer.running && !timer.countUp && !timer.allowOvertime && isTimeUp(timer, now)) {
+    pauseTimer(timer, now);
+    timer.accumulated = timer.duration - timer.adjustment;
+  }
+  return timer;
+}
+
+// The fields displays render (matches remote.html's TIMER_UPDATE payload).
+// As there, countUp means the clock is counting up: a count-up timer, or a
+// countdown running into overtime. mode says how the timer is configured.
+function snapshotTimer(timer, now = Date.now()) {
+  const elapsed = getElapsed(timer, now);
+  const timeUp = isTimeUp(timer, now);
+  const overtime = timeUp ? Math.floor((elapsed - timer.duration) / 1000) : 0;
+
+  let currentTime;
+  if (timer.countUp) {
+    currentTime = Math.floor(elapsed / 1000);
+  } else if (timeUp) {
+    currentTime = overtime;
+  } else {
+    currentTime = Math.ceil((timer.duration - elapsed) / 1000);
+  }
+
+  return {
+    title: timer.title,
+    duration: Math.round(timer.duration / 1000),
+    currentTime,
+    paused: !timer.running && elapsed > 0,
+    isRunning: timer.running,
+    isTimeUp: timeUp,
+    overtime,
+    countUp: timer.countUp || (timeUp && timer.allowOvertime),
+    mode: timer.countUp ? 'countup' : 'countdown',
+    allowOvertime: timer.allowOvertime,
+    timeUpMessage: timer.timeUpMessage,
+    serverTime: now
+  };
+}
+
+module.exports = {
+  TIMER_LIMITS,
+  validateTimerOptions,
+  createTimer,
+  startTimer,
+  pauseTimer,
+  addTime,
+  subtractTime,
+  stopTimer,
+  resetTimer,
+  settleTimer,
+  isTimeUp,
+  snapshotTimer
+};
@@ -0,0 +1,407 @@
+// User and room-ownership storage for the Dytor auth server
+const fs = require('fs');
+const path = require('path');
+
+// Schema migrations, applied in order and recorded in schema_migrations
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_users',
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_login TEXT
+      )
+    `
+  },
+  {
+    version: 2,
+    name: 'create_room_owners',
+    up: `
+      CREATE TABLE room_owners (
+        room_code TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_room_owners_user_id ON room_owners(user_id);
+    `
+  },
+  {
+    version: 3,
+    name: 'create_api_keys',
+    up: `
+      CREATE TABLE api_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        rooms TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT,
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+      CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
+    `
+  },
+  {
+    version: 4,
+    name: 'create_sessions',
+    up: `
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_hash TEXT NOT NULL,
+        previous_hash TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        revoked_at INTEGER
+      );
+      CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+      CREATE INDEX idx_sessions_expires_at ON sessions(expires_at);
+    `
+  },
+  {
+    version: 5,
+    name: 'add_api_key_role',
+    up: `
+      ALTER TABLE api_keys ADD COLUMN role TEXT
+    `
+  }
+];
+
+function normalizeEmail(email) {
+  return String(email).toLowerCase().trim();
+}
+
+// Apply any migrations newer than the database's current version
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const current = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+
+    db.transaction(() => {
+      db.exec(migration.up);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`🗄️ Applied migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+// In-memory repository (accounts are lost on restart)
+function createMemoryUserRepository() {
+  const users = new Map(); // userId -> user
+  const emailIndex = new Map(); // email -> userId
+  const roomOwners = new Map(); // roomCode -> userId
+  const apiKeys = new Map(); // apiKeyId -> API key record (see api-keys.js)
+  const sessions = new Map(); // sessionId -> login session (see sessions.js)
+
+  function withRooms(user) {
+    if (!user) return null;
+    const rooms = [];
+    for (const [roomCode, ownerId] of roomOwners.entries()) {
+      if (ownerId === user.id) rooms.push(roomCode);
+    }
+    return { ...user, rooms };
+  }
+
+  return {
+    findUserById: (id) => withRooms(users.get(id)),
+    findUserByEmail: (email) => withRooms(users.get(emailIndex.get(normalizeEmail(email)))),
+    createUser: (user) => {
+      const email = normalizeEmail(user.email);
+      if (emailIndex.has(email)) {
+        throw new Error('User with this email already exists');
+      }
+      const { rooms, ...stored } = { ...user, email, lastLogin: user.lastLogin || null };
+      users.set(user.id, stored);
+      emailIndex.set(email, user.id);
+      return withRooms(stored);
+    },
+    updateUser: (id, fields) => {
+      const user = users.get(id);
+      if (!user) return null;
+      for (const key of ['name', 'password', 'lastLogin']) {
+        if (fields[key] !== undefined) user[key] = fields[key];
+      }
+      return withRooms(user);
+    },
+    getRoomOwner: (roomCode) => roomOwners.get(roomCode) || null,
+    addRoomOwner: (roomCode, userId) => {
+      roomOwners.set(roomCode, userId);
+    },
+    createApiKey: (apiKey) => {
+      apiKeys.set(apiKey.id, { ...apiKey });
+      return { ...apiKey };
+    },
+    listApiKeys: (userId) => Array.from(apiKeys.values())
+      .filter(apiKey => apiKey.userId === userId)
+      .map(apiKey => ({ ...apiKey })),
+    findApiKeyByHash: (hash) => {
+      const apiKey = Array.from(apiKeys.values()).find(candidate => candidate.hash === hash);
+      return apiKey ? { ...apiKey } : null;
+    },
+    touchApiKey: (id, lastUsedAt) => {
+      const apiKey = apiKeys.get(id);
+      if (apiKey) apiKey.lastUsedAt = lastUsedAt;
+    },
+    revokeApiKey: (userId, id) => {
+      const apiKey = apiKeys.get(id);
+      if (!apiKey || apiKey.userId !== userId || apiKey.revokedAt) return false;
+      apiKey.revokedAt = new Date().toISOString();
+      return true;
+    },
+    createSession: (session) => {
+      sessions.set(session.id, { ...session });
+    },
+    findSession: (id) => {
+      const session = sessions.get(id);
+      return session ? { ...session } : null;
+    },
+    updateSession: (session) => {
+      const stored = sessions.get(session.id);
+      if (!stored) return;
+      for (const key of ['refreshHash', 'previousHash', 'lastUsedAt', 'expiresAt']) {
+        stored[key] = session[key];
+      }
+    },
+    listSessions: (userId) => Array.from(sessions.values())
+      .filter(session => session.userId === userId && !session.revokedAt)
+      .map(session => ({ ...session })),
+    revokeSession: (id, now = Date.now()) => {
+      const session = sessions.get(id);
+      if (session && !session.revokedAt) session.revokedAt = now;
+    },
+    deleteExpiredSessions: (now = Date.now()) => {
+      for (const [id, session] of sessions) {
+        if (session.expiresAt <= now) sessions.delete(id);
+      }
+    },
+    isReady: () => true,
+    close: () => {}
+  };
+}
+
+// SQLite-backed repository. Other processes reading auth-server's database open
+// it with `readonly`: the file must exist and migrations are left to auth-server.
+function createSqliteUserRepository(filePath, { readonly = false } = {}) {
+  const Database = require('better-sqlite3');
+
+  let db;
+  if (readonly) {
+    db = new Database(filePath, { readonly: true, fileMustExist: true });
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    runMigrations(db);
+  }
+
+  const statements = {
+    findById: db.prepare('SELECT * FROM users WHERE id = ?'),
+    findByEmail: db.prepare('SELECT * FROM users WHERE email = ?'),
+    insertUser: db.prepare(`
+      INSERT INTO users (id, email, name, password_hash, created_at, last_login)
+      VALUES (@id, @email, @name, @password, @createdAt, @lastLogin)
+    `),
+    updateUser: db.prepare(`
+      UPDATE users SET name = @name, password_hash = @password, last_login = @lastLogin
+      WHERE id = @id
+    `),
+    roomsForUser: db.prepare('SELECT room_code FROM room_owners WHERE user_id = ? ORDER BY created_at'),
+    roomOwner: db.prepare('SELECT user_id FROM room_owners WHERE room_code = ?'),
+    insertRoomOwner: db.prepare(`
+      INSERT INTO room_owners (room_code, user_id, created_at) VALUES (?, ?, ?)
+      ON CONFLICT(room_code) DO UPDATE SET user_id = excluded.user_id
+    `),
+    insertApiKey: db.prepare(`
+      INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, rooms, role, created_at, expires_at, last_used_at, revoked_at)
+      VALUES (@id, @userId, @name, @prefix, @hash, @scopes, @rooms, @role, @createdAt, @expiresAt, @lastUsedAt, @revokedAt)
+    `),
+    apiKeysForUser: db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at'),
+    apiKeyByHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+    touchApiKey: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+    revokeApiKey: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL'),
+    insertSession: db.prepare(`
+      INSERT INTO sessions (id, user_id, refresh_hash, previous_hash, user_agent, ip, created_at, last_used_at, expires_at, revoked_at)
+      VALUES (@id, @userId, @refreshHash, @previousHash, @userAgent, @ip, @createdAt, @lastUsedAt, @expiresAt, @revokedAt)
+    `),
+    sessionById: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+    updateSession: db.prepare(`
+      UPDATE sessions SET refresh_hash = @refreshHash, previous_hash = @previousHash,
+        last_used_at = @lastUsedAt, expires_at = @expiresAt
+      WHERE id = @id
+    `),
+    sessionsForUser: db.prepare('SELECT * FROM sessions WHERE user_id = ? AND revoked_at IS NULL'),
+    revokeSession: db.prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+    deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+  };
+
+  function rowToUser(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      password: row.password_hash,
+      createdAt: row.created_at,
+      rooms: statements.roomsForUser.all(row.id).map(r => r.room_code),
+      lastLogin: row.last_login
+    };
+  }
+
+  function rowToApiKey(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      prefix: row.prefix,
+      hash: row.key_hash,
+      scopes: JSON.parse(row.scopes),
+      rooms: row.rooms ? JSON.parse(row.rooms) : null,
+      role: row.role || null,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  function rowToSession(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      userAgent: row.user_agent,
+      ip: row.ip,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at,
+      refreshHash: row.refresh_hash,
+      previousHash: row.previous_hash,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  return {
+    findUserById: (id) => rowToUser(statements.findById.get(id)),
+    findUserByEmail: (email) => rowToUser(statements.findByEmail.get(normalizeEmail(email))),
+    createUser: (user) => {
+      const email = normalizeEmail(user.email);
+      if (statements.findByEmail.get(email)) {
+        throw new Error('User with this email already exists');
+      }
+      statements.insertUser.run({
+        id: user.id,
+        email,
+        name: user.name,
+        password: user.password,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin || null
+      });
+      return rowToUser(statements.findById.get(user.id));
+    },
+    updateUser: (id, fields) => {
+      const user = rowToUser(statements.findById.get(id));
+      if (!user) return null;
+      statements.updateUser.run({
+        id,
+        name: fields.name !== undefined ? fields.name : user.name,
+        password: fields.password !== undefined ? fields.password : user.password,
+        lastLogin: fields.lastLogin !== undefined ? fields.lastLogin : user.lastLogin
+      });
+      return rowToUser(statements.findById.get(id));
+    },
+    getRoomOwner: (roomCode) => {
+      const row = statements.roomOwner.get(roomCode);
+      return row ? row.user_id : null;
+    },
+    addRoomOwner: (roomCode, userId) => {
+      statements.insertRoomOwner.run(roomCode, userId, new Date().toISOString());
+    },
+    createApiKey: (apiKey) => {
+      statements.insertApiKey.run({
+        ...apiKey,
+        scopes: JSON.stringify(apiKey.scopes),
+        rooms: apiKey.rooms ? JSON.stringify(apiKey.rooms) : null
+      });
+      return { ...apiKey };
+    },
+    listApiKeys: (userId) => statements.apiKeysForUser.all(userId).map(rowToApiKey),
+    findApiKeyByHash: (hash) => rowToApiKey(statements.apiKeyByHash.get(hash)),
+    touchApiKey: (id, lastUsedAt) => {
+      statements.touchApiKey.run(lastUsedAt, id);
+    },
+    revokeApiKey: (userId, id) => statements.revokeApiKey.run(new Date().toISOString(), id, userId).changes > 0,
+    createSession: (session) => {
+      statements.insertSession.run(session);
+    },
+    findSession: (id) => rowToSession(statements.sessionById.get(id)),
+    updateSession: (session) => {
+      statements.updateSession.run(session);
+    },
+    listSessions: (userId) => statements.sessionsForUser.all(userId).map(rowToSession),
+    revokeSession: (id, now = Date.now()) => {
+      statements.revokeSession.run(now, id);
+    },
+    deleteExpiredSessions: (now = Date.now()) => {
+      statements.deleteExpiredSessions.run(now);
+    },
+    isReady: () => {
+      try {
+        db.prepare('SELECT 1').get();
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    close: () => db.close()
+  };
+}
+
+// Pick a repository from the environment (AUTH_STORE=sqlite|memory)
+function createUserRepository(options = {}) {
+  const type = options.type || process.env.AUTH_STORE || 'sqlite';
+
+  switch (type) {
+    case 'memory':
+      return createMemoryUserRepository();
+
+    case 'sqlite':
+      return createSqliteUserRepository(
+        options.path || process.env.AUTH_DB_PATH || path.join(__dirname, '..', 'data', 'auth.db'),
+        { readonly: options.readonly }
+      );
+
+    default:
+      throw new Error(`Unknown auth store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createUserRepository,
+  createMemoryUserRepository,
+  createSqliteUserRepository,
+  runMigrations
+};
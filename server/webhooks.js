@@ -0,0 +1,308 @@
+// Outgoing webhooks for the Dytor room server
+//
+// Subscriptions are either global (configured through the environment) or
+// per room (managed by the room owner over REST). Each delivery is a JSON POST
+// signed with the subscription's secret; failed deliveries are retried with
+// exponential backoff and every attempt is kept in a bounded delivery log.
+//
+// Signature: X-Dytor-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+// where timestamp is the X-Dytor-Timestamp header (ms since epoch).
+//
+// Room webhooks may not reach private addresses. Their hostnames are checked when
+// the subscription is created and resolved again on every delivery, and the
+// connection goes to the address that passed the check, so a DNS answer that
+// changes in between cannot point a delivery at the internal network.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = [
+  'room.created',
+  'host.connected',
+  'host.disconnected',
+  'user.joined',
+  'user.left',
+  'timer.finished'
+];
+
+const WEBHOOK_LIMITS = {
+  MAX_PER_ROOM: 10,
+  MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  RETRY_BASE_DELAY: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000, // doubles after every failed attempt
+  TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+  LOG_SIZE: 500
+};
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Loopback, private, link-local, shared (CGNAT), benchmarking and multicast/reserved
+// addresses room owners may not point webhooks at
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224;
+  }
+  if (net.isIPv6(host)) {
+    return host === '::1' || host === '::' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || /^ff/.test(host) || host.startsWith('::ffff:');
+  }
+  return false;
+}
+
+function privateAddressError(message) {
+  const error = new Error(message);
+  error.code = 'PRIVATE_ADDRESS';
+  return error;
+}
+
+// dns.lookup that refuses hostnames resolving to a private address, for http.request
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateHost(address));
+    if (blocked) {
+      return callback(privateAddressError(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a body without following redirects; resolves with the response status.
+// Unless allowPrivate, the destination must resolve to public addresses only.
+function postWebhook(url, { headers, body, allowPrivate = false }) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    if (!allowPrivate && net.isIP(parsed.hostname.replace(/^\[|\]$/g, '')) && isPrivateHost(parsed.hostname)) {
+      reject(privateAddressError(`${parsed.hostname} is a private address`));
+      return;
+    }
+
+    const request = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowPrivate ? undefined : publicOnlyLookup,
+      timeout: WEBHOOK_LIMITS.TIMEOUT
+    }, (response) => {
+      response.resume(); // the answer's body is not used
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => {
+      const error = new Error('Timed out');
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Check a subscription request; returns an error message or null
+function validateSubscription({ url, events }, { allowPrivate = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be a valid URL';
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return 'url must use http or https';
+  }
+  if (!allowPrivate && isPrivateHost(parsed.hostname)) {
+    return 'url must not point at a private or loopback address';
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.find(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown !== undefined) {
+      return `Unknown webhook event: ${unknown}`;
+    }
+  }
+  return null;
+}
+
+function createSubscription({ url, events }) {
+  return {
+    id: crypto.randomUUID(),
+    url,
+    events: events ? [...new Set(events)] : ['*'],
+    secret: generateWebhookSecret(),
+    createdAt: Date.now()
+  };
+}
+
+// Subscription fields safe to list; the secret is only shown when it is created
+function toPublicSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+function matchesEvent(subscription, event) {
+  return subscription.events.includes('*') || subscription.events.includes(event);
+}
+
+// Global subscriptions from WEBHOOK_URL (comma-separated), WEBHOOK_SECRET and WEBHOOK_EVENTS.
+// Every delivery is signed, so WEBHOOK_URL without WEBHOOK_SECRET is a configuration error.
+function loadGlobalSubscriptions(env = process.env) {
+  if (!env.WEBHOOK_URL) return [];
+  if (!env.WEBHOOK_SECRET) {
+    throw new Error('WEBHOOK_URL is set but WEBHOOK_SECRET is not; webhook deliveries must be signed');
+  }
+
+  const events = env.WEBHOOK_EVENTS ? env.WEBHOOK_EVENTS.split(',').map(event => event.trim()).filter(Boolean) : ['*'];
+  return env.WEBHOOK_URL.split(',').map(url => url.trim()).filter(Boolean).map((url, index) => {
+    const error = validateSubscription({ url, events }, { allowPrivate: true });
+    if (error) {
+      throw new Error(`Invalid WEBHOOK_URL entry ${index + 1}: ${error}`);
+    }
+    return {
+      id: `global-${index + 1}`,
+      url,
+      events,
+      secret: env.WEBHOOK_SECRET,
+      createdAt: Date.now()
+    };
+  });
+}
+
+// Delivers events to matching subscriptions. onDelivery(delivery) is called when
+// a delivery settles (delivered or failed for good).
+function createWebhookDispatcher({ globalSubscriptions = [], onDelivery = () => {} } = {}) {
+  const deliveries = []; // newest last
+
+  function record(delivery) {
+    deliveries.push(delivery);
+    if (deliveries.length > WEBHOOK_LIMITS.LOG_SIZE) {
+      deliveries.splice(0, deliveries.length - WEBHOOK_LIMITS.LOG_SIZE);
+    }
+  }
+
+  async function attempt(delivery, subscription, body) {
+    const timestamp = Date.now();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'dytor-webhooks',
+      'X-Dytor-Event': delivery.event,
+      'X-Dytor-Event-Id': delivery.eventId,
+      'X-Dytor-Delivery': delivery.id,
+      'X-Dytor-Timestamp': String(timestamp)
+    };
+
+    const result = { at: timestamp, status: null, error: null, duration: 0 };
+    let refused = false;
+    try {
+      // Never send an unsigned payload
+      if (!subscription.secret) {
+        throw Object.assign(new Error('No signing secret'), { code: 'NO_SECRET' });
+      }
+      headers['X-Dytor-Signature'] = signPayload(subscription.secret, timestamp, body);
+
+      // Global subscriptions come from the server's own configuration and may be internal
+      result.status = await postWebhook(subscription.url, { headers, body, allowPrivate: delivery.scope === 'global' });
+      if (result.status < 200 || result.status >= 300) result.error = `HTTP ${result.status}`;
+    } catch (error) {
+      result.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+      refused = error.code === 'PRIVATE_ADDRESS' || error.code === 'NO_SECRET';
+    }
+    result.duration = Date.now() - timestamp;
+    delivery.attempts.push(result);
+
+    if (!result.error) {
+      delivery.status = 'delivered';
+      onDelivery(delivery);
+      return;
+    }
+
+    // Other 4xx answers will not change on retry, nor will a refused destination
+    const retryable = !refused && (result.status === null || result.status === 429 || result.status >= 500);
+    if (retryable && delivery.attempts.length < WEBHOOK_LIMITS.MAX_ATTEMPTS) {
+      const delay = WEBHOOK_LIMITS.RETRY_BASE_DELAY * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = Date.now() + delay;
+      setTimeout(() => attempt(delivery, subscription, body), delay).unref();
+      return;
+    }
+
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`🪝 Webhook ${delivery.event} to ${subscription.url} failed after ${delivery.attempts.length} attempt(s): ${result.error}`);
+    onDelivery(delivery);
+  }
+
+  return {
+    // Fan an event out to the global and the given room subscriptions.
+    // Pass a stable eventId when several instances may report the same event.
+    dispatch(event, { roomCode = null, data = {}, roomSubscriptions = [], eventId = crypto.randomUUID() } = {}) {
+      const payload = { id: eventId, event, roomCode, timestamp: Date.now(), data };
+      const body = JSON.stringify(payload);
+
+      const targets = [
+        ...globalSubscriptions.map(subscription => ({ subscription, scope: 'global' })),
+        ...roomSubscriptions.map(subscription => ({ subscription, scope: 'room' }))
+      ].filter(({ subscription }) => matchesEvent(subscription, event));
+
+      targets.forEach(({ subscription, scope }) => {
+        const delivery = {
+          id: crypto.randomUUID(),
+          eventId,
+          event,
+          roomCode,
+          scope,
+          webhookId: subscription.id,
+          url: subscription.url,
+          status: 'pending',
+          createdAt: payload.timestamp,
+          nextAttemptAt: null,
+          attempts: []
+        };
+        record(delivery);
+        attempt(delivery, subscription, body);
+      });
+    },
+
+    // Newest first; filters: roomCode, scope, webhookId, event, status
+    listDeliveries({ roomCode, scope, webhookId, event, status, limit = 50 } = {}) {
+      const size = Math.max(1, Math.min(parseInt(limit, 10) || 50, WEBHOOK_LIMITS.LOG_SIZE));
+      return deliveries
+        .filter(delivery =>
+          (!roomCode || delivery.roomCode === roomCode) &&
+          (!scope || delivery.scope === scope) &&
+          (!webhookId || delivery.webhookId === webhookId) &&
+          (!event || delivery.event === event) &&
+          (!status || delivery.status === status)
+        )
+        .slice(-size)
+        .reverse();
+    }
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_LIMITS,
+  signPayload,
+  validateSubscription,
+  createSubscription,
+  toPublicSubscription,
+  loadGlobalSubscriptions,
+  createWebhookDispatcher
+};
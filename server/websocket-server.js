@@ -6,6 +6,14 @@ const http = require('http');
 const os = require('os');
 const QRCode = require('qrcode');
 const crypto = require('crypto');
+const { hasRolePermission, getActionPermission } = require('./roles');
+const { createProtocol } = require('./protocol');
+const { REMOTE_PROTOCOL } = require('./protocol-schemas');
+const handshake = require('./handshake');
+const { startHeartbeat, DEFAULT_HEARTBEAT_INTERVAL } = require('./heartbeat');
+const { createMetricsRegistry, metricsHandler, httpMetricsMiddleware } = require('./metrics');
+const audit = require('./audit-log');
+const { createControlBridge, parseTargets, DEFAULT_BRIDGE_ROLE } = require('./control-bridge');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,6 +31,46 @@ let displayClients = new Set();
 const authTokens = new Map();
 const REMOTE_AUTH_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
+const remoteProtocol = createProtocol(REMOTE_PROTOCOL);
+
+// Remote commands and permission grants, see GET /api/audit
+const auditLog = audit.createAuditLog();
+
+// OSC/TCP control bridge for production desks, off unless OSC_PORT or TCP_CONTROL_PORT
+// is set. Bridge commands act with CONTROL_BRIDGE_ROLE (admin by default), or with
+// the legacy CONTROL_BRIDGE_PERMISSIONS when no role is given.
+const BRIDGE_CONFIG = {
+  HOST: process.env.CONTROL_BRIDGE_HOST || '0.0.0.0',
+  OSC_PORT: parseInt(process.env.OSC_PORT, 10) || null,
+  TCP_PORT: parseInt(process.env.TCP_CONTROL_PORT, 10) || null,
+  FEEDBACK_TARGETS: parseTargets(process.env.OSC_FEEDBACK_TARGETS), // host:port list receiving TIMER_UPDATE as OSC
+  ALLOWED_HOSTS: process.env.CONTROL_BRIDGE_ALLOW ? process.env.CONTROL_BRIDGE_ALLOW.split(',').map(host => host.trim()) : null,
+  ROLE: process.env.CONTROL_BRIDGE_ROLE || (process.env.CONTROL_BRIDGE_PERMISSIONS ? null : DEFAULT_BRIDGE_ROLE),
+  PERMISSIONS: process.env.CONTROL_BRIDGE_PERMISSIONS ? process.env.CONTROL_BRIDGE_PERMISSIONS.split(',').map(permission => permission.trim()) : []
+};
+
+// Optional protocol features clients can negotiate in HELLO
+const REMOTE_FEATURES = ['roles', 'legacy-permissions', 'displays', 'correlation-ids'];
+
+// Metrics (see GET /metrics)
+const metrics = createMetricsRegistry('dytor_remote');
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status');
+const messagesReceived = metrics.counter('ws_messages_received_total', 'WebSocket messages received, by type');
+const messagesSent = metrics.counter('ws_messages_sent_total', 'WebSocket messages sent, by type');
+const errorsTotal = metrics.counter('errors_total', 'ERROR replies sent to clients, by code');
+const broadcastDuration = metrics.histogram('broadcast_duration_seconds', 'Time to deliver a broadcast to remotes or displays');
+metrics.gauge('controller_connected', 'Whether the desktop controller is connected', () =>
+  controllerClient && controllerClient.readyState === WebSocket.OPEN ? 1 : 0
+);
+metrics.gauge('clients_connected', 'Connected clients by type', () => [
+  { labels: { type: 'remote' }, value: remoteClients.size },
+  { labels: { type: 'display' }, value: displayClients.size }
+]);
+metrics.gauge('websocket_connections', 'Open WebSocket connections', () => wss.clients.size);
+const bridgeCommands = metrics.counter('bridge_commands_total', 'OSC and TCP bridge commands, by source and outcome');
+
+app.use(httpMetricsMiddleware(httpRequests));
+
 // Get local IP address
 function getLocalIP() {
   const interfaces = os.networkInterfaces();
@@ -99,6 +147,52 @@ async function generateQRCode() {
   }
 }
 
+// Liveness
+app.get('/health', (req, res) => {
+  res.json({ success: true, status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: accepting connections
+app.get('/ready', (req, res) => {
+  const ready = server.listening;
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    controllerConnected: controllerClient !== null
+  });
+});
+
+app.get('/metrics', metricsHandler(metrics));
+
+// Audit trail of remote commands and permission grants. The controller runs on
+// this machine, so only loopback callers may read it.
+// Filters: action, outcome, actorId, since, until; ?format=csv|json downloads every matching entry.
+app.get('/api/audit', (req, res) => {
+  const address = req.socket.remoteAddress;
+  if (!['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address)) {
+    return res.status(403).json({ success: false, message: 'Audit log is only available from this machine' });
+  }
+
+  const filters = {
+    action: req.query.action,
+    outcome: req.query.outcome,
+    actorId: req.query.actorId,
+    since: req.query.since,
+    until: req.query.until
+  };
+
+  if (req.query.format === 'csv' || req.query.format === 'json') {
+    const entries = audit.filterAuditEntries(auditLog, filters);
+    res.attachment(`audit.${req.query.format}`);
+    return req.query.format === 'csv'
+      ? res.send(audit.auditEntriesToCsv(entries))
+      : res.json({ exportedAt: Date.now(), entries });
+  }
+
+  const page = audit.getAuditPage(auditLog, { ...filters, before: req.query.before, limit: req.query.limit });
+  res.json({ success: true, entries: page.entries, nextCursor: page.nextCursor });
+});
+
 // API endpoint to get QR code and remote URL
 app.get('/api/remote-info', async (req, res) => {
   try {
@@ -166,13 +260,21 @@ app.get('/remote', (req, res) => {
 // API endpoint for remote commands
 app.post('/api/command', (req, res) => {
   const { action, data } = req.body;
+  const connected = controllerClient && controllerClient.readyState === WebSocket.OPEN;
   
-  if (controllerClient && controllerClient.readyState === WebSocket.OPEN) {
-    controllerClient.send(JSON.stringify({
+  recordAudit(null, 'REMOTE_CONTROL', {
+    payload: { action, data },
+    outcome: connected ? 'success' : 'failed',
+    reason: connected ? null : 'Controller not connected',
+    source: 'rest'
+  });
+  
+  if (connected) {
+    sendMessage(controllerClient, {
       type: 'REMOTE_CONTROL',
       action,
       data
-    }));
+    });
     res.json({ success: true });
   } else {
     res.status(503).json({ success: false, message: 'Controller not connected' });
@@ -186,17 +288,59 @@ wss.on('connection', (ws, req) => {
     id: clientId, 
     type: 'unknown',
     permissions: [],
-    name: 'Unknown Client'
+    name: 'Unknown Client',
+    session: handshake.createLegacySession() // replaced by HELLO
   });
 
   console.log(`New WebSocket connection: ${clientId}`);
 
   ws.on('message', (message) => {
+    let data;
     try {
-      const data = JSON.parse(message);
-      const client = clients.get(ws);
+      data = JSON.parse(message);
+    } catch (error) {
+      console.error('Error parsing message:', error.message);
+      messagesReceived.inc({ type: 'invalid' });
+      sendError(ws, 'INVALID_JSON', 'Message is not valid JSON');
+      return;
+    }
+
+    const invalid = remoteProtocol.validateInbound(data);
+    messagesReceived.inc({ type: invalid ? 'invalid' : data.type });
+    if (invalid) {
+      sendError(ws, invalid.code, invalid.message, data);
+      return;
+    }
+
+    const client = clients.get(ws);
+    if (data.type !== 'HELLO' && client.session.legacy && handshake.isHandshakeRequired()) {
+      sendError(ws, 'HANDSHAKE_REQUIRED', `Send HELLO with protocol version ${handshake.MIN_PROTOCOL_VERSION} or newer first`, data);
+      return;
+    }
 
+    try {
       switch (data.type) {
+        case 'HELLO': {
+          // Must be the first message on a connection
+          if (!client.session.legacy || client.type !== 'unknown') {
+            sendError(ws, 'HANDSHAKE_ALREADY_COMPLETED', 'HELLO must be the first message on a connection', data);
+            break;
+          }
+
+          const result = handshake.negotiateHandshake(data, 'dytor-remote-server', REMOTE_FEATURES);
+          if (result.error) {
+            console.log(`Rejected client ${clientId} on protocol version ${data.protocolVersion}`);
+            sendError(ws, 'UNSUPPORTED_PROTOCOL_VERSION', result.error, data);
+            ws.close(4426, 'Protocol upgrade required');
+            break;
+          }
+
+          client.session = result.session;
+          console.log(`Handshake with client ${clientId} (protocol v${client.session.protocolVersion})`);
+          sendMessage(ws, result.reply);
+          break;
+        }
+
         case 'REGISTER_CONTROLLER':
           client.type = 'controller';
           controllerClient = ws;
@@ -219,25 +363,26 @@ wss.on('connection', (ws, req) => {
           console.log(`Remote client registered: ${client.name} (Role: ${client.role})`);
           
           // Send current status to the new remote
-          ws.send(JSON.stringify({
+          sendMessage(ws, {
             type: 'CONTROLLER_STATUS',
             connected: controllerClient !== null,
             permissions: client.requestedPermissions,
             role: client.role
-          }));
+          });
           
           // Notify controller about new remote client
           if (controllerClient && controllerClient.readyState === WebSocket.OPEN) {
-            controllerClient.send(JSON.stringify({
+            sendMessage(controllerClient, {
               type: 'REMOTE_CONNECTED',
               data: {
                 clientId: clientId,
                 name: client.name,
                 role: client.role,
                 speakerName: client.speakerName,
-                permissions: client.requestedPermissions
+                permissions: client.requestedPermissions,
+                client: handshake.describeClientSession(client.session)
               }
-            }));
+            });
           }
           
           // Update controller about remote count
@@ -254,27 +399,28 @@ wss.on('connection', (ws, req) => {
           // Send current timer and message state to the new display
           if (controllerClient && controllerClient.readyState === WebSocket.OPEN) {
             // Request current state from controller
-            controllerClient.send(JSON.stringify({
+            sendMessage(controllerClient, {
               type: 'REQUEST_CURRENT_STATE',
               targetClientId: clientId
-            }));
+            });
           }
           
           // Notify controller about new display client
           if (controllerClient && controllerClient.readyState === WebSocket.OPEN) {
-            controllerClient.send(JSON.stringify({
+            sendMessage(controllerClient, {
               type: 'DISPLAY_CONNECTED',
               data: {
                 clientId: clientId,
                 name: client.name,
-                url: client.url
+                url: client.url,
+                client: handshake.describeClientSession(client.session)
               }
-            }));
+            });
           }
           break;
 
         case 'TIMER_UPDATE':
-          // Forward timer updates to all remote clients and displays
+          // Forward timer updates to all remote clients, displays and bridge tallies
           broadcastToRemotes({
             type: 'TIMER_UPDATE',
             data: data.data
@@ -283,6 +429,7 @@ wss.on('connection', (ws, req) => {
             type: 'TIMER_UPDATE',
             data: data.data
           });
+          controlBridge.sendTimerFeedback(data.data);
           break;
 
         case 'MESSAGE_UPDATE':
@@ -297,51 +444,60 @@ wss.on('connection', (ws, req) => {
           });
           break;
 
-        case 'REMOTE_CONTROL':
-          // Validate permissions before forwarding commands
-          if (hasPermission(client, data.action)) {
-            // Forward remote control commands to controller
-            if (controllerClient && controllerClient.readyState === WebSocket.OPEN) {
-              controllerClient.send(JSON.stringify(data));
-            }
-          } else {
+        case 'REMOTE_CONTROL': {
+          const result = forwardRemoteControl(client, data);
+          if (result.outcome === 'denied') {
             // Send permission denied message back to remote
-            ws.send(JSON.stringify({
+            sendMessage(ws, {
               type: 'PERMISSION_DENIED',
               action: data.action,
-              message: `Permission denied for action: ${data.action}`
-            }));
+              message: result.reason
+            });
           }
           break;
+        }
 
         case 'GRANT_PERMISSIONS':
           // Controller granting permissions to a remote client
           if (client.type === 'controller') {
             const targetClientId = data.clientId;
             const permissions = data.permissions;
+            let granted = false;
             
             // Find the target client
             for (const [wsClient, clientData] of clients.entries()) {
               if (clientData.id === targetClientId && clientData.type === 'remote') {
                 clientData.permissions = permissions;
+                granted = true;
                 console.log(`Granted permissions to ${clientData.name}:`, permissions);
                 
                 // Notify the remote client about their new permissions
-                wsClient.send(JSON.stringify({
+                sendMessage(wsClient, {
                   type: 'PERMISSIONS_GRANTED',
                   permissions: permissions
-                }));
+                });
                 break;
               }
             }
+            
+            recordAudit(client, data.type, {
+              payload: { clientId: targetClientId, permissions },
+              outcome: granted ? 'success' : 'failed',
+              reason: granted ? null : 'Remote client not found'
+            });
+          } else {
+            recordAudit(client, data.type, {
+              payload: { clientId: data.clientId, permissions: data.permissions },
+              outcome: 'denied',
+              reason: 'Only the controller can grant permissions'
+            });
           }
           break;
 
-        default:
-          console.log('Unknown message type:', data.type);
       }
     } catch (error) {
       console.error('Error processing message:', error);
+      sendError(ws, 'INTERNAL_ERROR', 'Internal server error', data);
     }
   });
 
@@ -368,14 +524,14 @@ wss.on('connection', (ws, req) => {
       
       // Notify controller about display disconnection
       if (controllerClient && controllerClient.readyState === WebSocket.OPEN) {
-        controllerClient.send(JSON.stringify({
+        sendMessage(controllerClient, {
           type: 'DISPLAY_DISCONNECTED',
           data: {
             clientId: client.id,
             name: client.name,
             url: client.url
           }
-        }));
+        });
       }
     }
 
@@ -387,33 +543,11 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-// Role-based permission validation
-function hasRolePermission(role, action) {
-  const rolePermissions = {
-    'admin': [
-      'START_RESUME', 'PAUSE', 'STOP', 'ADD_TIME', 'SUBTRACT_TIME', 'RESET',
-      'SCHEDULE_VIEW', 'SCHEDULE_EDIT', 'SCHEDULE_REORDER', 'SCHEDULE_ADD', 'SCHEDULE_REMOVE',
-      'MESSAGE_SEND', 'MESSAGE_PRESET', 'MESSAGE_PRIVATE', 'MESSAGE_FLASH',
-      'DISPLAY_FADE', 'DISPLAY_SETTINGS'
-    ],
-    'queue_manager': [
-      'START_RESUME', 'PAUSE', 'ADD_TIME', 'SUBTRACT_TIME',
-      'SCHEDULE_VIEW', 'MESSAGE_PRESET', 'MESSAGE_SEND'
-    ],
-    'speaker': [
-      'PERSONAL_TIMER', 'PERSONAL_MESSAGES', 'SCHEDULE_VIEW'
-    ],
-    'viewer': []
-  };
-  
-  return rolePermissions[role]?.includes(action) || false;
-}
-
 // Permission validation function (updated for roles)
 function hasPermission(client, action) {
   // If client has a role, use role-based permissions
   if (client.role) {
-    return hasRolePermission(client.role, action);
+    return hasRolePermission(client.role, getActionPermission(action));
   }
   
   // Fallback to old permission system
@@ -437,38 +571,127 @@ function hasPermission(client, action) {
   return requiredPermissions.some(permission => client.permissions.includes(permission));
 }
 
+// Validate permissions, then forward a REMOTE_CONTROL message to the controller.
+// Returns { outcome, reason } as recorded in the audit trail.
+function forwardRemoteControl(client, message, source = 'websocket') {
+  const payload = { action: message.action, data: message.data };
+
+  if (!hasPermission(client, message.action)) {
+    const reason = `Permission denied for action: ${message.action}`;
+    recordAudit(client, 'REMOTE_CONTROL', { payload, outcome: 'denied', reason, source });
+    return { outcome: 'denied', reason };
+  }
+
+  if (!controllerClient || controllerClient.readyState !== WebSocket.OPEN) {
+    const reason = 'Controller not connected';
+    recordAudit(client, 'REMOTE_CONTROL', { payload, outcome: 'failed', reason, source });
+    return { outcome: 'failed', reason };
+  }
+
+  recordAudit(client, 'REMOTE_CONTROL', { payload, source });
+  sendMessage(controllerClient, message);
+  return { outcome: 'success', reason: null };
+}
+
+// Send a message to one socket; outbound schemas are checked outside production
+function sendMessage(ws, message) {
+  if (process.env.NODE_ENV !== 'production') {
+    const error = remoteProtocol.validateOutbound(message);
+    if (error) {
+      console.warn(`⚠️ Outbound ${message.type} does not match its schema: ${error}`);
+    }
+  }
+  ws.send(JSON.stringify(message));
+
+  messagesSent.inc({ type: message.type });
+  if (message.type === 'ERROR') {
+    errorsTotal.inc({ code: message.code });
+  }
+}
+
+// Reply with a structured error; `request` is the inbound message it answers, when known
+function sendError(ws, code, message, request = null) {
+  sendMessage(ws, {
+    type: 'ERROR',
+    code: code,
+    message: message,
+    messageType: typeof request?.type === 'string' ? request.type : null,
+    correlationId: typeof request?.correlationId === 'string' ? request.correlationId : crypto.randomUUID()
+  });
+}
+
+// Append to the audit trail; client is null for unauthenticated REST calls
+function recordAudit(client, action, { payload = null, outcome = 'success', reason = null, source = 'websocket' } = {}) {
+  audit.appendAuditEntry(auditLog, {
+    actor: client ? { id: String(client.id), name: client.name, role: client.role || client.type } : null,
+    action,
+    payload,
+    outcome,
+    reason,
+    source
+  });
+}
+
 // Broadcast message to all remote clients
 function broadcastToRemotes(message) {
-  remoteClients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
-    } else {
-      remoteClients.delete(client);
-    }
+  broadcastDuration.time({ audience: 'remotes', type: message.type }, () => {
+    remoteClients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        sendMessage(client, message);
+      } else {
+        remoteClients.delete(client);
+      }
+    });
   });
 }
 
 // Broadcast message to all display clients
 function broadcastToDisplays(message) {
-  displayClients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
-    } else {
-      displayClients.delete(client);
-    }
+  broadcastDuration.time({ audience: 'displays', type: message.type }, () => {
+    displayClients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        sendMessage(client, message);
+      } else {
+        displayClients.delete(client);
+      }
+    });
   });
 }
 
 // Update controller about remote client count
 function updateRemoteCount() {
   if (controllerClient && controllerClient.readyState === WebSocket.OPEN) {
-    controllerClient.send(JSON.stringify({
+    sendMessage(controllerClient, {
       type: 'REMOTE_COUNT',
       count: remoteClients.size
-    }));
+    });
   }
 }
 
+// Bridge commands are checked like a remote registered with the bridge's role
+const controlBridge = createControlBridge({
+  host: BRIDGE_CONFIG.HOST,
+  oscPort: BRIDGE_CONFIG.OSC_PORT,
+  tcpPort: BRIDGE_CONFIG.TCP_PORT,
+  feedbackTargets: BRIDGE_CONFIG.FEEDBACK_TARGETS,
+  allowedHosts: BRIDGE_CONFIG.ALLOWED_HOSTS,
+  onCommand: ({ source, remote, action, data }) => {
+    const client = {
+      id: `${source}:${remote}`,
+      type: source,
+      name: `${source.toUpperCase()} ${remote}`,
+      role: BRIDGE_CONFIG.ROLE,
+      permissions: BRIDGE_CONFIG.PERMISSIONS
+    };
+    const result = forwardRemoteControl(client, { type: 'REMOTE_CONTROL', action, data }, source);
+    bridgeCommands.inc({ source, outcome: result.outcome });
+    return result;
+  }
+});
+
+// Drop half-open sockets so the controller's remote count stays accurate
+startHeartbeat(wss, parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || DEFAULT_HEARTBEAT_INTERVAL);
+
 // Start server
 const PORT = 3001;
 server.listen(PORT, () => {
@@ -483,6 +706,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('Shutting down server...');
+  controlBridge.close();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const apiKeys = require('../server/api-keys');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+function createRepository(records) {
+  const touched = [];
+  return {
+    touched,
+    findApiKeyByHash: hash => records.find(record => record.hash === hash) || null,
+    touchApiKey: (id, lastUsedAt) => touched.push({ id, lastUsedAt })
+  };
+}
+
+function createKey(request, now = NOW) {
+  const generated = apiKeys.generateApiKey();
+  return { key: generated.key, record: apiKeys.createApiKeyRecord('user-1', request, generated, now) };
+}
+
+test('generated keys are recognised and only their hash is stored', () => {
+  const { key, record } = createKey({ name: ' Stream Deck ', scopes: ['read', 'read'] });
+
+  assert.strictEqual(apiKeys.isApiKey(key), true);
+  assert.strictEqual(apiKeys.isApiKey('eyJhbGciOi'), false);
+  assert.ok(key.startsWith(record.prefix));
+  assert.notStrictEqual(record.hash, key);
+  assert.strictEqual(record.name, 'Stream Deck');
+  assert.deepStrictEqual(record.scopes, ['read']);
+  assert.strictEqual(record.rooms, null);
+  assert.strictEqual(record.role, null);
+
+  const listed = apiKeys.toPublicApiKey(record);
+  assert.strictEqual(listed.hash, undefined);
+  assert.strictEqual(listed.userId, undefined);
+});
+
+test('key requests are validated', () => {
+  const valid = { name: 'OBS', scopes: ['room:control'], rooms: ['abc123'], role: 'queue_manager', expiresInDays: 30 };
+  assert.strictEqual(apiKeys.validateApiKeyRequest(valid), null);
+
+  assert.match(apiKeys.validateApiKeyRequest({ ...valid, name: '  ' }), /name/);
+  assert.match(apiKeys.validateApiKeyRequest({ ...valid, scopes: [] }), /scopes/);
+  assert.match(apiKeys.validateApiKeyRequest({ ...valid, scopes: ['admin'] }), /Unknown scope: admin/);
+  assert.match(apiKeys.validateApiKeyRequest({ ...valid, rooms: ['not a room'] }), /room codes/);
+  assert.match(apiKeys.validateApiKeyRequest({ ...valid, role: 'Admin' }), /role/);
+  assert.match(apiKeys.validateApiKeyRequest({ ...valid, expiresInDays: 0 }), /expiresInDays/);
+});
+
+test('room-limited keys store upper-case codes and their role', () => {
+  const { record } = createKey({ name: 'Desk', scopes: ['room:control'], rooms: ['abc123', 'ABC123'], role: 'stage_manager' });
+  assert.deepStrictEqual(record.rooms, ['ABC123']);
+  assert.strictEqual(record.role, 'stage_manager');
+});
+
+test('scopes decide which rooms and requests a key may use', () => {
+  const control = createKey({ name: 'Control', scopes: ['room:control'], rooms: ['ABC123'] }).record;
+  const reader = createKey({ name: 'Reader', scopes: ['write'] }).record;
+
+  assert.strictEqual(apiKeys.canAccessRoom(control, 'ABC123'), true);
+  assert.strictEqual(apiKeys.canAccessRoom(control, 'XYZ789'), false);
+  assert.strictEqual(apiKeys.canAccessRoom(reader, 'ABC123'), false);
+  assert.strictEqual(apiKeys.canAccessRoom(reader, 'ABC123', true), true);
+
+  assert.strictEqual(apiKeys.hasScope(reader, 'read'), true);
+  assert.strictEqual(apiKeys.hasScope(control, 'read'), false);
+});
+
+test('only live keys authenticate', () => {
+  const live = createKey({ name: 'Live', scopes: ['read'] });
+  const revoked = createKey({ name: 'Revoked', scopes: ['read'] });
+  const expired = createKey({ name: 'Expired', scopes: ['read'], expiresInDays: 1 }, NOW - 2 * 24 * 60 * 60 * 1000);
+  revoked.record.revokedAt = new Date(NOW).toISOString();
+  const repository = createRepository([live.record, revoked.record, expired.record]);
+
+  assert.strictEqual(apiKeys.authenticateApiKey(repository, live.key, NOW).id, live.record.id);
+  assert.strictEqual(apiKeys.authenticateApiKey(repository, revoked.key, NOW), null);
+  assert.strictEqual(apiKeys.authenticateApiKey(repository, expired.key, NOW), null);
+  assert.strictEqual(apiKeys.authenticateApiKey(repository, 'dyt_unknown', NOW), null);
+});
+
+test('lastUsedAt is written at most once per resolution window', () => {
+  const { key, record } = createKey({ name: 'Busy', scopes: ['read'] });
+  const repository = createRepository([record]);
+
+  apiKeys.authenticateApiKey(repository, key, NOW);
+  apiKeys.authenticateApiKey(repository, key, NOW + 1000);
+  apiKeys.authenticateApiKey(repository, key, NOW + apiKeys.API_KEY_LIMITS.LAST_USED_RESOLUTION);
+
+  assert.deepStrictEqual(repository.touched.map(entry => entry.lastUsedAt), [
+    new Date(NOW).toISOString(),
+    new Date(NOW + apiKeys.API_KEY_LIMITS.LAST_USED_RESOLUTION).toISOString()
+  ]);
+});
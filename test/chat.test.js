@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const chat = require('../server/chat');
+
+const ann = { id: 'u1', name: 'Ann', role: 'viewer' };
+
+test('message text is cleaned and limited', () => {
+  assert.deepStrictEqual(chat.sanitizeMessageText('  <b>hi</b>\u202E there\u0007 \n\n\n\nbye '), { text: 'hi there \n\nbye' });
+  assert.match(chat.sanitizeMessageText(42).error, /must be a string/);
+  assert.match(chat.sanitizeMessageText(' <i></i> ').error, /cannot be empty/);
+  assert.match(chat.sanitizeMessageText('x'.repeat(chat.CHAT_LIMITS.MAX_MESSAGE_LENGTH + 1)).error, /at most/);
+});
+
+test('history keeps the newest messages and pages back by cursor', () => {
+  const history = chat.createChatHistory();
+  for (let i = 1; i <= chat.CHAT_LIMITS.HISTORY_SIZE + 5; i++) {
+    chat.addChatMessage(history, ann, `message ${i}`);
+  }
+  assert.strictEqual(history.messages.length, chat.CHAT_LIMITS.HISTORY_SIZE);
+  assert.strictEqual(history.messages[0].seq, 6);
+
+  const first = chat.getChatPage(history, { limit: 3 });
+  assert.deepStrictEqual(first.messages.map(message => message.seq), [203, 204, 205]);
+  assert.strictEqual(first.nextCursor, 203);
+
+  const second = chat.getChatPage(history, { before: first.nextCursor, limit: 3 });
+  assert.deepStrictEqual(second.messages.map(message => message.seq), [200, 201, 202]);
+
+  const last = chat.getChatPage(history, { before: 8, limit: 3 });
+  assert.deepStrictEqual(last.messages.map(message => message.seq), [6, 7]);
+  assert.strictEqual(last.nextCursor, null);
+
+  assert.strictEqual(chat.getChatPage(history, { limit: 1000 }).messages.length, chat.CHAT_LIMITS.MAX_PAGE_SIZE);
+});
+
+test('deleted messages leave the history', () => {
+  const history = chat.createChatHistory();
+  const message = chat.addChatMessage(history, ann, 'oops');
+
+  assert.strictEqual(chat.deleteChatMessage(history, message.id).id, message.id);
+  assert.strictEqual(chat.deleteChatMessage(history, message.id), null);
+  assert.strictEqual(history.messages.length, 0);
+});
+
+test('mutes last until they expire or forever', () => {
+  const mutedUsers = { u1: 1000, u2: null };
+
+  assert.strictEqual(chat.isMuted(mutedUsers, 'u1', 999), true);
+  assert.strictEqual(chat.isMuted(mutedUsers, 'u1', 1000), false);
+  assert.strictEqual(Object.hasOwn(mutedUsers, 'u1'), false);
+  assert.strictEqual(chat.isMuted(mutedUsers, 'u2', Infinity), true);
+  assert.strictEqual(chat.isMuted(mutedUsers, 'u3'), false);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('node:dgram');
+const net = require('node:net');
+const osc = require('../server/osc');
+const roles = require('../server/roles');
+const { BRIDGE_ADDRESSES, DEFAULT_BRIDGE_ROLE, resolveCommand, parseTargets, createControlBridge } = require('../server/control-bridge');
+
+// Keep the bridge's console output out of the test runner's protocol stream
+test.before(() => test.mock.method(console, 'log', () => {}));
+
+// The check websocket-server runs for bridge commands acting with a role
+function isAllowed(role, action) {
+  return roles.hasRolePermission(role, roles.getActionPermission(action));
+}
+
+function freePort(type) {
+  return new Promise((resolve) => {
+    if (type === 'udp') {
+      const socket = dgram.createSocket('udp4');
+      socket.bind(0, '127.0.0.1', () => {
+        const { port } = socket.address();
+        socket.close(() => resolve(port));
+      });
+    } else {
+      const server = net.createServer();
+      server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+      });
+    }
+  });
+}
+
+test('every address is allowed for the default bridge role', () => {
+  for (const [address, spec] of Object.entries(BRIDGE_ADDRESSES)) {
+    assert.ok(isAllowed(DEFAULT_BRIDGE_ROLE, spec.action), address);
+  }
+});
+
+test('message and display actions are checked against the permissions roles hold', () => {
+  assert.strictEqual(isAllowed('queue_manager', 'SEND_MESSAGE'), true);
+  assert.strictEqual(isAllowed('queue_manager', 'SHOW_MESSAGE'), true);
+  assert.strictEqual(isAllowed('queue_manager', 'FLASH_MESSAGE'), false);
+  assert.strictEqual(isAllowed('queue_manager', 'FADE_TO_BLACK'), false);
+  assert.strictEqual(isAllowed('viewer', 'SEND_MESSAGE'), false);
+});
+
+test('addresses resolve to actions and validated data', () => {
+  assert.deepStrictEqual(resolveCommand('/dytor/time/add', [60]), { action: 'ADD_TIME', data: { seconds: 60 } });
+  assert.deepStrictEqual(resolveCommand('/dytor/message/send', [' Wrap up ']), { action: 'SEND_MESSAGE', data: { message: 'Wrap up' } });
+  assert.match(resolveCommand('/dytor/time/add', ['soon']).error, /expects a number of seconds/);
+  assert.match(resolveCommand('/dytor/lights/on', []).error, /Unknown address/);
+});
+
+test('an OSC packet reaches the permission check with its action and data', async (t) => {
+  const oscPort = await freePort('udp');
+  const commands = [];
+  const bridge = createControlBridge({
+    host: '127.0.0.1',
+    oscPort,
+    onCommand: (command) => {
+      commands.push(command);
+      return isAllowed(DEFAULT_BRIDGE_ROLE, command.action)
+        ? { outcome: 'success', reason: null }
+        : { outcome: 'denied', reason: `Permission denied for action: ${command.action}` };
+    }
+  });
+  const sender = dgram.createSocket('udp4');
+  t.after(() => {
+    sender.close();
+    bridge.close();
+  });
+
+  // The bridge binds asynchronously; resend until it is listening
+  const packet = osc.encodeMessage('/dytor/display/fade');
+  for (let attempt = 0; attempt < 40 && commands.length === 0; attempt++) {
+    sender.send(packet, oscPort, '127.0.0.1');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  assert.strictEqual(commands[0].source, 'osc');
+  assert.strictEqual(commands[0].address, '/dytor/display/fade');
+  assert.strictEqual(commands[0].action, 'FADE_TO_BLACK');
+});
+
+test('TCP lines are answered with the outcome of the check', async (t) => {
+  const tcpPort = await freePort('tcp');
+  const bridge = createControlBridge({
+    host: '127.0.0.1',
+    tcpPort,
+    onCommand: ({ action }) => (isAllowed('queue_manager', action)
+      ? { outcome: 'success', reason: null }
+      : { outcome: 'denied', reason: `Permission denied for action: ${action}` })
+  });
+  t.after(() => bridge.close());
+
+  let socket;
+  for (let attempt = 0; attempt < 40 && !socket; attempt++) {
+    socket = await new Promise((resolve) => {
+      const candidate = net.connect(tcpPort, '127.0.0.1', () => resolve(candidate));
+      candidate.on('error', () => setTimeout(() => resolve(null), 50));
+    });
+  }
+  t.after(() => socket.destroy());
+
+  socket.setEncoding('utf8');
+  let replies = '';
+  socket.on('data', (chunk) => { replies += chunk; });
+  socket.write('/dytor/message/send Five minutes\n/dytor/timer/stop\n/dytor/time/add soon\n');
+  for (let attempt = 0; attempt < 40 && replies.split('\n').length < 4; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+
+  assert.deepStrictEqual(replies.trim().split('\n'), [
+    'OK',
+    'ERR Permission denied for action: STOP',
+    'ERR /dytor/time/add expects a number of seconds up to 86400'
+  ]);
+});
+
+test('feedback targets are parsed from host:port lists', () => {
+  assert.deepStrictEqual(parseTargets('10.0.0.5:9000, [::1]:9001'), [
+    { host: '10.0.0.5', port: 9000 },
+    { host: '::1', port: 9001 }
+  ]);
+  assert.deepStrictEqual(parseTargets(''), []);
+  assert.throws(() => parseTargets('10.0.0.5'), /Invalid OSC feedback target/);
+  assert.throws(() => parseTargets('10.0.0.5:70000'), /Invalid OSC feedback target/);
+});
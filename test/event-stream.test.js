@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { createRoomStreams } = require('../server/event-stream');
+
+const INSTANCE_ID = 'a1b2c3d4-0000-4000-8000-000000000000';
+
+function createRequest(lastEventId = null) {
+  const req = new EventEmitter();
+  req.query = {};
+  req.get = name => (name === 'Last-Event-ID' ? lastEventId : undefined);
+  return req;
+}
+
+function createResponse() {
+  return {
+    headers: {},
+    chunks: [],
+    ended: false,
+    set(headers) { Object.assign(this.headers, headers); },
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+    // { id, type } of each event written
+    events() {
+      return this.chunks.filter(chunk => chunk.startsWith('id: ')).map((chunk) => {
+        const [, id, type] = chunk.match(/^id: (\S+)\nevent: (\S+)\n/);
+        return { id, type };
+      });
+    }
+  };
+}
+
+// Open a stream and end it once the test is done, so its keepalive timer stops
+function openStream(t, streams, roomCode, lastEventId, snapshot = () => [{ type: 'ROOM_STATE' }]) {
+  const req = createRequest(lastEventId);
+  const res = createResponse();
+  streams.open(roomCode, req, res, snapshot);
+  t.after(() => req.emit('close'));
+  return { req, res };
+}
+
+test('new subscribers get the snapshot, then live events', (t) => {
+  const streams = createRoomStreams({ instanceId: INSTANCE_ID });
+  const { res } = openStream(t, streams, 'ROOM1');
+
+  streams.publish('ROOM1', { type: 'TIMER_UPDATE' });
+  streams.publish('ROOM2', { type: 'TIMER_UPDATE' });
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/event-stream');
+  assert.deepStrictEqual(res.events(), [
+    { id: 'a1b2c3d4:0', type: 'ROOM_STATE' },
+    { id: 'a1b2c3d4:1', type: 'TIMER_UPDATE' }
+  ]);
+  assert.strictEqual(streams.countClients('ROOM1'), 1);
+});
+
+test('reconnecting with Last-Event-ID replays only what was missed', (t) => {
+  const streams = createRoomStreams({ instanceId: INSTANCE_ID });
+  const first = openStream(t, streams, 'ROOM1');
+  streams.publish('ROOM1', { type: 'TIMER_UPDATE' });
+  first.req.emit('close');
+  streams.publish('ROOM1', { type: 'MESSAGE' });
+  streams.publish('ROOM1', { type: 'SCHEDULE_UPDATE' });
+
+  const { res } = openStream(t, streams, 'ROOM1', 'a1b2c3d4:1', () => assert.fail('snapshot not expected'));
+  assert.deepStrictEqual(res.events(), [
+    { id: 'a1b2c3d4:2', type: 'MESSAGE' },
+    { id: 'a1b2c3d4:3', type: 'SCHEDULE_UPDATE' }
+  ]);
+});
+
+test('ids from another instance or out of the buffer fall back to the snapshot', (t) => {
+  const streams = createRoomStreams({ instanceId: INSTANCE_ID, bufferSize: 2 });
+  openStream(t, streams, 'ROOM1');
+  ['A', 'B', 'C'].forEach(type => streams.publish('ROOM1', { type }));
+
+  const elsewhere = openStream(t, streams, 'ROOM1', 'ffffffff:2').res;
+  const tooOld = openStream(t, streams, 'ROOM1', 'a1b2c3d4:0').res;
+  const fromFuture = openStream(t, streams, 'ROOM1', 'a1b2c3d4:9').res;
+  const buffered = openStream(t, streams, 'ROOM1', 'a1b2c3d4:1').res;
+
+  [elsewhere, tooOld, fromFuture].forEach((res) => {
+    assert.deepStrictEqual(res.events(), [{ id: 'a1b2c3d4:3', type: 'ROOM_STATE' }]);
+  });
+  assert.deepStrictEqual(buffered.events().map(event => event.type), ['B', 'C']);
+});
+
+test('closing a room ends its streams with the final message', (t) => {
+  const streams = createRoomStreams({ instanceId: INSTANCE_ID });
+  const { res } = openStream(t, streams, 'ROOM1');
+  openStream(t, streams, 'ROOM2');
+  assert.strictEqual(streams.size, 2);
+
+  streams.close('ROOM1', { type: 'ROOM_CLOSED' });
+  assert.strictEqual(res.ended, true);
+  assert.strictEqual(res.events().at(-1).type, 'ROOM_CLOSED');
+  assert.strictEqual(streams.countClients('ROOM1'), 0);
+  assert.strictEqual(streams.size, 1);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const handshake = require('../server/handshake');
+
+const FEATURES = ['schedule', 'chat-history'];
+
+test('newer clients fall back to the server protocol version', () => {
+  const { session, reply } = handshake.negotiateHandshake({
+    protocolVersion: handshake.PROTOCOL_VERSION + 3,
+    client: { name: 'Dytor Desktop', version: '3.1.0', platform: 'macos' },
+    capabilities: ['schedule', 'holograms', 'schedule']
+  }, 'test-server', FEATURES);
+
+  assert.strictEqual(session.protocolVersion, handshake.PROTOCOL_VERSION);
+  assert.deepStrictEqual(session.capabilities, ['schedule']);
+  assert.strictEqual(session.legacy, false);
+  assert.strictEqual(reply.type, 'HELLO_ACK');
+  assert.strictEqual(reply.maxProtocolVersion, handshake.PROTOCOL_VERSION);
+  assert.deepStrictEqual(reply.server, { name: 'test-server', version: handshake.SERVER_VERSION });
+  assert.deepStrictEqual(reply.features, FEATURES);
+
+  assert.deepStrictEqual(handshake.describeClientSession(session), {
+    name: 'Dytor Desktop',
+    version: '3.1.0',
+    platform: 'macos',
+    protocolVersion: handshake.PROTOCOL_VERSION,
+    capabilities: ['schedule']
+  });
+});
+
+test('clients without HELLO are legacy and accepted by default', () => {
+  const session = handshake.createLegacySession();
+
+  assert.strictEqual(session.protocolVersion, handshake.LEGACY_PROTOCOL_VERSION);
+  assert.strictEqual(handshake.describeClientSession(session).name, null);
+  assert.strictEqual(handshake.isHandshakeRequired(), false);
+  assert.match(handshake.negotiateHandshake({ protocolVersion: 0 }, 'test-server', FEATURES).error, /no longer supported/);
+  assert.strictEqual(handshake.negotiateHandshake({ protocolVersion: 1 }, 'test-server', FEATURES).session.protocolVersion, 1);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { startHeartbeat } = require('../server/heartbeat');
+
+test.before(() => test.mock.method(console, 'log', () => {}));
+
+function fakeSocket(answersPings) {
+  const ws = new EventEmitter();
+  ws.pings = 0;
+  ws.terminated = false;
+  ws.ping = () => {
+    ws.pings++;
+    if (answersPings) setImmediate(() => ws.emit('pong'));
+  };
+  ws.terminate = () => {
+    ws.terminated = true;
+  };
+  return ws;
+}
+
+test('sockets that miss a ping are terminated, the rest are kept', { timeout: 2000 }, async () => {
+  const wss = new EventEmitter();
+  const stop = startHeartbeat(wss, 20);
+
+  const alive = fakeSocket(true);
+  const silent = fakeSocket(false);
+  wss.clients = new Set([alive, silent]);
+  wss.clients.forEach(ws => wss.emit('connection', ws));
+  while (alive.pings < 3) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  stop();
+
+  assert.strictEqual(alive.terminated, false);
+  assert.strictEqual(silent.pings, 1);
+  assert.strictEqual(silent.terminated, true);
+});
@@ -0,0 +1,182 @@
+// Runs room-server in a child process for tests that go through its WebSocket
+// and REST interfaces, with helpers to talk to it.
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const WebSocket = require('ws');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server', 'room-server.js');
+const MESSAGE_TIMEOUT = 3000;
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start a room server; `env` adds to or overrides the defaults below
+async function startRoomServer(env = {}) {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      ROOM_STORE: 'memory',
+      RATE_LIMIT_DISABLED: 'true',
+      JWT_SECRET: 'test-secret',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Room Server running')) resolve();
+    });
+    child.on('exit', code => reject(new Error(`room-server exited with ${code}:\n${output}`)));
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  return {
+    port,
+    baseUrl,
+    get output() {
+      return output;
+    },
+
+    // JSON request to the REST API; resolves with { status, body }
+    async request(method, route, body = undefined, headers = {}) {
+      const response = await fetch(baseUrl + route, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    connect() {
+      return connectClient(`ws://127.0.0.1:${port}/ws`);
+    },
+
+    // Send a signal and wait for the process to exit; resolves with its exit code
+    stop(signal = 'SIGKILL') {
+      if (child.exitCode !== null) return Promise.resolve(child.exitCode);
+      return new Promise((resolve) => {
+        child.removeAllListeners('exit');
+        child.on('exit', code => resolve(code));
+        child.kill(signal);
+      });
+    }
+  };
+}
+
+// A WebSocket client that queues what it receives, so tests can wait for messages
+function connectClient(url) {
+  const ws = new WebSocket(url);
+  const received = [];
+  const waiters = [];
+
+  function deliver() {
+    for (let i = 0; i < waiters.length; i++) {
+      const waiter = waiters[i];
+      const index = received.findIndex(waiter.matches);
+      if (index !== -1) {
+        waiters.splice(i--, 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(received.splice(index, 1)[0]);
+      }
+    }
+  }
+
+  ws.on('message', (data) => {
+    received.push(JSON.parse(data));
+    deliver();
+  });
+
+  const client = {
+    ws,
+    received,
+    opened: new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    }),
+    closed: new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: String(reason) }))),
+
+    send(message) {
+      ws.send(JSON.stringify(message));
+    },
+
+    // Next message of a type (and matching `filter`), removed from the queue
+    next(type, filter = () => true, timeout = MESSAGE_TIMEOUT) {
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          matches: message => message.type === type && filter(message),
+          resolve,
+          timer: setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            reject(new Error(`No ${type} within ${timeout}ms; received ${JSON.stringify(received.map(message => message.type))}`));
+          }, timeout)
+        };
+        waiters.push(waiter);
+        deliver();
+      });
+    },
+
+    // Send a message and wait for the reply of a type
+    async request(message, replyType, filter) {
+      const reply = client.next(replyType, filter);
+      client.send(message);
+      return reply;
+    },
+
+    // Whether a message of a type has arrived and not been taken yet
+    has(type) {
+      return received.some(message => message.type === type);
+    },
+
+    close() {
+      ws.close();
+      return client.closed;
+    }
+  };
+  return client;
+}
+
+// Create an anonymous room and connect its host; resolves with { roomCode, host, joined }
+async function openRoom(server, settings = null) {
+  const { body } = await server.request('POST', '/api/rooms', { hostName: 'Host' });
+  const roomCode = body.room.code;
+
+  const host = server.connect();
+  await host.opened;
+  const joined = await host.request({ type: 'JOIN_ROOM', roomCode, clientType: 'host' }, 'ROOM_JOINED');
+
+  if (settings) {
+    await host.request({ type: 'UPDATE_SETTINGS', settings }, 'ROOM_SETTINGS_UPDATED');
+  }
+  return { roomCode, host, joined };
+}
+
+// Connect a web user and join a room; resolves with the client and its first reply
+async function joinRoom(server, roomCode, clientInfo = {}, replyType = 'ROOM_JOINED') {
+  const client = server.connect();
+  await client.opened;
+  const reply = await client.request({ type: 'JOIN_ROOM', roomCode, clientInfo }, replyType);
+  return { client, reply };
+}
+
+module.exports = {
+  startRoomServer,
+  connectClient,
+  openRoom,
+  joinRoom
+};
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startRoomServer } = require('./helpers/room-server');
+
+function signToken(secret, userId = 'user_1') {
+  return jwt.sign({ userId, name: 'Owner', sid: 'session_1' }, secret, { expiresIn: '5m' });
+}
+
+async function hostRoom(server, token) {
+  const { body } = await server.request('POST', '/api/rooms', { hostName: 'Host' });
+  const host = server.connect();
+  await host.opened;
+  host.send({ type: 'JOIN_ROOM', roomCode: body.room.code, clientType: 'host', token });
+  return host;
+}
+
+test('without a configured secret every token is refused', async (t) => {
+  const server = await startRoomServer({ JWT_SECRET: '' });
+  t.after(() => server.stop());
+
+  const forged = signToken('dytor-secret-key-change-in-production');
+  const created = await server.request('POST', '/api/rooms', { hostName: 'Host' }, { Authorization: `Bearer ${forged}` });
+  assert.strictEqual(created.status, 401);
+
+  const host = await hostRoom(server, forged);
+  t.after(() => host.close());
+  const error = await host.next('ERROR');
+  assert.strictEqual(error.code, 'INVALID_TOKEN');
+  assert.match(server.output, /Neither JWT_SECRET nor JWT_PUBLIC_KEY is set/);
+});
+
+test('tokens signed with the configured secret claim ownerless rooms', async (t) => {
+  const server = await startRoomServer({ JWT_SECRET: 'room-secret' });
+  t.after(() => server.stop());
+
+  const host = await hostRoom(server, signToken('room-secret'));
+  t.after(() => host.close());
+  const joined = await host.next('ROOM_JOINED');
+
+  const other = await hostRoom(server, signToken('some-other-secret'));
+  t.after(() => other.close());
+  assert.strictEqual((await other.next('ERROR')).code, 'INVALID_TOKEN');
+
+  const owner = signToken('room-secret');
+  const roles = await server.request('GET', `/api/rooms/${joined.roomCode}/roles`, undefined, { Authorization: `Bearer ${owner}` });
+  assert.strictEqual(roles.status, 200);
+  assert.match(server.output, /AUTH_DB_PATH is not set/);
+});
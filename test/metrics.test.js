@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetricsRegistry, metricsHandler } = require('../server/metrics');
+
+test('counters, gauges and histograms render in the Prometheus text format', () => {
+  const registry = createMetricsRegistry('test');
+  const messages = registry.counter('messages_total', 'Messages by type');
+  const latency = registry.histogram('latency_seconds', 'Latency', [0.1, 1]);
+  registry.gauge('rooms_active', 'Rooms', () => 3);
+  registry.gauge('users_connected', 'Users by role', () => [{ labels: { role: 'viewer' }, value: 2 }]);
+
+  messages.inc({ type: 'CHAT_MESSAGE' });
+  messages.inc({ type: 'CHAT_MESSAGE' }, 2);
+  messages.inc({ type: 'say "hi"\n' });
+  latency.observe({}, 0.05);
+  latency.observe({}, 0.5);
+  latency.observe({}, 5);
+
+  const output = registry.render();
+  assert.match(output, /# HELP test_messages_total Messages by type\n# TYPE test_messages_total counter\n/);
+  assert.match(output, /^test_messages_total\{type="CHAT_MESSAGE"\} 3$/m);
+  assert.match(output, /^test_messages_total\{type="say \\"hi\\"\\n"\} 1$/m);
+  assert.match(output, /^test_rooms_active 3$/m);
+  assert.match(output, /^test_users_connected\{role="viewer"\} 2$/m);
+  assert.match(output, /^test_latency_seconds_bucket\{le="0.1"\} 1$/m);
+  assert.match(output, /^test_latency_seconds_bucket\{le="1"\} 2$/m);
+  assert.match(output, /^test_latency_seconds_bucket\{le="\+Inf"\} 3$/m);
+  assert.match(output, /^test_latency_seconds_sum 5.55$/m);
+  assert.match(output, /^test_latency_seconds_count 3$/m);
+  assert.match(output, /^test_process_uptime_seconds \d/m);
+});
+
+test('the metrics endpoint asks for METRICS_TOKEN when it is set', (t) => {
+  t.after(() => delete process.env.METRICS_TOKEN);
+  const handler = metricsHandler(createMetricsRegistry('test'));
+
+  function scrape(headers) {
+    const res = {
+      headers: {},
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        this.headers[name] = value;
+      },
+      json(body) {
+        this.body = body;
+      },
+      send(body) {
+        this.body = body;
+      }
+    };
+    handler({ headers }, res);
+    return res;
+  }
+
+  assert.match(scrape({}).body, /test_process_uptime_seconds/);
+
+  process.env.METRICS_TOKEN = 'scrape-me';
+  assert.strictEqual(scrape({}).statusCode, 401);
+  const allowed = scrape({ authorization: 'Bearer scrape-me' });
+  assert.strictEqual(allowed.statusCode, 200);
+  assert.match(allowed.headers['Content-Type'], /text\/plain; version=0.0.4/);
+});
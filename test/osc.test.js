@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const osc = require('../server/osc');
+
+function oscString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  const buffer = Buffer.alloc((bytes.length + 4) & ~3);
+  bytes.copy(buffer);
+  return buffer;
+}
+
+function bundle(...messages) {
+  return Buffer.concat([
+    oscString('#bundle'),
+    Buffer.alloc(8),
+    ...messages.flatMap((message) => {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(message.length);
+      return [size, message];
+    })
+  ]);
+}
+
+test('encoded messages decode to the same address and arguments', () => {
+  const packet = osc.encodeMessage('/dytor/time/add', [60, 1.5, 'Keynote', true, false, null]);
+  assert.strictEqual(packet.length % 4, 0);
+
+  const [message] = osc.decodePacket(packet);
+  assert.strictEqual(message.address, '/dytor/time/add');
+  assert.deepStrictEqual(message.args, [60, 1.5, 'Keynote', true, false, null]);
+});
+
+test('doubles, 64-bit integers and blobs are decoded', () => {
+  const double = Buffer.alloc(8);
+  double.writeDoubleBE(2.25);
+  const long = Buffer.alloc(8);
+  long.writeBigInt64BE(90n);
+  const blob = Buffer.from([0, 0, 0, 3, 1, 2, 3, 0]);
+
+  const [message] = osc.decodePacket(Buffer.concat([oscString('/x'), oscString(',dhb'), double, long, blob]));
+  assert.deepStrictEqual(message.args.slice(0, 2), [2.25, 90]);
+  assert.deepStrictEqual([...message.args[2]], [1, 2, 3]);
+});
+
+test('messages without type tags have no arguments', () => {
+  assert.deepStrictEqual(osc.decodePacket(oscString('/dytor/timer/start')), [{ address: '/dytor/timer/start', args: [] }]);
+});
+
+test('bundles are flattened into their messages', () => {
+  const packet = bundle(
+    osc.encodeMessage('/dytor/timer/pause'),
+    bundle(osc.encodeMessage('/dytor/time/subtract', [30]))
+  );
+
+  assert.deepStrictEqual(osc.decodePacket(packet), [
+    { address: '/dytor/timer/pause', args: [] },
+    { address: '/dytor/time/subtract', args: [30] }
+  ]);
+});
+
+test('malformed packets are rejected', () => {
+  assert.throws(() => osc.decodePacket(Buffer.alloc(0)), /multiple of 4/);
+  assert.throws(() => osc.decodePacket(Buffer.from('/abc')), /Unterminated/);
+  assert.throws(() => osc.decodePacket(oscString('dytor')), /must start with \//);
+  assert.throws(() => osc.decodePacket(Buffer.concat([oscString('/x'), oscString(',i')])), /truncated/);
+  assert.throws(() => osc.decodePacket(Buffer.concat([oscString('/x'), oscString(',q')])), /Unsupported OSC type tag: q/);
+
+  const oversized = bundle(osc.encodeMessage('/x'));
+  oversized.writeInt32BE(64, 16);
+  assert.throws(() => osc.decodePacket(oversized), /bundle is truncated/);
+
+  let nested = osc.encodeMessage('/x');
+  for (let depth = 0; depth < 9; depth++) nested = bundle(nested);
+  assert.throws(() => osc.decodePacket(nested), /nested too deeply/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProtocol, validateValue, string, integer, array, object, optional, nullable } = require('../server/protocol');
+const { ROOM_PROTOCOL, REMOTE_PROTOCOL } = require('../server/protocol-schemas');
+
+const room = createProtocol(ROOM_PROTOCOL);
+const remote = createProtocol(REMOTE_PROTOCOL);
+
+test('well-formed room messages are accepted', () => {
+  assert.strictEqual(room.validateInbound({ type: 'HELLO', protocolVersion: 1, client: { name: 'Dytor', version: '2.0.0' } }), null);
+  assert.strictEqual(room.validateInbound({ type: 'JOIN_ROOM', roomCode: 'ABC123', clientInfo: { name: 'Ann', role: 'viewer' } }), null);
+  assert.strictEqual(room.validateInbound({ type: 'TIMER_CONTROL', action: 'SET', data: { duration: 60 }, correlationId: 'c1' }), null);
+  assert.strictEqual(room.validateInbound({ type: 'SCHEDULE_GET' }), null);
+
+  // Fields not in the schema pass through
+  assert.strictEqual(room.validateInbound({ type: 'LEAVE_ROOM', roomCode: 'ABC123', extra: true }), null);
+});
+
+test('messages that are not objects with a known type are refused', () => {
+  assert.strictEqual(room.validateInbound(null).code, 'INVALID_MESSAGE');
+  assert.strictEqual(room.validateInbound([]).code, 'INVALID_MESSAGE');
+  assert.strictEqual(room.validateInbound({ type: 5 }).code, 'INVALID_MESSAGE');
+  assert.strictEqual(room.validateInbound({ type: 'NOPE' }).code, 'UNKNOWN_MESSAGE_TYPE');
+  assert.strictEqual(room.validateInbound({ type: 'toString' }).code, 'UNKNOWN_MESSAGE_TYPE');
+  assert.strictEqual(room.isKnownType('CHAT_MESSAGE'), true);
+  assert.strictEqual(room.isKnownType('REGISTER_CONTROLLER'), false);
+  assert.strictEqual(remote.isKnownType('REGISTER_CONTROLLER'), true);
+});
+
+test('fields that break their schema are refused with the path', () => {
+  const cases = [
+    [{ type: 'JOIN_ROOM' }, /roomCode is required/],
+    [{ type: 'JOIN_ROOM', roomCode: '' }, /roomCode must be at least 1/],
+    [{ type: 'JOIN_ROOM', roomCode: 'ABC123', clientInfo: { name: 'x'.repeat(101) } }, /clientInfo\.name must be at most 100/],
+    [{ type: 'TIMER_CONTROL', action: 'EXPLODE' }, /action must be one of/],
+    [{ type: 'TIMER_CONTROL', action: 'SET', data: [] }, /data must be an object/],
+    [{ type: 'HELLO', protocolVersion: 1.5 }, /protocolVersion must be an integer/],
+    [{ type: 'MUTE_USER', userId: 'u1', duration: -1 }, /duration must be at least 0/],
+    [{ type: 'MUTE_USER', userId: 'u1', duration: Infinity }, /duration must be a number/],
+    [{ type: 'SCHEDULE_REORDER', order: ['a', 7] }, /order\[1\] must be a string/],
+    [{ type: 'CHAT_MESSAGE', message: null }, /message must not be null/],
+    [{ type: 'LEAVE_ROOM', roomCode: 'ABC123', correlationId: 'x'.repeat(129) }, /correlationId must be at most 128/]
+  ];
+
+  for (const [message, expected] of cases) {
+    const error = room.validateInbound(message);
+    assert.strictEqual(error?.code, 'VALIDATION_FAILED', JSON.stringify(message));
+    assert.match(error.message, expected);
+  }
+});
+
+test('outbound messages are checked against their declared schema', () => {
+  assert.strictEqual(room.validateOutbound({ type: 'ROOM_CLIENT_LEFT', clientId: 'u1' }), null);
+  assert.strictEqual(room.validateOutbound({ type: 'USER_MUTED', userId: 'u1', until: null }), null);
+  assert.match(room.validateOutbound({ type: 'ROOM_CLIENT_LEFT' }), /clientId is required/);
+  assert.match(room.validateOutbound({ type: 'BOGUS' }), /Undeclared outbound message type: BOGUS/);
+  assert.match(room.validateOutbound({
+    type: 'ERROR', code: 'SOMETHING_NEW', message: 'Oops', messageType: null, correlationId: 'c1'
+  }), /code must be one of/);
+  assert.strictEqual(remote.validateOutbound({ type: 'REMOTE_COUNT', count: 2 }), null);
+  assert.match(remote.validateOutbound({ type: 'REMOTE_COUNT', count: -1 }), /count must be at least 0/);
+});
+
+test('field spec helpers combine', () => {
+  const spec = object({ name: string({ maxLength: 3 }), tags: optional(array(integer({ max: 9 }), { maxItems: 2 })), note: nullable(string()) });
+
+  assert.strictEqual(validateValue(spec, { name: 'Ann', note: null }, 'v'), null);
+  assert.match(validateValue(spec, { name: 'Anna', note: null }, 'v'), /v\.name must be at most 3/);
+  assert.match(validateValue(spec, { name: 'Ann', note: 'x', tags: [1, 2, 3] }, 'v'), /v\.tags must have at most 2 items/);
+  assert.match(validateValue(spec, { name: 'Ann', note: 'x', tags: [10] }, 'v'), /v\.tags\[0\] must be at most 9/);
+  assert.match(validateValue(spec, { name: 'Ann' }, 'v'), /v\.note is required/);
+});
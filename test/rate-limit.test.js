@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, createMessageRateLimiter, rateLimitMiddleware } = require('../server/rate-limit');
+
+test('a bucket allows its capacity, then refuses until it refills', () => {
+  const limiter = createRateLimiter({ capacity: 2, perMinute: 60 });
+
+  assert.strictEqual(limiter.take('a', 1, 0).allowed, true);
+  assert.strictEqual(limiter.take('a', 1, 0).allowed, true);
+  const refused = limiter.take('a', 1, 0);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.retryAfter, 1000);
+
+  assert.strictEqual(limiter.take('a', 1, 1000).allowed, true);
+  assert.strictEqual(limiter.take('b', 1, 0).allowed, true);
+});
+
+test('prune forgets buckets that are full again', () => {
+  const limiter = createRateLimiter({ capacity: 2, perMinute: 60 });
+  limiter.take('a', 1, 0);
+  limiter.take('b', 2, 0);
+
+  limiter.prune(1000);
+  assert.strictEqual(limiter.size, 1);
+  limiter.prune(2000);
+  assert.strictEqual(limiter.size, 0);
+});
+
+test('message limiter checks the per-type bucket before the overall one', () => {
+  const limiter = createMessageRateLimiter({ capacity: 3, perMinute: 1 }, { CHAT_MESSAGE: { capacity: 1, perMinute: 1 } });
+
+  assert.strictEqual(limiter.take('CHAT_MESSAGE').allowed, true);
+  assert.strictEqual(limiter.take('CHAT_MESSAGE').allowed, false);
+  assert.strictEqual(limiter.take('PING').allowed, true);
+  assert.strictEqual(limiter.take('PING').allowed, true);
+  assert.strictEqual(limiter.take('PING').allowed, false);
+});
+
+test('middleware answers 429 with Retry-After in seconds', () => {
+  const middleware = rateLimitMiddleware(createRateLimiter({ capacity: 1, perMinute: 1 }));
+  const req = { ip: '203.0.113.7' };
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; }
+  };
+  let nextCalls = 0;
+
+  middleware(req, res, () => nextCalls++);
+  middleware(req, res, () => nextCalls++);
+  assert.strictEqual(nextCalls, 1);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers['Retry-After'], '60');
+  assert.strictEqual(res.body.success, false);
+});
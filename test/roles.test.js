@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const roles = require('../server/roles');
+
+test('room-server roles can advance the schedule and moderate chat', () => {
+  const { roomServerRoles } = roles;
+  assert.strictEqual(roomServerRoles.hasRolePermission('admin', 'CHAT_MODERATE'), true);
+  assert.strictEqual(roomServerRoles.hasRolePermission('admin', 'SCHEDULE_ADVANCE'), true);
+  assert.strictEqual(roomServerRoles.hasRolePermission('queue_manager', 'SCHEDULE_ADVANCE'), true);
+  assert.strictEqual(roomServerRoles.hasRolePermission('queue_manager', 'CHAT_MODERATE'), false);
+  assert.strictEqual(roomServerRoles.validateCustomRole('moderator', ['CHAT_MODERATE']), null);
+});
+
+test('the shared table used by websocket-server is unchanged', () => {
+  assert.strictEqual(roles.hasRolePermission('admin', 'CHAT_MODERATE'), false);
+  assert.strictEqual(roles.hasRolePermission('queue_manager', 'SCHEDULE_ADVANCE'), false);
+  assert.strictEqual(roles.hasRolePermission('admin', 'SCHEDULE_EDIT'), true);
+  assert.match(roles.validateCustomRole('moderator', ['CHAT_MODERATE']), /Unknown permissions/);
+});
+
+test('custom roles resolve per room', () => {
+  const { roomServerRoles } = roles;
+  const customRoles = { stage_manager: ['START_RESUME', 'PAUSE'] };
+  assert.strictEqual(roomServerRoles.hasRolePermission('stage_manager', 'PAUSE', customRoles), true);
+  assert.strictEqual(roomServerRoles.isKnownRole('stage_manager'), false);
+  assert.match(roomServerRoles.validateCustomRole('admin', []), /Built-in role/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+let server;
+test.before(async () => {
+  server = await startRoomServer();
+});
+test.after(() => server.stop());
+
+function say(client, message) {
+  return client.request({ type: 'CHAT_MESSAGE', message }, 'CHAT_MESSAGE');
+}
+
+test('late joiners get the chat history, and REST pages through it', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client: ann } = await joinRoom(server, roomCode, { name: 'Ann' });
+  t.after(() => Promise.all([ann.close(), host.close()]));
+
+  for (const text of ['one', 'two', 'three']) {
+    await say(ann, text);
+  }
+  const sanitized = await say(ann, '<script>x</script>four');
+  assert.strictEqual(sanitized.message.message, 'xfour');
+
+  const { client: bob, reply } = await joinRoom(server, roomCode, { name: 'Bob' });
+  t.after(() => bob.close());
+  assert.deepStrictEqual(reply.chatHistory.messages.map(message => message.message), ['one', 'two', 'three', 'xfour']);
+
+  const first = await server.request('GET', `/api/rooms/${roomCode}/messages?limit=3`);
+  assert.deepStrictEqual(first.body.messages.map(message => message.message), ['two', 'three', 'xfour']);
+  const second = await server.request('GET', `/api/rooms/${roomCode}/messages?limit=3&before=${first.body.nextCursor}`);
+  assert.deepStrictEqual(second.body.messages.map(message => message.message), ['one']);
+  assert.strictEqual(second.body.nextCursor, null);
+});
+
+test('the host deletes messages and mutes users', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client: ann, reply: joined } = await joinRoom(server, roomCode, { name: 'Ann' });
+  t.after(() => Promise.all([ann.close(), host.close()]));
+
+  const { message } = await say(ann, 'something rude');
+  host.send({ type: 'DELETE_CHAT_MESSAGE', messageId: message.id });
+  assert.strictEqual((await ann.next('CHAT_MESSAGE_DELETED')).messageId, message.id);
+  const page = await server.request('GET', `/api/rooms/${roomCode}/messages`);
+  assert.strictEqual(page.body.messages.length, 0);
+
+  host.send({ type: 'MUTE_USER', userId: joined.userId });
+  assert.strictEqual((await ann.next('USER_MUTED')).until, null);
+  const muted = await ann.request({ type: 'CHAT_MESSAGE', message: 'hello?' }, 'ERROR');
+  assert.strictEqual(muted.code, 'MUTED');
+
+  host.send({ type: 'UNMUTE_USER', userId: joined.userId });
+  await ann.next('USER_UNMUTED');
+  await say(ann, 'sorry');
+});
+
+test('viewers cannot moderate and empty messages are refused', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client: ann } = await joinRoom(server, roomCode, { name: 'Ann' });
+  t.after(() => Promise.all([ann.close(), host.close()]));
+
+  const hostMessage = await say(host, 'welcome');
+  const denied = await ann.request({ type: 'DELETE_CHAT_MESSAGE', messageId: hostMessage.message.id }, 'PERMISSION_DENIED');
+  assert.strictEqual(denied.action, 'DELETE_CHAT_MESSAGE');
+
+  const empty = await ann.request({ type: 'CHAT_MESSAGE', message: '   ' }, 'ERROR');
+  assert.strictEqual(empty.code, 'INVALID_CHAT_MESSAGE');
+});
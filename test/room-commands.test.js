@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startRoomServer } = require('./helpers/room-server');
+
+const ACK_TIMEOUT_MS = 300;
+
+let server;
+test.before(async () => {
+  server = await startRoomServer({ COMMAND_ACK_TIMEOUT_MS: String(ACK_TIMEOUT_MS) });
+});
+test.after(() => server.stop());
+
+const ownerToken = jwt.sign({ userId: 'owner_1', name: 'Owner' }, 'test-secret', { expiresIn: '5m' });
+const owner = { Authorization: `Bearer ${ownerToken}` };
+
+// Create a room owned by the token holder, optionally with its host connected
+async function ownedRoom({ connectHost = true } = {}) {
+  const { body } = await server.request('POST', '/api/rooms', { hostName: 'Host' }, owner);
+  const roomCode = body.room.code;
+  if (!connectHost) return { roomCode };
+
+  const host = server.connect();
+  await host.opened;
+  await host.request({ type: 'JOIN_ROOM', roomCode, clientType: 'host', token: ownerToken }, 'ROOM_JOINED');
+  return { roomCode, host };
+}
+
+function sendCommand(roomCode, body, headers = owner) {
+  return server.request('POST', `/api/rooms/${roomCode}/commands`, body, headers);
+}
+
+test('commands reach the host and return its acknowledgement', async (t) => {
+  const { roomCode, host } = await ownedRoom();
+  t.after(() => host.close());
+
+  const response = sendCommand(roomCode, { command: 'START_RESUME', data: { cue: 3 } });
+  const forwarded = await host.next('USER_COMMAND');
+  assert.strictEqual(forwarded.command, 'START_RESUME');
+  assert.deepStrictEqual(forwarded.data, { cue: 3 });
+  assert.strictEqual(forwarded.user.id, 'owner_1');
+
+  host.send({ type: 'COMMAND_ACK', commandId: forwarded.commandId, success: true, result: { started: true } });
+  const { status, body } = await response;
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.commandId, forwarded.commandId);
+  assert.strictEqual(body.acknowledged, true);
+  assert.deepStrictEqual(body.response, { success: true, result: { started: true }, error: null });
+});
+
+test('commands the host does not acknowledge time out', async (t) => {
+  const { roomCode, host } = await ownedRoom();
+  t.after(() => host.close());
+
+  const started = Date.now();
+  const { status, body } = await sendCommand(roomCode, { command: 'PAUSE' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.acknowledged, false);
+  assert.strictEqual(body.response, null);
+  assert.ok(Date.now() - started >= ACK_TIMEOUT_MS);
+
+  // A late acknowledgement is ignored
+  const forwarded = await host.next('USER_COMMAND');
+  host.send({ type: 'COMMAND_ACK', commandId: forwarded.commandId, success: true });
+
+  const quick = await sendCommand(roomCode, { command: 'PAUSE', timeout: 0 });
+  assert.strictEqual(quick.body.acknowledged, false);
+});
+
+test('commands are refused without owner rights, a host or valid fields', async (t) => {
+  const { roomCode, host } = await ownedRoom();
+  t.after(() => host.close());
+
+  assert.strictEqual((await sendCommand(roomCode, { command: 'PAUSE' }, {})).status, 401);
+  assert.strictEqual((await sendCommand(roomCode, { command: '' })).status, 400);
+  assert.strictEqual((await sendCommand(roomCode, { command: 'PAUSE', timeout: 60 * 1000 })).status, 400);
+  assert.strictEqual((await sendCommand('NOROOM', { command: 'PAUSE' })).status, 404);
+
+  const { roomCode: hostless } = await ownedRoom({ connectHost: false });
+  const { status, body } = await sendCommand(hostless, { command: 'PAUSE' });
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.error, 'Host not connected');
+});
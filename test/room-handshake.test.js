@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom } = require('./helpers/room-server');
+
+async function hello(server, message) {
+  const client = server.connect();
+  await client.opened;
+  client.send({ type: 'HELLO', ...message });
+  return client;
+}
+
+test('HELLO is answered with versions, features and agreed capabilities', async (t) => {
+  const server = await startRoomServer();
+  t.after(() => server.stop());
+
+  const client = await hello(server, { protocolVersion: 2, client: { name: 'Dytor Web', version: '1.0.0' }, capabilities: ['waiting-room', 'x-ray'] });
+  t.after(() => client.close());
+  const ack = await client.next('HELLO_ACK');
+  assert.strictEqual(ack.protocolVersion, 2);
+  assert.strictEqual(ack.minProtocolVersion, 1);
+  assert.strictEqual(ack.server.name, 'dytor-room-server');
+  assert.ok(ack.features.includes('session-resume'));
+  assert.deepStrictEqual(ack.capabilities, ['waiting-room']);
+
+  // The host sees which client joined
+  const { roomCode, host } = await openRoom(server);
+  t.after(() => host.close());
+  client.send({ type: 'JOIN_ROOM', roomCode, clientInfo: { name: 'Ann' } });
+  const joined = await host.next('ROOM_CLIENT_JOINED');
+  assert.strictEqual(joined.client.client.name, 'Dytor Web');
+  assert.strictEqual(joined.client.client.protocolVersion, 2);
+
+  const again = await client.request({ type: 'HELLO', protocolVersion: 2 }, 'ERROR');
+  assert.strictEqual(again.code, 'HANDSHAKE_ALREADY_COMPLETED');
+});
+
+test('with MIN_PROTOCOL_VERSION=2 legacy and outdated clients are turned away', async (t) => {
+  const server = await startRoomServer({ MIN_PROTOCOL_VERSION: '2' });
+  t.after(() => server.stop());
+
+  const legacy = server.connect();
+  await legacy.opened;
+  t.after(() => legacy.close());
+  const required = await legacy.request({ type: 'JOIN_ROOM', roomCode: 'ABC123' }, 'ERROR');
+  assert.strictEqual(required.code, 'HANDSHAKE_REQUIRED');
+
+  const outdated = await hello(server, { protocolVersion: 1 });
+  const error = await outdated.next('ERROR');
+  assert.strictEqual(error.code, 'UNSUPPORTED_PROTOCOL_VERSION');
+  assert.match(error.message, /upgrade/);
+  assert.strictEqual((await outdated.closed).code, 4426);
+
+  const current = await hello(server, { protocolVersion: 2 });
+  t.after(() => current.close());
+  assert.strictEqual((await current.next('HELLO_ACK')).minProtocolVersion, 2);
+});
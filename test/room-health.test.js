@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+let server;
+test.before(async () => {
+  server = await startRoomServer();
+});
+test.after(() => server.stop());
+
+test('liveness answers on /health and the path railway.json checks', async () => {
+  for (const route of ['/health', '/api/rooms/health']) {
+    const { status, body } = await server.request('GET', route);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ok');
+  }
+});
+
+test('readiness reports its checks', async () => {
+  const { status, body } = await server.request('GET', '/ready');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status, 'ready');
+  assert.deepStrictEqual(body.checks, { store: 'ok', adapter: 'ok', server: 'ok' });
+});
+
+test('metrics count rooms, connections and messages', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client } = await joinRoom(server, roomCode, { name: 'Ann' });
+  t.after(() => Promise.all([client.close(), host.close()]));
+  await client.request({ type: 'NOPE' }, 'ERROR');
+
+  const response = await fetch(`${server.baseUrl}/metrics`);
+  const metrics = await response.text();
+  assert.strictEqual(response.status, 200);
+  assert.match(metrics, /^dytor_room_rooms_active 1$/m);
+  assert.match(metrics, /^dytor_room_hosts_connected 1$/m);
+  assert.match(metrics, /^dytor_room_users_connected 1$/m);
+  assert.match(metrics, /^dytor_room_ws_messages_received_total\{type="JOIN_ROOM"\} 2$/m);
+  assert.match(metrics, /^dytor_room_errors_total\{code="UNKNOWN_MESSAGE_TYPE"\} 1$/m);
+  assert.match(metrics, /^dytor_room_http_requests_total\{method="POST",route="\/api\/rooms",status="200"\} 1$/m);
+  assert.match(metrics, /^dytor_room_broadcast_duration_seconds_count\{type="HOST_CONNECTED"\} 1$/m);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+let server;
+test.before(async () => {
+  server = await startRoomServer({ HEARTBEAT_INTERVAL_MS: '100', USER_TIMEOUT_MS: '300' });
+});
+test.after(() => server.stop());
+
+test('a socket that stops answering pings is dropped and its user held for reconnection', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  t.after(() => host.close());
+
+  // A half-open phone connection: it never answers pings
+  const ws = new WebSocket(`ws://127.0.0.1:${server.port}/ws`, { autoPong: false });
+  await new Promise(resolve => ws.once('open', resolve));
+  const closed = new Promise(resolve => ws.once('close', resolve));
+  ws.send(JSON.stringify({ type: 'JOIN_ROOM', roomCode, clientInfo: { name: 'Ann' } }));
+  const joined = await host.next('ROOM_CLIENT_JOINED');
+
+  const reconnecting = await host.next('ROOM_CLIENT_RECONNECTING', () => true, 2000);
+  assert.strictEqual(reconnecting.clientId, joined.client.id);
+  assert.strictEqual(await closed, 1006);
+
+  // The host answers pings and stays connected
+  assert.strictEqual(host.ws.readyState, WebSocket.OPEN);
+});
+
+test('users who joined over REST but never connected are reaped', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client: ann, reply: joined } = await joinRoom(server, roomCode, { name: 'Ann' });
+  t.after(() => Promise.all([ann.close(), host.close()]));
+
+  const { body } = await server.request('POST', `/api/rooms/${roomCode}/join`, { userName: 'Sam' });
+  const left = await host.next('ROOM_CLIENT_LEFT', () => true, 2000);
+  assert.strictEqual(left.clientId, body.user.id);
+
+  // Connected users are left alone
+  const users = await server.request('GET', `/api/rooms/${roomCode}/users`);
+  assert.deepStrictEqual(users.body.users.map(user => user.id), [joined.userId]);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const chat = require('../server/chat');
+const audit = require('../server/audit-log');
+const timeline = require('../server/timeline');
+
+const ann = { id: 'u1', name: 'Ann', role: 'viewer' };
+const bob = { id: 'u2', name: 'Bob', role: 'viewer' };
+
+test('chat messages appended on two instances merge on both', () => {
+  const a = chat.createChatHistory();
+  const b = chat.createChatHistory();
+  const fromA = chat.addChatMessage(a, ann, 'hello');
+  const fromB = chat.addChatMessage(b, bob, 'hi');
+
+  assert.strictEqual(chat.mergeChatMessage(a, fromB), true);
+  assert.strictEqual(chat.mergeChatMessage(b, fromA), true);
+  assert.strictEqual(chat.mergeChatMessage(b, fromA), false);
+
+  assert.deepStrictEqual(a.messages.map(m => m.id), b.messages.map(m => m.id));
+  assert.strictEqual(a.nextSeq, 2);
+});
+
+test('chat pages keep messages sharing a seq together', () => {
+  const a = chat.createChatHistory();
+  const b = chat.createChatHistory();
+  chat.addChatMessage(a, ann, 'one');
+  chat.addChatMessage(a, ann, 'two');
+  chat.mergeChatMessage(a, chat.addChatMessage(b, bob, 'one from b'));
+  chat.mergeChatMessage(a, chat.addChatMessage(b, bob, 'two from b'));
+
+  const first = chat.getChatPage(a, { limit: 1 });
+  assert.strictEqual(first.messages.length, 2);
+  const second = chat.getChatPage(a, { before: first.nextCursor, limit: 1 });
+  assert.strictEqual(second.messages.length, 2);
+  assert.strictEqual(second.nextCursor, null);
+});
+
+test('audit entries merge by id and stay bounded', () => {
+  const log = audit.createAuditLog();
+  const other = audit.createAuditLog();
+  for (let i = 0; i < audit.AUDIT_LIMITS.HISTORY_SIZE; i++) {
+    audit.appendAuditEntry(log, { actor: ann, action: 'TIMER_CONTROL' });
+  }
+  const entry = audit.appendAuditEntry(other, { actor: bob, action: 'SET_ROLE' });
+  entry.seq = log.nextSeq;
+
+  assert.strictEqual(audit.mergeAuditEntry(log, entry), true);
+  assert.strictEqual(audit.mergeAuditEntry(log, entry), false);
+  assert.strictEqual(log.entries.length, audit.AUDIT_LIMITS.HISTORY_SIZE);
+  assert.strictEqual(log.entries.at(-1).id, entry.id);
+  assert.strictEqual(log.nextSeq, entry.seq + 1);
+});
+
+test('denied attempts cannot push real changes out of the audit log', () => {
+  const log = audit.createAuditLog();
+  const changes = [];
+  for (let i = 0; i < 10; i++) {
+    changes.push(audit.appendAuditEntry(log, { actor: ann, action: 'TIMER_CONTROL' }));
+  }
+  for (let i = 0; i < audit.AUDIT_LIMITS.HISTORY_SIZE * 2; i++) {
+    audit.appendAuditEntry(log, { actor: bob, action: 'USER_COMMAND', outcome: 'denied' });
+  }
+
+  const denied = log.entries.filter(entry => entry.outcome === 'denied');
+  assert.strictEqual(denied.length, audit.AUDIT_LIMITS.DENIED_HISTORY_SIZE);
+  assert.strictEqual(denied.at(-1).seq, log.nextSeq - 1);
+  assert.deepStrictEqual(log.entries.slice(0, 10).map(entry => entry.id), changes.map(entry => entry.id));
+});
+
+test('timeline events merge in offset order', () => {
+  const recording = timeline.createTimeline(1000);
+  const late = timeline.appendTimelineEvent(recording, { type: 'TIMER_UPDATE' }, 3000);
+  const early = { ...late, id: 'remote', offset: 1000, timestamp: 2000 };
+
+  assert.strictEqual(timeline.mergeTimelineEvent(recording, early), true);
+  assert.strictEqual(timeline.mergeTimelineEvent(recording, early), false);
+  assert.deepStrictEqual(recording.events.map(event => event.offset), [1000, 2000]);
+});
+
+test('uploaded recordings are limited to 24 hours', () => {
+  const event = offset => ({ offset, message: { type: 'TIMER_UPDATE' } });
+
+  assert.strictEqual(timeline.validateRecording({ events: [event(0), event(timeline.TIMELINE_LIMITS.MAX_OFFSET)] }), null);
+  assert.match(timeline.validateRecording({ events: [event(0), event(2 ** 31)] }), /events\[1\].*offset/);
+  assert.match(timeline.validateRecording({ events: [event(-1)] }), /events\[0\]/);
+});
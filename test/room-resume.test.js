@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+const GRACE_MS = 1000;
+
+let server;
+test.before(async () => {
+  server = await startRoomServer({ RECONNECT_GRACE_MS: String(GRACE_MS) });
+});
+test.after(() => server.stop());
+
+async function resume(resumeToken, replyType = 'SESSION_RESUMED') {
+  const client = server.connect();
+  await client.opened;
+  const reply = await client.request({ type: 'RESUME_SESSION', resumeToken }, replyType);
+  return { client, reply };
+}
+
+test('a user resuming within the grace period gets the messages they missed', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  t.after(() => host.close());
+  const { client: user, reply: joined } = await joinRoom(server, roomCode, { name: 'Ann' });
+
+  await user.close();
+  await host.next('ROOM_CLIENT_RECONNECTING', message => message.clientId === joined.userId);
+  host.send({ type: 'ROOM_STATE_UPDATE', state: { message: 'While you were away' } });
+  host.send({ type: 'ROOM_STATE_UPDATE', state: { message: 'Still away' } });
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const { client: resumed, reply } = await resume(joined.resumeToken);
+  t.after(() => resumed.close());
+  assert.strictEqual(reply.userId, joined.userId);
+  assert.strictEqual(reply.missedCount, 2);
+  assert.notStrictEqual(reply.resumeToken, joined.resumeToken);
+  assert.strictEqual((await resumed.next('ROOM_STATE_UPDATE')).state.message, 'While you were away');
+  assert.strictEqual((await resumed.next('ROOM_STATE_UPDATE')).state.message, 'Still away');
+  await host.next('ROOM_CLIENT_RECONNECTED', message => message.clientId === joined.userId);
+
+  // The token is rotated on every resume
+  const { client: stale, reply: error } = await resume(joined.resumeToken, 'ERROR');
+  t.after(() => stale.close());
+  assert.strictEqual(error.code, 'SESSION_EXPIRED');
+});
+
+test('forged resume tokens are refused', async (t) => {
+  const { client, reply } = await resume('0'.repeat(48), 'ERROR');
+  t.after(() => client.close());
+  assert.strictEqual(reply.code, 'SESSION_EXPIRED');
+});
+
+test('a user who stays away past the grace period leaves and cannot resume', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  t.after(() => host.close());
+  const { client: user, reply: joined } = await joinRoom(server, roomCode, { name: 'Ann' });
+
+  await user.close();
+  await host.next('ROOM_CLIENT_LEFT', message => message.clientId === joined.userId, GRACE_MS * 3);
+
+  const { client, reply } = await resume(joined.resumeToken, 'ERROR');
+  t.after(() => client.close());
+  assert.strictEqual(reply.code, 'SESSION_EXPIRED');
+});
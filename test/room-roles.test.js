@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+let server;
+test.before(async () => {
+  server = await startRoomServer();
+});
+test.after(() => server.stop());
+
+test('a joiner asking for admin is downgraded to viewer', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client, reply } = await joinRoom(server, roomCode, { name: 'Mallory', role: 'admin' });
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  assert.deepStrictEqual(reply.permissions, []);
+  const joined = await host.next('ROOM_CLIENT_JOINED');
+  assert.strictEqual(joined.client.role, 'viewer');
+
+  const denied = await client.request({ type: 'USER_COMMAND', command: 'ADD_TIME', data: { seconds: 60 } }, 'PERMISSION_DENIED');
+  assert.strictEqual(denied.action, 'ADD_TIME');
+
+  const timer = await client.request({ type: 'TIMER_CONTROL', action: 'SET', data: { duration: 1 } }, 'PERMISSION_DENIED');
+  assert.strictEqual(timer.action, 'SET');
+});
+
+test('joiners cannot pick custom roles', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  await host.request({ type: 'DEFINE_ROLE', role: 'stage_manager', permissions: ['START_RESUME'] }, 'ROLES_UPDATED');
+  const { client, reply } = await joinRoom(server, roomCode, { role: 'stage_manager' });
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  assert.deepStrictEqual(reply.permissions, []);
+});
+
+test('joiners may ask to be a speaker', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client, reply } = await joinRoom(server, roomCode, { role: 'speaker' });
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  assert.ok(reply.permissions.includes('PERSONAL_TIMER'));
+});
+
+test('REST joins are downgraded the same way', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  t.after(() => host.close());
+
+  const admin = await server.request('POST', `/api/rooms/${roomCode}/join`, { userName: 'Mallory', userRole: 'admin' });
+  assert.strictEqual(admin.body.user.role, 'viewer');
+
+  const speaker = await server.request('POST', `/api/rooms/${roomCode}/join`, { userName: 'Sam', userRole: 'speaker' });
+  assert.strictEqual(speaker.body.user.role, 'speaker');
+});
+
+test('the host grants elevated roles', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client, reply } = await joinRoom(server, roomCode, { role: 'admin' });
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  host.send({ type: 'SET_USER_ROLE', userId: reply.userId, role: 'admin' });
+  const assigned = await client.next('ROLE_ASSIGNED');
+  assert.strictEqual(assigned.role, 'admin');
+
+  client.send({ type: 'USER_COMMAND', command: 'ADD_TIME', data: { seconds: 60 } });
+  const forwarded = await host.next('USER_COMMAND');
+  assert.strictEqual(forwarded.command, 'ADD_TIME');
+  assert.strictEqual(forwarded.user.role, 'admin');
+});
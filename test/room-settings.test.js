@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+let server;
+test.before(async () => {
+  server = await startRoomServer();
+});
+test.after(() => server.stop());
+
+const owner = { Authorization: `Bearer ${jwt.sign({ userId: 'owner_1', name: 'Owner' }, 'test-secret', { expiresIn: '5m' })}` };
+
+test('the host updates settings and everyone hears about it', async (t) => {
+  const { roomCode, host } = await openRoom(server);
+  const { client } = await joinRoom(server, roomCode, { name: 'Ann' });
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  host.send({ type: 'UPDATE_SETTINGS', settings: { allowSpeakers: false, maxUsers: 10 } });
+  const update = await client.next('ROOM_SETTINGS_UPDATED');
+  assert.strictEqual(update.settings.allowSpeakers, false);
+  assert.strictEqual(update.settings.maxUsers, 10);
+  assert.strictEqual(update.settings.allowViewers, true);
+  await host.next('ROOM_SETTINGS_UPDATED');
+
+  const denied = await client.request({ type: 'UPDATE_SETTINGS', settings: { allowViewers: false } }, 'ERROR');
+  assert.strictEqual(denied.code, 'HOST_ONLY');
+});
+
+test('invalid settings are refused', async (t) => {
+  const { host } = await openRoom(server);
+  t.after(() => host.close());
+
+  const invalid = [
+    [{ allowViewers: 'no' }, /allowViewers must be a boolean/],
+    [{ maxUsers: 0 }, /maxUsers must be an integer/],
+    [{ maxUsers: 1.5 }, /maxUsers must be an integer/],
+    [{ maxUsers: 10000 }, /maxUsers must be an integer/],
+    [{ theme: 'dark' }, /Unknown setting: theme/]
+  ];
+  for (const [settings, expected] of invalid) {
+    const error = await host.request({ type: 'UPDATE_SETTINGS', settings }, 'ERROR');
+    assert.strictEqual(error.code, 'INVALID_SETTINGS');
+    assert.match(error.message, expected);
+  }
+  assert.strictEqual(host.has('ROOM_SETTINGS_UPDATED'), false);
+});
+
+test('joins are checked against allowViewers, allowSpeakers and maxUsers', async (t) => {
+  const { roomCode, host } = await openRoom(server, { allowViewers: false, maxUsers: 1 });
+  const { client: speaker } = await joinRoom(server, roomCode, { role: 'speaker' });
+  t.after(() => Promise.all([speaker.close(), host.close()]));
+
+  // The room is full before any role check
+  const { client: full, reply } = await joinRoom(server, roomCode, { role: 'speaker' }, 'ERROR');
+  t.after(() => full.close());
+  assert.strictEqual(reply.code, 'ROOM_FULL');
+
+  await host.request({ type: 'UPDATE_SETTINGS', settings: { maxUsers: 5, allowSpeakers: false } }, 'ROOM_SETTINGS_UPDATED');
+  const { client: viewer, reply: noViewers } = await joinRoom(server, roomCode, { role: 'viewer' }, 'ERROR');
+  t.after(() => viewer.close());
+  assert.strictEqual(noViewers.code, 'VIEWERS_NOT_ALLOWED');
+  const { client: another, reply: noSpeakers } = await joinRoom(server, roomCode, { role: 'speaker' }, 'ERROR');
+  t.after(() => another.close());
+  assert.strictEqual(noSpeakers.code, 'SPEAKERS_NOT_ALLOWED');
+
+  const rest = await server.request('POST', `/api/rooms/${roomCode}/join`, { userName: 'Sam', userRole: 'viewer' });
+  assert.strictEqual(rest.status, 400);
+  assert.match(rest.body.error, /not accepting viewers/);
+});
+
+test('owners change settings over REST', async () => {
+  const { body } = await server.request('POST', '/api/rooms', { hostName: 'Host' }, owner);
+  const route = `/api/rooms/${body.room.code}/settings`;
+
+  assert.strictEqual((await server.request('PATCH', route, { maxUsers: 3 })).status, 401);
+  const invalid = await server.request('PATCH', route, { maxUsers: 'many' }, owner);
+  assert.strictEqual(invalid.status, 400);
+
+  const updated = await server.request('PATCH', route, { maxUsers: 3, requireApproval: true }, owner);
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.settings.maxUsers, 3);
+  assert.strictEqual(updated.body.settings.requireApproval, true);
+});
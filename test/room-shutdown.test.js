@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+test('SIGTERM warns open clients, closes them with 1012 and exits cleanly', async () => {
+  const server = await startRoomServer({ SHUTDOWN_RECONNECT_DELAY_MS: '1500' });
+  const { roomCode, host } = await openRoom(server);
+  const { client: user } = await joinRoom(server, roomCode, { name: 'Ann' });
+
+  // A client that is hanging up as the server stops must not break the shutdown
+  const { client: leaving } = await joinRoom(server, roomCode, { name: 'Bob' });
+  leaving.ws.close();
+
+  const restarting = user.next('SERVER_RESTARTING');
+  const exited = server.stop('SIGTERM');
+
+  const notice = await restarting;
+  assert.strictEqual(notice.reconnectDelay, 1500);
+  assert.strictEqual((await user.closed).code, 1012);
+  assert.strictEqual((await host.closed).code, 1012);
+  assert.strictEqual(await exited, 0);
+});
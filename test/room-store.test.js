@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createRoomStore, fromRecord, toRecord, LOG_RETENTION } = require('../server/room-store');
+const chat = require('../server/chat');
+const audit = require('../server/audit-log');
+const timeline = require('../server/timeline');
+
+function tempDbPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dytor-rooms-'));
+  return path.join(dir, 'rooms.db');
+}
+
+function createRoom(code) {
+  return fromRecord({
+    code,
+    host: { id: 'host', name: 'Host' },
+    createdAt: 1000,
+    lastActivity: 1000,
+    settings: { recordTimeline: true },
+    state: {},
+    timeline: timeline.createTimeline(1000)
+  });
+}
+
+test('room records leave out log entries', () => {
+  const room = createRoom('ABC123');
+  chat.addChatMessage(room.chat, { id: 'u1', name: 'Ann' }, 'hello');
+
+  const record = toRecord(room);
+  assert.strictEqual(record.chat.messages, undefined);
+  assert.strictEqual(record.chat.nextSeq, 2);
+  assert.strictEqual(record.timeline.events, undefined);
+});
+
+test('sqlite store keeps log entries in their own rows across restarts', () => {
+  const dbPath = tempDbPath();
+  const store = createRoomStore({ type: 'sqlite', path: dbPath });
+  const room = createRoom('ABC123');
+  store.save(room);
+
+  const removed = chat.addChatMessage(room.chat, { id: 'u1', name: 'Ann' }, 'oops');
+  store.appendLogEntry(room, 'chat', removed);
+  const kept = chat.addChatMessage(room.chat, { id: 'u1', name: 'Ann' }, 'hello');
+  store.appendLogEntry(room, 'chat', kept);
+  chat.deleteChatMessage(room.chat, removed.id);
+  store.removeLogEntry(room, 'chat', removed.id);
+  store.appendLogEntry(room, 'audit', audit.appendAuditEntry(room.audit, { actor: { id: 'u1' }, action: 'CHAT_MESSAGE' }));
+  store.appendLogEntry(room, 'timeline', timeline.appendTimelineEvent(room.timeline, { type: 'TIMER_UPDATE' }, 2000));
+  room.lastActivity = 5000;
+  store.touch(room);
+  store.close();
+
+  const restored = createRoomStore({ type: 'sqlite', path: dbPath }).get('ABC123');
+  assert.deepStrictEqual(restored.chat.messages.map(message => message.id), [kept.id]);
+  assert.strictEqual(restored.chat.nextSeq, 3);
+  assert.strictEqual(restored.audit.entries.length, 1);
+  assert.strictEqual(restored.timeline.events[0].offset, 1000);
+  assert.strictEqual(restored.lastActivity, 5000);
+});
+
+test('sqlite store trims rows the bounded log dropped', () => {
+  const dbPath = tempDbPath();
+  const store = createRoomStore({ type: 'sqlite', path: dbPath });
+  const room = createRoom('ABC123');
+  store.save(room);
+
+  for (let i = 0; i < chat.CHAT_LIMITS.HISTORY_SIZE + 5; i++) {
+    store.appendLogEntry(room, 'chat', chat.addChatMessage(room.chat, { id: 'u1', name: 'Ann' }, `message ${i}`));
+  }
+  store.close();
+
+  const db = new Database(dbPath);
+  const { count } = db.prepare("SELECT COUNT(*) AS count FROM room_log_entries WHERE log = 'chat'").get();
+  db.close();
+  assert.strictEqual(count, chat.CHAT_LIMITS.HISTORY_SIZE);
+});
+
+test('sqlite store keeps audit changes past the log in memory, but not denied attempts', () => {
+  const dbPath = tempDbPath();
+  const store = createRoomStore({ type: 'sqlite', path: dbPath });
+  const room = createRoom('ABC123');
+  store.save(room);
+
+  const record = (outcome, timestamp) => {
+    const entry = audit.appendAuditEntry(room.audit, { actor: { id: 'u1' }, action: 'TIMER_CONTROL', outcome });
+    entry.timestamp = timestamp;
+    store.appendLogEntry(room, 'audit', entry);
+    return entry;
+  };
+  const old = record('success', Date.now() - LOG_RETENTION - 1000);
+  for (let i = 0; i < audit.AUDIT_LIMITS.HISTORY_SIZE; i++) record('success', Date.now());
+  for (let i = 0; i < audit.AUDIT_LIMITS.DENIED_HISTORY_SIZE + 20; i++) record('denied', Date.now());
+
+  const persisted = store.readLogEntries(room, 'audit');
+  assert.strictEqual(persisted.length, audit.AUDIT_LIMITS.HISTORY_SIZE + 1 + audit.AUDIT_LIMITS.DENIED_HISTORY_SIZE);
+  assert.strictEqual(persisted[0].id, old.id);
+  assert.ok(room.audit.entries.length <= audit.AUDIT_LIMITS.HISTORY_SIZE);
+
+  assert.strictEqual(store.expireLogEntries(), 1);
+  assert.strictEqual(store.readLogEntries(room, 'audit')[0].outcome, 'success');
+  assert.notStrictEqual(store.readLogEntries(room, 'audit')[0].id, old.id);
+  store.close();
+
+  const restored = createRoomStore({ type: 'sqlite', path: dbPath }).get('ABC123');
+  assert.strictEqual(restored.audit.entries.length, audit.AUDIT_LIMITS.HISTORY_SIZE);
+  assert.strictEqual(restored.audit.nextSeq, room.audit.nextSeq);
+});
+
+test('sqlite store moves entries of older records into the log table once', () => {
+  const dbPath = tempDbPath();
+  createRoomStore({ type: 'sqlite', path: dbPath }).close();
+
+  const legacy = { ...toRecord(createRoom('OLD123')), chat: { messages: [{ id: 'm1', seq: 1, text: 'hi' }], nextSeq: 2 } };
+  const db = new Database(dbPath);
+  db.prepare('INSERT INTO rooms (code, data, last_activity) VALUES (?, ?, ?)').run('OLD123', JSON.stringify(legacy), 1000);
+  db.close();
+
+  createRoomStore({ type: 'sqlite', path: dbPath }).close();
+  const restored = createRoomStore({ type: 'sqlite', path: dbPath }).get('OLD123');
+  assert.deepStrictEqual(restored.chat.messages.map(message => message.id), ['m1']);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom } = require('./helpers/room-server');
+
+let server;
+test.before(async () => {
+  server = await startRoomServer();
+});
+test.after(() => server.stop());
+
+function timerControl(host, action, data) {
+  host.send({ type: 'TIMER_CONTROL', action, data });
+}
+
+test('the host sets and starts the server timer', async (t) => {
+  const { host } = await openRoom(server);
+  t.after(() => host.close());
+
+  timerControl(host, 'SET', { duration: 300, title: 'Keynote' });
+  let update = await host.next('ROOM_STATE_UPDATE');
+  assert.strictEqual(update.state.timer.currentTime, 300);
+  assert.strictEqual(update.state.timer.title, 'Keynote');
+
+  timerControl(host, 'START');
+  update = await host.next('ROOM_STATE_UPDATE');
+  assert.strictEqual(update.state.timer.isRunning, true);
+});
+
+test('invalid SET and RESET data is refused and leaves the timer alone', async (t) => {
+  const { host } = await openRoom(server);
+  t.after(() => host.close());
+
+  timerControl(host, 'SET', { duration: 60 });
+  await host.next('ROOM_STATE_UPDATE');
+
+  const invalid = [
+    ['SET', { duration: 'abc' }],
+    ['SET', { duration: 1e20 }],
+    ['SET', { title: 'x'.repeat(1000) }],
+    ['SET', { countUp: 'yes' }],
+    ['RESET', { duration: -5 }],
+    ['RESET', { timeUpMessage: 'x'.repeat(1000) }],
+    ['ADD_TIME', { seconds: 1e20 }]
+  ];
+  for (const [action, data] of invalid) {
+    const error = await host.request({ type: 'TIMER_CONTROL', action, data }, 'ERROR');
+    assert.strictEqual(error.code, 'INVALID_TIMER_ACTION', `${action} ${JSON.stringify(data)}`);
+  }
+  assert.strictEqual(host.has('ROOM_STATE_UPDATE'), false);
+
+  timerControl(host, 'ADD_TIME', { seconds: 30 });
+  const update = await host.next('ROOM_STATE_UPDATE');
+  assert.strictEqual(update.state.timer.currentTime, 90);
+  assert.strictEqual(update.state.timer.allowOvertime, true);
+});
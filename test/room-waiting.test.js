@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRoomServer, openRoom, joinRoom } = require('./helpers/room-server');
+
+const REQUEST_TIMEOUT_MS = 800;
+
+let server;
+test.before(async () => {
+  server = await startRoomServer({ JOIN_REQUEST_TIMEOUT_MS: String(REQUEST_TIMEOUT_MS) });
+});
+test.after(() => server.stop());
+
+// Open a room with the waiting room on and ask to join it
+async function waitToJoin(clientInfo = { name: 'Ann' }) {
+  const { roomCode, host } = await openRoom(server, { requireApproval: true });
+  const { client, reply: pending } = await joinRoom(server, roomCode, clientInfo, 'JOIN_PENDING');
+  const { request } = await host.next('JOIN_REQUEST');
+  return { roomCode, host, client, pending, request };
+}
+
+test('the host approves a join request with a role', async (t) => {
+  const { host, client, pending, request } = await waitToJoin({ name: 'Ann', role: 'admin' });
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  assert.strictEqual(request.id, pending.requestId);
+  assert.strictEqual(request.name, 'Ann');
+  assert.strictEqual(request.role, 'viewer');
+
+  const joined = client.next('ROOM_JOINED');
+  host.send({ type: 'APPROVE_JOIN', requestId: request.id, role: 'admin' });
+  assert.ok((await joined).permissions.length > 0);
+  assert.strictEqual((await host.next('ROOM_CLIENT_JOINED')).client.role, 'admin');
+});
+
+test('the host denies a join request', async (t) => {
+  const { host, client, request } = await waitToJoin();
+  t.after(() => host.close());
+
+  const denied = client.next('JOIN_DENIED');
+  host.send({ type: 'DENY_JOIN', requestId: request.id, reason: 'Private rehearsal' });
+  const reply = await denied;
+  assert.strictEqual(reply.code, 'JOIN_DENIED');
+  assert.strictEqual(reply.reason, 'Private rehearsal');
+  await client.close();
+
+  // Answered requests are gone
+  const error = await host.request({ type: 'APPROVE_JOIN', requestId: request.id }, 'ERROR');
+  assert.strictEqual(error.code, 'JOIN_REQUEST_NOT_FOUND');
+});
+
+test('a request is withdrawn when the joiner disconnects', async (t) => {
+  const { host, client, request } = await waitToJoin();
+  t.after(() => host.close());
+
+  await client.close();
+  const cancelled = await host.next('JOIN_REQUEST_CANCELLED');
+  assert.strictEqual(cancelled.requestId, request.id);
+
+  const error = await host.request({ type: 'APPROVE_JOIN', requestId: request.id }, 'ERROR');
+  assert.strictEqual(error.code, 'JOIN_REQUEST_NOT_FOUND');
+});
+
+test('unanswered requests expire', async (t) => {
+  const { host, client, request } = await waitToJoin();
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  const expired = await host.next('JOIN_REQUEST_EXPIRED', () => true, REQUEST_TIMEOUT_MS * 3);
+  assert.strictEqual(expired.requestId, request.id);
+  assert.strictEqual((await client.next('JOIN_DENIED')).code, 'JOIN_EXPIRED');
+});
+
+test('turning approval off lets waiting joiners in', async (t) => {
+  const { host, client } = await waitToJoin();
+  t.after(() => Promise.all([client.close(), host.close()]));
+
+  const joined = client.next('ROOM_JOINED');
+  host.send({ type: 'UPDATE_SETTINGS', settings: { requireApproval: false } });
+  assert.ok((await joined).userId);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, SESSION_LIMITS } = require('../server/sessions');
+const { createMemoryUserRepository, createSqliteUserRepository } = require('../server/user-repository');
+
+test('refresh tokens rotate and each works once', () => {
+  const sessions = createSessionStore(createMemoryUserRepository());
+  const { session, refreshToken } = sessions.create('u1', { userAgent: 'test' }, 1000);
+
+  const rotated = sessions.rotate(refreshToken, 2000);
+  assert.strictEqual(rotated.session.id, session.id);
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+  assert.strictEqual(sessions.isActive('u1', session.id, 2000), true);
+
+  assert.strictEqual(sessions.rotate('bogus.token', 2000), null);
+  assert.strictEqual(sessions.rotate(`${session.id}.wrong`, 2000), null);
+  assert.strictEqual(sessions.isActive('u1', session.id, 2000), true);
+});
+
+test('reusing a rotated-out refresh token revokes the session', () => {
+  const sessions = createSessionStore(createMemoryUserRepository());
+  const { session, refreshToken } = sessions.create('u1');
+  const rotated = sessions.rotate(refreshToken);
+
+  assert.strictEqual(sessions.rotate(refreshToken), null);
+  assert.strictEqual(sessions.isActive('u1', session.id), false);
+  assert.strictEqual(sessions.rotate(rotated.refreshToken), null);
+});
+
+test('sessions expire and belong to their user only', () => {
+  const sessions = createSessionStore(createMemoryUserRepository());
+  const { session, refreshToken } = sessions.create('u1', {}, 0);
+
+  assert.strictEqual(sessions.isActive('u2', session.id, 0), false);
+  assert.strictEqual(sessions.revoke('u2', session.id), false);
+  assert.strictEqual(sessions.isActive('u1', session.id, SESSION_LIMITS.REFRESH_TTL), false);
+  assert.strictEqual(sessions.rotate(refreshToken, SESSION_LIMITS.REFRESH_TTL), null);
+});
+
+test('revokeAll keeps the current session and list hides hashes', () => {
+  const sessions = createSessionStore(createMemoryUserRepository());
+  const now = Date.now();
+  const current = sessions.create('u1', {}, now - 2000).session;
+  sessions.create('u1', {}, now - 1000);
+  sessions.create('u1', {}, now);
+
+  assert.strictEqual(sessions.revokeAll('u1', current.id), 2);
+  const listed = sessions.list('u1');
+  assert.deepStrictEqual(listed.map(session => session.id), [current.id]);
+  assert.strictEqual('refreshHash' in listed[0], false);
+});
+
+test('the least recently used session is dropped beyond the limit', () => {
+  const sessions = createSessionStore(createMemoryUserRepository());
+  const now = Date.now();
+  const first = sessions.create('u1', {}, now).session;
+  for (let i = 1; i <= SESSION_LIMITS.MAX_PER_USER; i++) sessions.create('u1', {}, now + i);
+
+  assert.strictEqual(sessions.list('u1').length, SESSION_LIMITS.MAX_PER_USER);
+  assert.strictEqual(sessions.isActive('u1', first.id, now + 100), false);
+});
+
+test('sqlite sessions survive reopening and read-only connections see revocations', () => {
+  const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dytor-auth-')), 'auth.db');
+  let repository = createSqliteUserRepository(dbPath);
+  repository.createUser({ id: 'u1', email: 'a@example.com', name: 'Ann', password: 'hash', createdAt: new Date().toISOString() });
+  const { session, refreshToken } = createSessionStore(repository).create('u1');
+  repository.close();
+
+  repository = createSqliteUserRepository(dbPath);
+  const sessions = createSessionStore(repository);
+  const rotated = sessions.rotate(refreshToken);
+  assert.strictEqual(rotated.session.id, session.id);
+
+  const reader = createSqliteUserRepository(dbPath, { readonly: true });
+  assert.strictEqual(reader.findSession(session.id).revokedAt, null);
+  sessions.revoke('u1', session.id);
+  assert.ok(reader.findSession(session.id).revokedAt);
+
+  reader.close();
+  repository.close();
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const timerEngine = require('../server/timer-engine');
+
+test('a countdown counts down from its duration', () => {
+  const timer = timerEngine.createTimer({ duration: 60 });
+  timerEngine.startTimer(timer, 0);
+
+  const snapshot = timerEngine.snapshotTimer(timer, 10500);
+  assert.strictEqual(snapshot.currentTime, 50);
+  assert.strictEqual(snapshot.isRunning, true);
+  assert.strictEqual(snapshot.isTimeUp, false);
+  assert.strictEqual(snapshot.countUp, false);
+  assert.strictEqual(snapshot.mode, 'countdown');
+});
+
+test('pausing keeps the elapsed time', () => {
+  const timer = timerEngine.createTimer({ duration: 60 });
+  timerEngine.startTimer(timer, 0);
+  timerEngine.pauseTimer(timer, 20000);
+
+  const snapshot = timerEngine.snapshotTimer(timer, 90000);
+  assert.strictEqual(snapshot.currentTime, 40);
+  assert.strictEqual(snapshot.paused, true);
+});
+
+test('a countdown past zero reports overtime counting up, as remote.html reads it', () => {
+  const timer = timerEngine.createTimer({ duration: 10 });
+  timerEngine.startTimer(timer, 0);
+
+  const snapshot = timerEngine.snapshotTimer(timerEngine.settleTimer(timer, 15000), 15000);
+  assert.strictEqual(snapshot.isTimeUp, true);
+  assert.strictEqual(snapshot.countUp, true);
+  assert.strictEqual(snapshot.overtime, 5);
+  assert.strictEqual(snapshot.currentTime, 5);
+  assert.strictEqual(snapshot.mode, 'countdown');
+});
+
+test('without overtime a countdown stops at zero and shows time up', () => {
+  const timer = timerEngine.createTimer({ duration: 10, allowOvertime: false });
+  timerEngine.startTimer(timer, 0);
+  timerEngine.settleTimer(timer, 15000);
+
+  const snapshot = timerEngine.snapshotTimer(timer, 20000);
+  assert.strictEqual(snapshot.isRunning, false);
+  assert.strictEqual(snapshot.isTimeUp, true);
+  assert.strictEqual(snapshot.countUp, false);
+  assert.strictEqual(snapshot.currentTime, 0);
+});
+
+test('a zero-length countdown is not up before it starts', () => {
+  const timer = timerEngine.createTimer({ duration: 0, allowOvertime: false });
+  assert.strictEqual(timerEngine.isTimeUp(timer, 0), false);
+
+  timerEngine.startTimer(timer, 1000);
+  timerEngine.settleTimer(timer, 1000);
+  assert.strictEqual(timerEngine.isTimeUp(timer, 1000), true);
+});
+
+test('count-up subtract never goes below zero', () => {
+  const timer = timerEngine.createTimer({ countUp: true });
+  timerEngine.startTimer(timer, 0);
+  timerEngine.subtractTime(timer, 3600, 5000);
+
+  assert.strictEqual(timerEngine.snapshotTimer(timer, 5000).currentTime, 0);
+  assert.strictEqual(timerEngine.snapshotTimer(timer, 8000).currentTime, 3);
+
+  timerEngine.addTime(timer, 60, 8000);
+  const snapshot = timerEngine.snapshotTimer(timer, 8000);
+  assert.strictEqual(snapshot.currentTime, 63);
+  assert.strictEqual(snapshot.countUp, true);
+  assert.strictEqual(snapshot.mode, 'countup');
+});
+
+test('countdown add and subtract change the remaining time', () => {
+  const timer = timerEngine.createTimer({ duration: 60 });
+  timerEngine.addTime(timer, 30);
+  assert.strictEqual(timerEngine.snapshotTimer(timer, 0).currentTime, 90);
+  timerEngine.subtractTime(timer, 600);
+  assert.strictEqual(timerEngine.snapshotTimer(timer, 0).duration, 0);
+});
+
+test('STOP halts at zero keeping added time; RESET restores the configured duration', () => {
+  const timer = timerEngine.createTimer({ duration: 60 });
+  timerEngine.addTime(timer, 30);
+  timerEngine.startTimer(timer, 0);
+
+  timerEngine.stopTimer(timer);
+  let snapshot = timerEngine.snapshotTimer(timer, 10000);
+  assert.strictEqual(snapshot.isRunning, false);
+  assert.strictEqual(snapshot.paused, false);
+  assert.strictEqual(snapshot.currentTime, 90);
+
+  timerEngine.startTimer(timer, 10000);
+  timerEngine.resetTimer(timer);
+  snapshot = timerEngine.snapshotTimer(timer, 20000);
+  assert.strictEqual(snapshot.isRunning, false);
+  assert.strictEqual(snapshot.currentTime, 60);
+
+  timerEngine.resetTimer(timer, { duration: 120, title: 'Talk' });
+  snapshot = timerEngine.snapshotTimer(timer, 20000);
+  assert.strictEqual(snapshot.currentTime, 120);
+  assert.strictEqual(snapshot.title, 'Talk');
+});
+
+test('timer options are validated', () => {
+  assert.strictEqual(timerEngine.validateTimerOptions(undefined), null);
+  assert.strictEqual(timerEngine.validateTimerOptions({ duration: 0, title: 'Talk', countUp: false, allowOvertime: true }), null);
+  assert.strictEqual(timerEngine.validateTimerOptions({ duration: timerEngine.TIMER_LIMITS.MAX_DURATION }), null);
+
+  assert.match(timerEngine.validateTimerOptions({ duration: 'abc' }), /duration/);
+  assert.match(timerEngine.validateTimerOptions({ duration: 1e20 }), /duration/);
+  assert.match(timerEngine.validateTimerOptions({ duration: -1 }), /duration/);
+  assert.match(timerEngine.validateTimerOptions({ duration: Infinity }), /duration/);
+  assert.match(timerEngine.validateTimerOptions({ title: 'x'.repeat(201) }), /title/);
+  assert.match(timerEngine.validateTimerOptions({ timeUpMessage: { text: 'late' } }), /timeUpMessage/);
+  assert.match(timerEngine.validateTimerOptions({ countUp: 'yes' }), /countUp must be a boolean/);
+  assert.match(timerEngine.validateTimerOptions({ allowOvertime: 0 }), /allowOvertime must be a boolean/);
+});
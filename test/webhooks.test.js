@@ -0,0 +1,127 @@
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const webhooks = require('../server/webhooks');
+
+// Local receiver answering with the given statuses in turn (the last one repeats)
+function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port })));
+}
+
+function waitForSettled(onDelivery) {
+  return new Promise(resolve => onDelivery.push(resolve));
+}
+
+function createDispatcher(subscriptions) {
+  const settled = [];
+  const dispatcher = webhooks.createWebhookDispatcher({
+    globalSubscriptions: subscriptions,
+    onDelivery: delivery => settled.shift()?.(delivery)
+  });
+  return { dispatcher, settled };
+}
+
+test('signatures are HMAC-SHA256 over timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'whsec_test').update('1000.{"a":1}').digest('hex');
+  assert.strictEqual(webhooks.signPayload('whsec_test', 1000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('subscriptions may not name private hosts', () => {
+  assert.match(webhooks.validateSubscription({ url: 'http://10.0.0.5/hook' }), /private/);
+  assert.match(webhooks.validateSubscription({ url: 'http://localhost:8080/hook' }), /private/);
+  assert.match(webhooks.validateSubscription({ url: 'http://[::1]/hook' }), /private/);
+  assert.match(webhooks.validateSubscription({ url: 'http://100.64.0.1/hook' }), /private/);
+  assert.match(webhooks.validateSubscription({ url: 'http://198.18.0.1/hook' }), /private/);
+  assert.match(webhooks.validateSubscription({ url: 'http://224.0.0.1/hook' }), /private/);
+  assert.match(webhooks.validateSubscription({ url: 'http://[ff02::1]/hook' }), /private/);
+  assert.strictEqual(webhooks.validateSubscription({ url: 'http://100.128.0.1/hook' }), null);
+  assert.strictEqual(webhooks.validateSubscription({ url: 'https://example.com/hook', events: ['user.joined'] }), null);
+  assert.match(webhooks.validateSubscription({ url: 'https://example.com/hook', events: ['nope'] }), /Unknown/);
+});
+
+test('deliveries are signed and retried until they succeed', async (t) => {
+  const receiver = await startReceiver([500, 503, 200]);
+  t.after(() => receiver.server.close());
+  const { dispatcher, settled } = createDispatcher([
+    { id: 'global-1', url: `http://127.0.0.1:${receiver.port}/hook`, events: ['*'], secret: 'whsec_test' }
+  ]);
+
+  const done = waitForSettled(settled);
+  dispatcher.dispatch('room.created', { roomCode: 'ABC123', data: { name: 'Room' } });
+  const delivery = await done;
+
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.status), [500, 503, 200]);
+  const { headers, body } = receiver.requests[2];
+  assert.strictEqual(headers['x-dytor-event'], 'room.created');
+  assert.strictEqual(headers['x-dytor-signature'], webhooks.signPayload('whsec_test', headers['x-dytor-timestamp'], body));
+  assert.strictEqual(JSON.parse(body).roomCode, 'ABC123');
+});
+
+test('client errors other than 429 are not retried', async (t) => {
+  const receiver = await startReceiver([404]);
+  t.after(() => receiver.server.close());
+  const { dispatcher, settled } = createDispatcher([
+    { id: 'global-1', url: `http://127.0.0.1:${receiver.port}/hook`, events: ['*'], secret: 'whsec_test' }
+  ]);
+
+  const done = waitForSettled(settled);
+  dispatcher.dispatch('user.joined');
+  const delivery = await done;
+
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts.length, 1);
+});
+
+test('global webhooks need a signing secret', async (t) => {
+  assert.throws(() => webhooks.loadGlobalSubscriptions({ WEBHOOK_URL: 'https://example.com/hook' }), /WEBHOOK_SECRET/);
+  const [subscription] = webhooks.loadGlobalSubscriptions({ WEBHOOK_URL: 'https://example.com/hook', WEBHOOK_SECRET: 'whsec_test' });
+  assert.strictEqual(subscription.secret, 'whsec_test');
+
+  // A subscription without a secret is never sent unsigned
+  const receiver = await startReceiver([200]);
+  t.after(() => receiver.server.close());
+  const { dispatcher, settled } = createDispatcher([
+    { id: 'global-1', url: `http://127.0.0.1:${receiver.port}/hook`, events: ['*'], secret: null }
+  ]);
+
+  const done = waitForSettled(settled);
+  dispatcher.dispatch('user.joined');
+  const delivery = await done;
+
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /signing secret/);
+  assert.strictEqual(receiver.requests.length, 0);
+});
+
+test('room webhooks resolving to a private address are refused at delivery', async (t) => {
+  const receiver = await startReceiver([200]);
+  t.after(() => receiver.server.close());
+  const { dispatcher, settled } = createDispatcher([]);
+
+  const done = waitForSettled(settled);
+  dispatcher.dispatch('user.joined', {
+    roomCode: 'ABC123',
+    roomSubscriptions: [{ id: 'hook', url: `http://localhost:${receiver.port}/hook`, events: ['*'], secret: 'whsec_test' }]
+  });
+  const delivery = await done;
+
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /private address/);
+  assert.strictEqual(receiver.requests.length, 0);
+});